@@ -0,0 +1,64 @@
+const { renderComparison, previewComparison, PortfolioValidationError } = require('../generate-portfolio');
+const { createStorage, storePortfolioFiles } = require('../lib/storage');
+const { requestBaseUrl } = require('../lib/downloads');
+const { createAccessControl } = require('../lib/access');
+const { log, withRequestContext } = require('../lib/logger');
+const { createAuditTrail, auditFiles } = require('../lib/audit');
+
+const storage = createStorage({ defaultBackend: 'vercel-blob' });
+const access = createAccessControl();
+const audit = createAuditTrail({ defaultStore: 'log' });
+
+// ============================================================
+// VERCEL HANDLER - PERIOD COMPARISON
+// ============================================================
+
+function isFlagSet(req, name) {
+  const flag = req.query && req.query[name] !== undefined ? req.query[name] : req.body && req.body[name];
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+module.exports = (req, res) => withRequestContext(req, res, async requestId => {
+  if (access.handleCors(req, res, { methods: 'POST, OPTIONS' })) return;
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  const preview = isFlagSet(req, 'preview');
+  const auth = await access.authorize(req, res, {
+    brandId: (req.query && req.query.brandId) || body.brandId || undefined,
+    fieldMappingId: (req.query && req.query.fieldMappingId) || body.fieldMappingId || undefined,
+    generation: !preview
+  });
+  if (!auth) return;
+
+  const periods = body.periods;
+  const options = {
+    validationMode: (req.query && req.query.validationMode) || body.validationMode || 'lenient',
+    brandId: auth.brandId,
+    fieldMappingId: auth.fieldMappingId,
+    readSnapshot: storage.keepsSnapshots ? id => storage.readSnapshot(id, { clientId: auth.client && auth.client.id }) : undefined
+  };
+  const format = (req.query && req.query.format) || body.format || 'docx';
+  // The newest period given as a payload, for the audit trail's child record ID
+  const latest = Array.isArray(periods) ? periods.slice().reverse().find(period => period && !period.snapshotId) : undefined;
+  const entry = { event: 'compare', client: auth.client, portfolioData: latest, brandId: auth.brandId || null, format };
+
+  try {
+    if (preview) {
+      return res.status(200).json({ success: true, preview: await previewComparison(periods, options) });
+    }
+    const { files, warnings } = await renderComparison(periods, { ...options, format });
+    const stored = await storePortfolioFiles(storage, files, { baseUrl: requestBaseUrl(req) });
+    audit.record({ ...entry, outcome: 'succeeded', files: auditFiles(stored, format) });
+    return res.status(200).json({ success: true, ...stored, warnings });
+  } catch (error) {
+    if (!preview) access.releaseGeneration(auth.client);
+    if (error instanceof PortfolioValidationError) {
+      if (!preview) audit.record({ ...entry, outcome: 'invalid', errors: error.errors.map(e => e.path) });
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (!preview) audit.record({ ...entry, outcome: 'failed', error: error.message });
+    log.error('Comparison failed', { error });
+    return res.status(500).json({ success: false, error: error.message, requestId });
+  }
+});
@@ -0,0 +1,25 @@
+const { createStorage } = require('../lib/storage');
+const { handleDownloadRequest } = require('../lib/downloads');
+const { createAccessControl } = require('../lib/access');
+const { log, withRequestContext } = require('../lib/logger');
+
+const storage = createStorage({ defaultBackend: 'vercel-blob' });
+const access = createAccessControl();
+
+// ============================================================
+// VERCEL HANDLER - SIGNED DOWNLOADS
+// ============================================================
+//
+// The signature is the credential, so downloads need no API key.
+
+module.exports = (req, res) => withRequestContext(req, res, async requestId => {
+  if (access.handleCors(req, res, { methods: 'GET, DELETE, OPTIONS' })) return;
+  if (req.method !== 'GET' && req.method !== 'DELETE') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    return await handleDownloadRequest(storage, req, res, req.query.id);
+  } catch (error) {
+    log.error('Download failed', { error });
+    return res.status(500).json({ success: false, error: error.message, requestId });
+  }
+});
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+// ============================================================
+// COMMAND LINE GENERATOR
+// ============================================================
+//
+// Generates portfolios without the server, for batch and offline use:
+//
+//   node cli.js family.json --out portfolios --format both
+//   node cli.js --evidence evidence.csv --profile children.json --preview
+//
+// Each payload file holds one portfolio payload or a list of them (a family
+// or a cohort). Instead of payloads, an evidence export (.csv, .jsonl or
+// .json, see lib/evidence-files) can be given with a profile file holding
+// the child's payload without its evidence, or a list of them; the rows are
+// shared out by their child column. Payloads with a source (lib/sources) are
+// read from Airtable first, once AIRTABLE_SOURCES_ENABLED=true says payload
+// files may name any record the token can read. Every child is rendered in turn and a summary of
+// the files written and warnings is printed for each; the exit code is 1 if
+// any child failed, 2 for bad arguments.
+
+// The library's request logs are for the server; keep warnings and errors
+if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { VERSION, renderPortfolio, previewPortfolio, PortfolioValidationError } = require('./generate-portfolio');
+const { readEvidenceFile } = require('./lib/evidence-files');
+const { loadSourcePayload } = require('./lib/sources');
+
+const USAGE = `Usage:
+  node cli.js [options] <payload.json>...
+  node cli.js [options] --evidence <rows.csv|.jsonl|.json> --profile <child.json>
+
+Each payload file holds one payload or a list of them. Evidence rows are
+matched to the profile's children by their child column (record ID or name);
+with a single profile every row is that child's.
+
+Options:
+  -o, --out <dir>            directory for the files (default ./output)
+  -f, --format <format>      docx, pdf or both (default docx)
+  -b, --brand <id>           branding profile
+  -t, --template <id>        document template
+  -l, --layout <layout>      evidence layout
+  -m, --field-mapping <id>   field mapping profile for the payloads' columns
+      --child-column <name>  evidence column naming the child (default Child)
+      --strict               reject payloads with any validation issue
+  -p, --preview              write the resolved model as JSON instead
+  -h, --help                 show this help
+  -v, --version              show the version
+
+Options given on the command line override those in each payload.`;
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o', default: 'output' },
+  format: { type: 'string', short: 'f' },
+  brand: { type: 'string', short: 'b' },
+  template: { type: 'string', short: 't' },
+  layout: { type: 'string', short: 'l' },
+  'field-mapping': { type: 'string', short: 'm' },
+  evidence: { type: 'string' },
+  profile: { type: 'string' },
+  'child-column': { type: 'string', default: 'Child' },
+  strict: { type: 'boolean', default: false },
+  preview: { type: 'boolean', short: 'p', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false }
+};
+
+class UsageError extends Error {}
+
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.message}`);
+  }
+}
+
+// [{ label, payload }] for one file of a payload or a list of payloads
+function filePayloads(file) {
+  const content = readJsonFile(file);
+  const payloads = Array.isArray(content) ? content : [content];
+  if (payloads.some(payload => !payload || typeof payload !== 'object' || Array.isArray(payload))) {
+    throw new UsageError(`${file}: must hold a portfolio payload or a list of them`);
+  }
+  return payloads.map((payload, idx) => ({ label: Array.isArray(content) ? `${file}[${idx}]` : file, payload }));
+}
+
+// Values naming the child in an evidence row's child column
+function rowChildren(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : value === undefined ? [] : [value];
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+// The profiles with the evidence rows added to their evidenceEntries, and the
+// numbers (from 1) of the rows that matched no profile
+function assignEvidence(profiles, rows, childColumn) {
+  const entries = profiles.map(({ payload }) => [...(Array.isArray(payload.evidenceEntries) ? payload.evidenceEntries : [])]);
+  const unmatched = [];
+  rows.forEach((row, idx) => {
+    const { [childColumn]: child, ...entry } = row;
+    const names = rowChildren(child);
+    const matches = profiles.length === 1 ? [0] : profiles.map(({ payload }, p) => {
+      const keys = [payload.childRecordId, payload.childName].filter(Boolean).map(key => String(key).trim().toLowerCase());
+      return keys.some(key => names.includes(key)) ? p : -1;
+    }).filter(p => p >= 0);
+    if (matches.length === 0) unmatched.push(idx + 1);
+    matches.forEach(p => entries[p].push(entry));
+  });
+  return {
+    children: profiles.map(({ label, payload }, p) => ({ label, payload: { ...payload, evidenceEntries: entries[p] } })),
+    unmatched
+  };
+}
+
+// A file name in the output directory no other child of this run has used
+function uniquePath(dir, filename, used) {
+  const extension = path.extname(filename);
+  const stem = filename.slice(0, filename.length - extension.length);
+  let candidate = filename;
+  for (let n = 2; used.has(candidate); n++) candidate = `${stem}-${n}${extension}`;
+  used.add(candidate);
+  return path.join(dir, candidate);
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printIssues(kind, issues) {
+  if (issues.length === 0) return;
+  console.log(`  ${issues.length} ${kind}${issues.length === 1 ? '' : 's'}`);
+  issues.forEach(issue => console.log(`    ${issue.path || '(payload)'}: ${issue.reason}`));
+}
+
+// Options from the command line, or else from the payload as the API reads them
+function renderOptions(values, payload) {
+  const pick = (flag, name) => (flag !== undefined ? flag : payload[name]);
+  return {
+    validationMode: values.strict ? 'strict' : payload.validationMode || 'lenient',
+    format: pick(values.format, 'format') || 'docx',
+    brandId: pick(values.brand, 'brandId'),
+    templateId: pick(values.template, 'templateId'),
+    evidenceLayout: pick(values.layout, 'evidenceLayout') || 'flat',
+    fieldMappingId: pick(values['field-mapping'], 'fieldMappingId'),
+    evidenceLimits: {
+      maxFullEntriesPerArea: payload.maxFullEntriesPerArea,
+      maxPhotosPerEntry: payload.maxPhotosPerEntry,
+      photoSelection: payload.photoSelection
+    }
+  };
+}
+
+// Render (or preview) one child and print its summary. Resolves to { ok,
+// warnings }, ok once its files are written.
+async function generateChild({ label, payload }, values, used) {
+  const options = renderOptions(values, payload);
+  const warnings = [];
+  let portfolioData = payload;
+  let heading = payload.childName ? `${payload.childName} (${label})` : label;
+
+  try {
+    if (payload.source !== undefined) {
+      if (process.env.AIRTABLE_SOURCES_ENABLED !== 'true') throw new Error('payloads with a source need AIRTABLE_SOURCES_ENABLED=true');
+      const loaded = await loadSourcePayload(payload, { fieldMappingId: options.fieldMappingId });
+      if (!loaded.valid) throw new PortfolioValidationError(loaded.errors, loaded.warnings);
+      // Built with canonical fields, which the default mapping reads as they are
+      portfolioData = loaded.portfolioData;
+      options.fieldMappingId = undefined;
+      warnings.push(...loaded.warnings);
+      if (portfolioData.childName) heading = `${portfolioData.childName} (${label})`;
+    }
+
+    const written = [];
+    if (values.preview) {
+      const preview = previewPortfolio(portfolioData, options);
+      warnings.push(...preview.warnings);
+      const body = Buffer.from(JSON.stringify({ ...preview, warnings }, null, 2));
+      const file = uniquePath(values.out, preview.filename.replace(/\.docx$/, '.preview.json'), used);
+      fs.writeFileSync(file, body);
+      written.push({ file, fileSize: body.length });
+    } else {
+      const rendered = await renderPortfolio(portfolioData, options);
+      warnings.push(...rendered.warnings);
+      rendered.files.forEach(({ filename, buffer, fileSize }) => {
+        const file = uniquePath(values.out, filename, used);
+        fs.writeFileSync(file, buffer);
+        written.push({ file, fileSize });
+      });
+    }
+
+    console.log(heading);
+    written.forEach(({ file, fileSize }) => console.log(`  wrote ${file} (${formatSize(fileSize)})`));
+    printIssues('warning', warnings);
+    return { ok: true, warnings: warnings.length };
+  } catch (error) {
+    console.log(heading);
+    if (error instanceof PortfolioValidationError) {
+      console.log('  failed: the payload is not valid');
+      printIssues('error', error.errors);
+      printIssues('warning', [...warnings, ...error.warnings]);
+      return { ok: false, warnings: warnings.length + error.warnings.length };
+    }
+    console.log(`  failed: ${error.message}`);
+    return { ok: false, warnings: warnings.length };
+  }
+}
+
+function readChildren(values, positionals) {
+  if (values.evidence || values.profile) {
+    if (!values.evidence || !values.profile) throw new UsageError('--evidence and --profile are used together');
+    if (positionals.length > 0) throw new UsageError('give payload files or --evidence with --profile, not both');
+    const profiles = filePayloads(values.profile);
+    let rows;
+    try {
+      rows = readEvidenceFile(values.evidence);
+    } catch (e) {
+      throw new UsageError(e.code === 'ENOENT' ? `${values.evidence}: no such file` : e.message);
+    }
+    return assignEvidence(profiles, rows, values['child-column']);
+  }
+  if (positionals.length === 0) throw new UsageError('no payload files given');
+  return { children: positionals.flatMap(filePayloads), unmatched: [] };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let values;
+  let positionals;
+  let children;
+  let unmatched;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    if (values.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (values.version) {
+      console.log(VERSION);
+      return 0;
+    }
+    ({ children, unmatched } = readChildren(values, positionals));
+  } catch (error) {
+    if (!(error instanceof UsageError) && !String(error.code).startsWith('ERR_PARSE_ARGS')) throw error;
+    console.error(`${error.message}\nRun node cli.js --help for the options.`);
+    return 2;
+  }
+
+  fs.mkdirSync(values.out, { recursive: true });
+  if (unmatched.length > 0) {
+    const rows = unmatched.length === 1 ? `row ${unmatched[0]} matched no child in ${values.profile} and was` : `rows ${unmatched.join(', ')} matched no child in ${values.profile} and were`;
+    console.log(`Evidence ${rows} left out\n`);
+  }
+
+  const used = new Set();
+  let failed = 0;
+  let warnings = 0;
+  for (const child of children) {
+    const result = await generateChild(child, values, used);
+    if (!result.ok) failed++;
+    warnings += result.warnings;
+    console.log('');
+  }
+  console.log(`${children.length} portfolio${children.length === 1 ? '' : 's'}: ${children.length - failed} written to ${values.out}, ${failed} failed, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  return failed > 0 ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }, error => {
+  console.error(error);
+  process.exitCode = 1;
+});
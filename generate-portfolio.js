@@ -1,8 +1,33 @@
-const { generatePortfolio } = require('../generate-portfolio');
-const { Packer } = require('docx');
-const { put } = require('@vercel/blob');
+const crypto = require('crypto');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, 
+        LevelFormat, PageBreak, Table, TableRow, TableCell, WidthType, BorderStyle,
+        ImageRun, Header, Footer, PageNumber, Bookmark, InternalHyperlink, PageReference,
+        Tab, TabStopType, TabStopPosition, LeaderType } = require('docx');
+const { version: VERSION } = require('./package.json');
+const { validatePortfolioData, PortfolioValidationError } = require('./lib/validate-portfolio');
+const { docxToPdf } = require('./lib/docx-to-pdf');
+const { resolveAttachments } = require('./lib/attachments');
+const { DEFAULT_BRAND, validateBrandId, readBrandProfile, loadBrand, brandFooterLine } = require('./lib/branding');
+const { DSE_STATEMENT, resolveProgramDescription } = require('./lib/program-description');
+const { OUTCOME_FORMATS, getCurriculumProfile } = require('./lib/curriculum-profiles');
+const { getOutcomeCatalogue, yearLevelToStages, checkOutcomeCodes } = require('./lib/outcome-catalogue');
+const { EVIDENCE_LAYOUTS, groupEvidence } = require('./lib/evidence-layout');
+const { validateEvidenceLimits, assignEvidenceTiers } = require('./lib/evidence-volume');
+const { validateTemplateId, readTemplate, templateSections, fillPlaceholders } = require('./lib/templates');
+const { readGoals, evidenceGoalIds, reviewGoals } = require('./lib/goals');
+const { log } = require('./lib/logger');
+const { validateFieldMappingId, readFieldMapping, readFields, mapPortfolioFields } = require('./lib/field-mappings');
+
+const OUTPUT_FORMATS = ['docx', 'pdf', 'both'];
+const CONTENT_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf: 'application/pdf'
+};
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
 
-// Helper to normalize arrays from Make.com
 function toArray(val) {
   if (Array.isArray(val)) return val;
   if (!val) return [];
@@ -10,173 +35,1911 @@ function toArray(val) {
   return [];
 }
 
-// Normalize learning area names to standard format
-function normalizeAreaName(area) {
+// Make.com sometimes sends arrays as JSON strings (occasionally double or
+// triple encoded) or as objects keyed by index - unwrap until we get an array.
+function parseMakeComData(data) {
+  let parsed = data;
+  let attempts = 0;
+  while (typeof parsed === 'string' && attempts < 5) {
+    try {
+      parsed = JSON.parse(parsed);
+      attempts++;
+    } catch (e) {
+      return [];
+    }
+  }
+
+  if (Array.isArray(parsed)) return parsed;
+  if (!parsed || typeof parsed !== 'object') return [];
+  if (Array.isArray(parsed.array)) return parsed.array;
+  return Object.values(parsed).filter(item => item && typeof item === 'object');
+}
+
+// Map an Airtable area name onto one of the profile's learning areas, e.g.
+// "Maths" -> "Mathematics", or "HSIE" -> "Humanities" for VIC
+function normalizeAreaName(area, profile = getCurriculumProfile()) {
   if (!area) return 'Other';
   const areaStr = String(area).trim();
-  const mappings = {
-    'english': 'English',
-    'mathematics': 'Mathematics',
-    'maths': 'Mathematics',
-    'math': 'Mathematics',
-    'science & technology': 'Science & Technology',
-    'science and technology': 'Science & Technology',
-    'science': 'Science & Technology',
-    'hsie': 'HSIE',
-    'hsie (history, geography etc)': 'HSIE',
-    'history': 'HSIE',
-    'geography': 'HSIE',
-    'pdhpe': 'PDHPE',
-    'pdhpe (health, physical education)': 'PDHPE',
-    'health': 'PDHPE',
-    'pe': 'PDHPE',
-    'creative arts': 'Creative Arts',
-    'art': 'Creative Arts',
-    'music': 'Creative Arts',
-    'drama': 'Creative Arts',
-    'dance': 'Creative Arts'
-  };
-  return mappings[areaStr.toLowerCase()] || areaStr;
+  return profile.areaMappings[areaStr.toLowerCase()] || areaStr;
 }
 
-// Build evidenceByArea object from flat evidenceEntries array
-function buildEvidenceByArea(evidenceEntries) {
-  const byArea = {};
+// Stable identity of an evidence entry, used for deduplication: its Airtable
+// record ID when it has one, otherwise a hash of its title, date and
+// description. Entries that merely share a title are different entries.
+function evidenceKey(item) {
+  if (item.id) return { key: `record:${item.id}`, reason: 'same record ID' };
+  const content = [item.title, item.date, item.description].map(v => String(v || '').trim()).join('\n');
+  return { key: `content:${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}`, reason: 'same title, date and description' };
+}
 
+// Entries are filed under each of their areas. An entry that repeats an
+// earlier one (see evidenceKey) is merged into it: its areas are added and
+// it is recorded in the kept entry's `merged` list. Entry fields are read
+// with the default field mapping (lib/field-mappings).
+function buildEvidenceByArea(evidenceEntries, profile = getCurriculumProfile()) {
+  const byArea = {};
+  const kept = new Map();
   evidenceEntries.forEach(entry => {
-    // Learning areas can be an array, a string, or nested
+    const fields = readFields('evidence', entry);
     let areas = [];
+    const rawAreas = fields.learningAreas;
 
-    if (entry['Learning Areas'] || entry.learningAreas) {
-      const raw = entry['Learning Areas'] || entry.learningAreas;
-      if (Array.isArray(raw)) {
-        areas = raw;
-      } else if (typeof raw === 'string') {
-        areas = raw.split(',').map(a => a.trim());
-      }
-    }
-
-    // Also check Areas field
-    if (entry.Areas) {
-      const raw = entry.Areas;
-      if (Array.isArray(raw)) {
-        areas = [...areas, ...raw];
-      } else if (typeof raw === 'string') {
-        areas = [...areas, ...raw.split(',').map(a => a.trim())];
+    if (rawAreas) {
+      if (Array.isArray(rawAreas)) {
+        areas = rawAreas;
+      } else if (typeof rawAreas === 'string') {
+        // Handle comma-separated string, possibly with quoted values
+        // e.g. "English, Science & Technology, \"PDHPE (Health, Physical Education)\""
+        areas = rawAreas
+          .replace(/"/g, '') // remove quotes
+          .split(',')
+          .map(a => a.trim())
+          .filter(a => a.length > 0);
       }
     }
 
-    // Normalize and deduplicate areas
-    areas = [...new Set(areas.map(normalizeAreaName).filter(a => a && a !== 'Other'))];
-
-    // If no areas found, put in Other
+    areas = [...new Set(areas.map(a => normalizeAreaName(a, profile)).filter(a => a && a !== 'Other'))];
     if (areas.length === 0) areas = ['Other'];
+    log.debug('Evidence entry areas', { id: fields.id || null, areas });
 
-    // Build the evidence object for this entry
     const evidenceObj = {
-      title: entry.Title || entry.title || 'Untitled',
-      date: entry.Date || entry.date || '',
-      description: entry['What Happened?'] || entry.whatHappened || entry.description || '',
-      engagement: entry['Child Engagement'] || entry.childEngagement || entry.engagement || '',
-      matchedOutcomes: entry['Outcome Code Rollup (from Matched Outcomes 3)'] || 
-                       entry['Matched Outcomes 3'] ||
-                       entry.matchedOutcomes || [],
-      attachments: entry.Attachments || entry.attachments || []
+      id: fields.id || null,
+      title: fields.title || 'Untitled',
+      date: fields.date || '',
+      description: fields.description || '',
+      engagement: fields.engagement || '',
+      matchedOutcomes: fields.matchedOutcomes || [],
+      goals: evidenceGoalIds(fields),
+      attachments: fields.attachments || []
     };
 
-    // Add to each learning area
+    const { key, reason } = evidenceKey(evidenceObj);
+    const original = kept.get(key);
+    if (original) {
+      original.merged = original.merged || [];
+      original.merged.push({ id: evidenceObj.id, title: evidenceObj.title, date: evidenceObj.date, areas, reason });
+      original.goals = [...new Set([...original.goals, ...evidenceObj.goals])];
+    } else {
+      kept.set(key, evidenceObj);
+    }
+    const target = original || evidenceObj;
+
     areas.forEach(area => {
       if (!byArea[area]) byArea[area] = [];
-      byArea[area].push(evidenceObj);
+      if (!byArea[area].includes(target)) byArea[area].push(target);
     });
   });
-
   return byArea;
 }
 
-module.exports = async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// Flatten evidenceByArea into one list of unique entries (see evidenceKey),
+// recording the area each was first seen in (primaryArea) and every area it
+// was filed under (areas). The same entry filed under several areas is not a
+// duplicate; a different record with the same identity is merged, and listed
+// in `merged` with the reason (including merges made by buildEvidenceByArea).
+// Sorted newest first.
+function collectUniqueEvidence(evidenceByArea) {
+  const seen = new Map();
+  const evidence = [];
+  const merged = [];
+
+  Object.entries(evidenceByArea || {}).forEach(([area, evidenceList]) => {
+    if (!Array.isArray(evidenceList)) {
+      if (evidenceList && typeof evidenceList === 'object') evidenceList = Object.values(evidenceList);
+      else return;
+    }
+    evidenceList.forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      const { key, reason } = evidenceKey(item);
+      const first = seen.get(key);
+      if (!first) {
+        const kept = { ...item, primaryArea: area, areas: [area] };
+        seen.set(key, { kept, sources: [item] });
+        evidence.push(kept);
+        return;
+      }
+      if (!first.kept.areas.includes(area)) first.kept.areas.push(area);
+      if (!first.sources.includes(item)) {
+        first.sources.push(item);
+        merged.push({ id: item.id || null, title: item.title || 'Untitled', date: item.date || '', area, keptIn: first.kept.primaryArea, reason });
+      }
+    });
+  });
+
+  evidence.forEach(item => (item.merged || []).forEach(m => merged.push({ id: m.id, title: m.title, date: m.date || '', area: m.areas.join(', '), keptIn: item.primaryArea, reason: m.reason })));
+  evidence.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+  return { evidence, merged };
+}
+
+// The evidence as section `sectionNumber` renders it with an evidenceLayout
+// (lib/evidence-layout): groups of { number, title, area, items, seeAlso },
+// where items and seeAlso are { evidence, label, alsoIn }. Labels are "4" in
+// the flat layout and "3.2.4" (subsection 3.2, entry 4) otherwise, or a
+// running count across groups when the template isn't numbered. alsoIn
+// lists the other byArea groups an entry is cross-referenced from. Entries in
+// the appendix tier (see applyEvidenceLimits) are left out.
+function layoutEvidence(evidenceByArea, { layout = 'flat', sectionNumber = 3, profile = getCurriculumProfile(), numbered = true } = {}) {
+  const evidence = collectUniqueEvidence(evidenceByArea).evidence.filter(item => item.tier !== 'appendix');
+  const groups = groupEvidence(evidence, layout, { areaOrder: profile.learningAreas });
+  const labels = new Map();
+
+  groups.forEach((group, g) => {
+    group.number = layout === 'flat' ? null : `${sectionNumber}.${g + 1}`;
+    group.items.forEach((item, i) => labels.set(item, group.number && numbered ? `${group.number}.${i + 1}` : String(labels.size + 1)));
+  });
+
+  return groups.map(group => ({
+    number: group.number,
+    title: group.title,
+    area: group.area || null,
+    items: group.items.map(item => ({
+      evidence: item,
+      label: labels.get(item),
+      alsoIn: groups.filter(other => other.seeAlso.includes(item)).map(other => ({ area: other.area, number: other.number }))
+    })),
+    seeAlso: group.seeAlso.map(item => ({ evidence: item, label: labels.get(item) }))
+  }));
+}
+
+// Entries in the appendix tier, newest first, labelled A1, A2…
+function appendixEvidence(evidenceByArea) {
+  return collectUniqueEvidence(evidenceByArea).evidence
+    .filter(item => item.tier === 'appendix')
+    .map((item, idx) => ({ evidence: item, label: `A${idx + 1}` }));
+}
+
+// Put every evidence entry in a tier (lib/evidence-volume) and trim its
+// attachments to the photos it will show, before anything is downloaded.
+// Mutates evidenceByArea; copies of an entry filed under several areas get
+// the same tier. Entries never passed through here are all shown in full.
+function applyEvidenceLimits(portfolioData, limits) {
+  const profile = getCurriculumProfile(portfolioData.state);
+  const { evidence } = collectUniqueEvidence(portfolioData.evidenceByArea);
+  const decisions = new Map();
+  assignEvidenceTiers(evidence, limits, { areaOrder: profile.learningAreas }).forEach((decision, idx) => {
+    decisions.set(evidenceKey(evidence[idx]).key, decision);
+  });
 
-  if (req.method === 'OPTIONS') return res.status(200).end();
+  Object.values(portfolioData.evidenceByArea || {}).forEach(list => toArray(list).forEach(item => {
+    const decision = item && typeof item === 'object' && decisions.get(evidenceKey(item).key);
+    if (!decision) return;
+    item.tier = decision.tier;
+    item.attachments = decision.attachments;
+    item.photos = decision.photos;
+  }));
+  return portfolioData;
+}
 
-  if (req.method === 'GET') {
-    return res.status(200).json({
-      status: 'healthy',
-      service: 'OneHome Education Portfolio Generator',
-      version: '3.1.0',
-      mode: 'synchronous',
+// Outcome descriptions given in the payload's curriculumOutcomes, by code
+function outcomeDescriptionsByCode(curriculumOutcomes) {
+  const descriptions = new Map();
+  (Array.isArray(curriculumOutcomes) ? curriculumOutcomes : []).forEach(o => {
+    const code = o && o.outcomeCode;
+    const description = o && o.outcomeDescription;
+    if (code && description && String(description).trim()) descriptions.set(String(code).trim(), String(description).trim());
+  });
+  return descriptions;
+}
+
+// Turn an evidence entry's matchedOutcomes (string, array of codes, array of
+// outcome objects or Airtable record IDs) into the list of outcome codes
+// shown under "Syllabus Outcomes Addressed", plus what was dropped and why.
+// Only the code formats of the state's curriculum profile are kept, and any
+// code listed in its outcome catalogue (older NSW syllabuses used codes such
+// as EN2-4A and MA3-5NA).
+//
+// outcomes pairs each code with a description: the one given with the code,
+// else the one in `descriptions` (see outcomeDescriptionsByCode), else the
+// catalogue's.
+function resolveOutcomeCodes(matchedOutcomes, profile = getCurriculumProfile(), { descriptions } = {}) {
+  const codes = [];
+  const outcomes = [];
+  const dropped = [];
+  if (!matchedOutcomes || (Array.isArray(matchedOutcomes) ? matchedOutcomes.length === 0 : matchedOutcomes.toString().trim() === '')) {
+    return { codes, outcomes, dropped };
+  }
+
+  let outcomesList = [];
+  if (typeof matchedOutcomes === 'string') {
+    outcomesList = matchedOutcomes.split(',').map(o => o.trim()).filter(o => o.length > 0);
+  } else if (Array.isArray(matchedOutcomes)) {
+    matchedOutcomes.forEach(outcome => {
+      if (typeof outcome === 'string' && !(outcome.startsWith('rec') && outcome.length === 17)) outcomesList.push(outcome);
+      else if (typeof outcome === 'string') dropped.push({ value: outcome, reason: 'Airtable record ID, not an outcome code' });
+      else if (outcome && typeof outcome === 'object') {
+        const text = `${outcome.code || outcome['Outcome Title'] || ''}: ${outcome.description || outcome['Outcome Description'] || ''}`;
+        if (text.trim() !== ':') outcomesList.push(text);
+        else dropped.push({ value: outcome, reason: 'outcome object has no code or description' });
+      }
     });
   }
 
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  const formats = profile.outcomeFormats.map(key => OUTCOME_FORMATS[key]);
+  const formatNames = formats.map(f => f.name).join(' or ');
+  const catalogue = getOutcomeCatalogue(profile.outcomeCatalogue);
+  outcomesList.forEach(t => {
+    const match = formats.map(f => t.match(f.find)).find(Boolean);
+    const code = match ? match[1] : t.trim();
+    const listed = catalogue && catalogue.lookup(formats.some(f => f.pattern.test(code)) ? code : t.split(':')[0]);
+    if (!listed && !formats.some(f => f.pattern.test(code))) {
+      dropped.push({ value: t, reason: `does not match the ${formatNames} outcome code format` });
+      return;
+    }
+    const finalCode = listed ? listed.code : code;
+    const colon = t.indexOf(':');
+    const given = colon >= 0 ? t.slice(colon + 1).trim() : '';
+    codes.push(finalCode);
+    outcomes.push({
+      code: finalCode,
+      description: given || (descriptions && descriptions.get(finalCode)) || (listed && listed.description) || null,
+      catalogue: listed ? { stages: listed.stages, syllabus: listed.syllabusName, status: listed.status } : null
+    });
+  });
+
+  return { codes, outcomes, dropped };
+}
 
-  const portfolioData = req.body;
+// Catalogue checks on the outcome codes used across evidence: codes the
+// catalogue should list but doesn't, and outcomes from another stage than
+// the child's yearLevel. Returned as warnings; never errors.
+function checkEvidenceOutcomes(portfolioData) {
+  const profile = getCurriculumProfile(portfolioData.state);
+  const catalogue = getOutcomeCatalogue(profile.outcomeCatalogue);
+  if (!catalogue) return [];
 
-  if (!portfolioData || !portfolioData.childName) {
-    return res.status(400).json({ success: false, error: 'Missing required field: childName' });
-  }
+  const uses = [];
+  collectUniqueEvidence(portfolioData.evidenceByArea).evidence.forEach((item, idx) => {
+    resolveOutcomeCodes(item.matchedOutcomes, profile).codes.forEach(code => uses.push({ code, title: item.title || `Evidence ${idx + 1}` }));
+  });
+  return checkOutcomeCodes(catalogue, uses, portfolioData.yearLevel || 'Stage 2');
+}
+
+// Goal links that lead nowhere: goal target outcomes that aren't outcome
+// codes, and evidence linked to a goal ID that isn't in previousGoals.
+// Returned as warnings; never errors.
+function checkGoals(portfolioData) {
+  const profile = getCurriculumProfile(portfolioData.state);
+  const warnings = [];
+  [['previousGoals', portfolioData.previousGoals], ['futurePlans.goals', parseFuturePlans(portfolioData.futurePlans).goals]].forEach(([field, goals]) => {
+    readGoals(goals).forEach(goal => resolveOutcomeCodes(goal.outcomes, profile).dropped.forEach(({ value, reason }) => {
+      warnings.push({ path: `${field}["${goal.id}"].outcomes`, reason: `"${value}" ${reason}; it is not a target of the goal` });
+    }));
+  });
+
+  const known = new Set(payloadGoals(portfolioData.previousGoals, profile).map(goal => goal.id));
+  collectUniqueEvidence(portfolioData.evidenceByArea).evidence.forEach((item, idx) => {
+    evidenceGoalIds(item).filter(id => !known.has(id)).forEach(id => {
+      warnings.push({ path: `goals["${id}"]`, reason: `"${item.title || `Evidence ${idx + 1}`}" is linked to goal ${id}, which is not in previousGoals` });
+    });
+  });
+  return warnings;
+}
+
+// Outcome descriptions for an area's "Syllabus Expectations" paragraph when
+// there is no stageStatement: the area's curriculumOutcomes (described from
+// the catalogue where the payload leaves it out), else the catalogue's
+// current outcomes for the child's stage, starting with those the area's
+// evidence addresses. Source is 'curriculumOutcomes', 'catalogue' or
+// 'default' (no descriptions).
+function expectedOutcomes(area, areaOutcomes, areaEvidence, yearLevel, profile = getCurriculumProfile()) {
+  const catalogue = getOutcomeCatalogue(profile.outcomeCatalogue);
+  const fromPayload = areaOutcomes.slice(0, 6).map(o => {
+    const description = String(o.outcomeDescription || '').trim();
+    const listed = !description && catalogue && catalogue.lookup(o.outcomeCode);
+    return description || (listed ? listed.description : '');
+  }).filter(d => d.length > 0);
+  if (fromPayload.length > 0) return { source: 'curriculumOutcomes', descriptions: fromPayload };
+
+  const stages = yearLevelToStages(yearLevel);
+  if (!catalogue || stages.length === 0) return { source: 'default', descriptions: [] };
+  const addressed = new Set();
+  areaEvidence.forEach(item => resolveOutcomeCodes(item.matchedOutcomes, profile).codes.forEach(code => addressed.add(code)));
+  const listed = catalogue.forArea(area, stages);
+  const ordered = [...listed.filter(o => addressed.has(o.code)), ...listed.filter(o => !addressed.has(o.code))];
+  if (ordered.length === 0) return { source: 'default', descriptions: [] };
+  return { source: 'catalogue', descriptions: ordered.slice(0, 6).map(o => o.description) };
+}
+
+// Which of the child's stage outcomes in curriculumOutcomes the evidence
+// addresses, per learning area, with evidence labelled as the evidence
+// section labels it (see layoutEvidence), or A1, A2… for appendix entries.
+// An outcome's stage comes from its Stage field, else the outcome catalogue;
+// outcomes with neither are always listed, and so is everything when
+// yearLevel names no stage.
+function buildOutcomeCoverage({ yearLevel = 'Stage 2', state = 'NSW', curriculumOutcomes = [], evidenceByArea = {} } = {}, { evidenceLayout = 'flat', evidenceSection = 3, numbered = true } = {}) {
+  const profile = getCurriculumProfile(state);
+  const catalogue = getOutcomeCatalogue(profile.outcomeCatalogue);
+  const childStages = yearLevelToStages(yearLevel);
 
+  const evidenceByCode = new Map();
+  const labelled = [
+    ...layoutEvidence(evidenceByArea, { layout: evidenceLayout, sectionNumber: evidenceSection, profile, numbered }).flatMap(group => group.items),
+    ...appendixEvidence(evidenceByArea)
+  ];
+  labelled.forEach(({ evidence, label }) => {
+    resolveOutcomeCodes(evidence.matchedOutcomes, profile).codes.forEach(code => {
+      const labels = evidenceByCode.get(code.toUpperCase()) || [];
+      if (!labels.includes(label)) labels.push(label);
+      evidenceByCode.set(code.toUpperCase(), labels);
+    });
+  });
+
+  const byArea = new Map();
+  (Array.isArray(curriculumOutcomes) ? curriculumOutcomes : []).forEach(o => {
+    const code = String((o && o.outcomeCode) || '').trim();
+    if (!code) return;
+    const listed = catalogue && catalogue.lookup(code);
+    const stageField = o.stage;
+    const stages = stageField ? yearLevelToStages(stageField) : listed ? listed.stages : [];
+    if (childStages.length > 0 && stages.length > 0 && !stages.some(s => childStages.includes(s))) return;
+
+    const area = normalizeAreaName(o.learningArea, profile);
+    if (!byArea.has(area)) byArea.set(area, new Map());
+    if (byArea.get(area).has(code.toUpperCase())) return;
+    const evidence = evidenceByCode.get(code.toUpperCase()) || [];
+    byArea.get(area).set(code.toUpperCase(), {
+      code,
+      description: String(o.outcomeDescription || '').trim() || (listed ? listed.description : null),
+      evidence,
+      count: evidence.length,
+      covered: evidence.length > 0
+    });
+  });
+
+  const percentage = (covered, total) => (total > 0 ? Math.round((covered / total) * 100) : 0);
+  const areaOrder = [...profile.learningAreas, ...[...byArea.keys()].filter(area => !profile.learningAreas.includes(area))];
+  const areas = areaOrder.filter(area => byArea.has(area)).map(area => {
+    const outcomes = [...byArea.get(area).values()];
+    const covered = outcomes.filter(o => o.covered).length;
+    return { area, total: outcomes.length, covered, percentage: percentage(covered, outcomes.length), outcomes };
+  });
+  const total = areas.reduce((sum, a) => sum + a.total, 0);
+  const covered = areas.reduce((sum, a) => sum + a.covered, 0);
+  return { yearLevel, stages: childStages, total, covered, percentage: percentage(covered, total), areas };
+}
+
+// The previousGoals, each with the labels of the evidence linked to it
+// (labelled as in buildOutcomeCoverage), its status and the targets no
+// linked evidence addresses yet (see lib/goals)
+function buildGoalProgress({ state = 'NSW', previousGoals, evidenceByArea = {} } = {}, { evidenceLayout = 'flat', evidenceSection = 3, numbered = true } = {}) {
+  const profile = getCurriculumProfile(state);
+  const labelled = [
+    ...layoutEvidence(evidenceByArea, { layout: evidenceLayout, sectionNumber: evidenceSection, profile, numbered }).flatMap(group => group.items),
+    ...appendixEvidence(evidenceByArea)
+  ];
+  const labels = new Map(labelled.map(({ evidence, label }) => [evidence, label]));
+  const goals = reviewGoals(payloadGoals(previousGoals, profile), labelled.map(({ evidence }) => evidence), {
+    outcomesOf: item => resolveOutcomeCodes(item.matchedOutcomes, profile).codes
+  }).map(goal => ({ ...goal, evidence: goal.evidence.map(item => labels.get(item)) }));
+
+  const count = status => goals.filter(goal => goal.status === status).length;
+  return { total: goals.length, achieved: count('achieved'), inProgress: count('in progress'), notStarted: count('not started'), goals };
+}
+
+// Areas shown in section 2, in order: the profile's learning areas (the six
+// KLAs for NSW), then any extra areas that have an overview or evidence.
+function listOverviewAreas(learningAreaOverviews, evidenceByArea, profile = getCurriculumProfile()) {
+  const standardAreas = profile.learningAreas;
+  const allAreas = new Set([...standardAreas, ...Object.keys(learningAreaOverviews || {}), ...Object.keys(evidenceByArea || {})]);
+  const areas = [];
+
+  allAreas.forEach(area => {
+    if (!area || /^\d+$/.test(area)) return;
+    const areaEvidence = (evidenceByArea || {})[area];
+    const evidenceArray = Array.isArray(areaEvidence) ? areaEvidence : (areaEvidence && typeof areaEvidence === 'object') ? Object.values(areaEvidence) : [];
+    if (!standardAreas.includes(area) && !(learningAreaOverviews || {})[area] && evidenceArray.length === 0) return;
+    areas.push({ area, evidence: evidenceArray });
+  });
+
+  return areas;
+}
+
+function parseFuturePlans(futurePlans) {
+  if (typeof futurePlans !== 'string') return futurePlans || {};
   try {
-    console.log('Portfolio generation started for:', portfolioData.childName);
-
-    // Normalize arrays
-    portfolioData.curriculumOutcomes = toArray(portfolioData.curriculumOutcomes);
-    portfolioData.evidenceEntries = toArray(portfolioData.evidenceEntries);
-    portfolioData.learningAreaOverviews = toArray(portfolioData.learningAreaOverviews);
-
-    // Build evidenceByArea from evidenceEntries if not already populated
-    const existingByArea = portfolioData.evidenceByArea;
-    const hasValidByArea = existingByArea && 
-                           typeof existingByArea === 'object' && 
-                           !Array.isArray(existingByArea) && 
-                           Object.keys(existingByArea).length > 0;
-
-    if (!hasValidByArea && portfolioData.evidenceEntries.length > 0) {
-      console.log('Building evidenceByArea from', portfolioData.evidenceEntries.length, 'evidence entries');
-      portfolioData.evidenceByArea = buildEvidenceByArea(portfolioData.evidenceEntries);
-      console.log('Built evidenceByArea areas:', Object.keys(portfolioData.evidenceByArea));
-    } else if (Array.isArray(existingByArea)) {
-      // It was sent as a flat array — build from it
-      portfolioData.evidenceByArea = buildEvidenceByArea(existingByArea);
-    }
-
-    // learningAreaOverviews should be an object, not array
-    if (Array.isArray(portfolioData.learningAreaOverviews)) {
-      portfolioData.learningAreaOverviews = {};
-    }
-
-    // Generate the DOCX
-    const doc = generatePortfolio(portfolioData);
-    const buffer = await Packer.toBuffer(doc);
-    console.log('DOCX generated, size:', buffer.length, 'bytes');
-
-    // Build filename
-    const safeName = (portfolioData.childName || 'Child').replace(/[^a-zA-Z0-9]/g, '-').substring(0, 50);
-    const safePeriod = (portfolioData.reportingPeriod || 'Portfolio').replace(/[^a-zA-Z0-9]/g, '-').substring(0, 30);
-    const filename = `${safeName}-Portfolio-${safePeriod}.docx`;
-
-    // Upload to Vercel Blob
-    const blob = await put(`portfolios/${filename}`, buffer, {
-      access: 'public',
-      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    return JSON.parse(futurePlans.replace(/\\n/g, '\n').replace(/\\"/g, '"'));
+  } catch (e) {
+    return { overview: futurePlans };
+  }
+}
+
+function parseProgressAssessment(progressAssessment) {
+  if (typeof progressAssessment !== 'string') return progressAssessment || {};
+  try { return JSON.parse(progressAssessment); }
+  catch (e) { return {}; }
+}
+
+// Goals in futurePlans.goals or previousGoals (see lib/goals), with their
+// areas and outcome codes in the curriculum profile's terms
+function payloadGoals(goals, profile = getCurriculumProfile()) {
+  return readGoals(goals, {
+    normalizeArea: area => normalizeAreaName(area, profile),
+    resolveOutcomes: codes => resolveOutcomeCodes(codes, profile).codes
+  });
+}
+
+function splitStrategies(strategies) {
+  if (!strategies || !strategies.trim()) return [];
+  const list = strategies.includes('\n') ? strategies.split(/[\n\r]+/) : strategies.split(/,\s+(?=[A-Z])/);
+  return list.filter(s => s.trim()).map(s => s.trim());
+}
+
+function splitResources(resources) {
+  if (!resources || !resources.trim()) return [];
+  return resources.includes(',') || resources.includes('\n')
+    ? resources.split(/[,\n]+/).map(r => r.trim()).filter(r => r.length > 0)
+    : [resources.trim()];
+}
+
+// ============================================================
+// PAYLOAD NORMALISATION
+// ============================================================
+
+// Coerce a raw request body into the shape generatePortfolio expects.
+// Mutates and returns portfolioData.
+function normalizePortfolioData(portfolioData) {
+  const profile = getCurriculumProfile(portfolioData.state);
+  portfolioData.curriculumOutcomes = parseMakeComData(portfolioData.curriculumOutcomes).map(o => readFields('outcomes', o));
+  portfolioData.evidenceEntries = parseMakeComData(portfolioData.evidenceEntries);
+
+  const existingByArea = portfolioData.evidenceByArea;
+  const hasValidByArea = existingByArea && typeof existingByArea === 'object' && !Array.isArray(existingByArea) && Object.keys(existingByArea).length > 0;
+
+  if (!hasValidByArea && portfolioData.evidenceEntries.length > 0) {
+    portfolioData.evidenceByArea = buildEvidenceByArea(portfolioData.evidenceEntries, profile);
+    log.debug('Built evidenceByArea', { entries: portfolioData.evidenceEntries.length, areas: Object.keys(portfolioData.evidenceByArea) });
+  } else if (Array.isArray(existingByArea)) {
+    portfolioData.evidenceByArea = buildEvidenceByArea(existingByArea, profile);
+  } else if (hasValidByArea) {
+    Object.keys(portfolioData.evidenceByArea).forEach(key => {
+      portfolioData.evidenceByArea[key] = toArray(portfolioData.evidenceByArea[key]);
     });
-    console.log('Uploaded to Blob:', blob.url);
+  }
+
+  // learningAreaOverviews should be an object not array
+  if (Array.isArray(portfolioData.learningAreaOverviews) || !portfolioData.learningAreaOverviews || typeof portfolioData.learningAreaOverviews !== 'object') {
+    portfolioData.learningAreaOverviews = {};
+  }
+  Object.entries(portfolioData.learningAreaOverviews).forEach(([area, overview]) => {
+    portfolioData.learningAreaOverviews[area] = readFields('overviews', overview);
+  });
+
+  return portfolioData;
+}
+
+function buildFilename(portfolioData, extension = 'docx') {
+  const safeName = (portfolioData.childName || 'Child').replace(/[^a-zA-Z0-9]/g, '-').substring(0, 50);
+  const safePeriod = (portfolioData.reportingPeriod || 'Portfolio').replace(/[^a-zA-Z0-9]/g, '-').substring(0, 30);
+  return `${safeName}-Portfolio-${safePeriod}.${extension}`;
+}
+
+// A copy of the payload read through a field mapping profile (see
+// lib/field-mappings), with { id, name, unmapped } for previews and the
+// mapping's warnings. An unusable fieldMappingId is returned as error and
+// the default profile used instead.
+function mapRequestFields(portfolioData, fieldMappingId) {
+  const error = validateFieldMappingId(fieldMappingId);
+  const mapping = readFieldMapping(error ? undefined : fieldMappingId);
+  const { portfolioData: mapped, unmapped, warnings } = mapPortfolioFields(portfolioData, mapping);
+  return { portfolioData: mapped, fieldMapping: { id: mapping.id, name: mapping.name || mapping.id, unmapped }, warnings, error };
+}
+
+// Payload validation plus the render options, for callers (such as async
+// jobs) that need to reject a request before doing any work. Validates the
+// payload as read through the fieldMappingId profile, and returns that copy
+// as portfolioData (with fieldMapping) for rendering.
+function validateRenderRequest(portfolioData, { validationMode = 'lenient', format = 'docx', brandId, templateId, evidenceLayout = 'flat', evidenceLimits, fieldMappingId } = {}) {
+  const mapped = mapRequestFields(portfolioData, fieldMappingId);
+  const result = validatePortfolioData(mapped.portfolioData, { mode: validationMode });
+  result.warnings.push(...mapped.warnings);
+  result.portfolioData = mapped.portfolioData;
+  result.fieldMapping = mapped.fieldMapping;
+  if (mapped.error) {
+    result.errors.unshift({ path: 'fieldMappingId', reason: mapped.error });
+    result.valid = false;
+  }
+  const limitErrors = validateEvidenceLimits(evidenceLimits);
+  if (limitErrors.length > 0) {
+    result.errors.unshift(...limitErrors);
+    result.valid = false;
+  }
+  if (!EVIDENCE_LAYOUTS.includes(evidenceLayout)) {
+    result.errors.unshift({ path: 'evidenceLayout', reason: `must be one of ${EVIDENCE_LAYOUTS.join(', ')}` });
+    result.valid = false;
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    result.errors.unshift({ path: 'format', reason: `must be one of ${OUTPUT_FORMATS.join(', ')}` });
+    result.valid = false;
+  }
+  const templateError = validateTemplateId(templateId);
+  if (templateError) {
+    result.errors.unshift({ path: 'templateId', reason: templateError });
+    result.valid = false;
+  }
+  const brandError = validateBrandId(brandId);
+  if (brandError) {
+    result.errors.unshift({ path: 'brandId', reason: brandError });
+    result.valid = false;
+  }
+  return result;
+}
+
+// Validate, normalise, build and pack a portfolio in one call. This is what
+// both the Express server and the Vercel handler use, and the easiest entry
+// point for scripts. Throws PortfolioValidationError for a bad payload.
+//
+// format is 'docx', 'pdf' or 'both'. Every rendered file is listed in
+// `files`; the first one is also spread onto the result so single-format
+// callers can keep using filename/buffer/fileSize directly. onProgress
+// receives { stage, ... } updates (used by async jobs). URL attachments are
+// downloaded and resized first; any that fail are added to warnings.
+// attachmentOptions overrides the ATTACHMENT_* settings in lib/attachments.
+// brandId selects a branding profile (lib/branding); the default is OneHome.
+// templateId selects a document template (lib/templates); the default is the
+// full portfolio. evidenceLayout is one of EVIDENCE_LAYOUTS (lib/evidence-layout).
+// evidenceLimits ({ maxFullEntriesPerArea, maxPhotosPerEntry, photoSelection },
+// see lib/evidence-volume) moves the excess to an appendix table.
+// fieldMappingId selects the profile that names the payload's columns (lib/
+// field-mappings); the payload is read through it into a copy, so the
+// caller's object is no longer normalised in place.
+async function renderPortfolio(payload, { validationMode = 'lenient', format = 'docx', brandId, templateId, evidenceLayout = 'flat', evidenceLimits, fieldMappingId, onProgress, attachmentOptions } = {}) {
+  const report = progress => { if (onProgress) onProgress(progress); };
+  const { valid, errors, warnings, portfolioData } = validateRenderRequest(payload, { validationMode, format, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId });
+  if (!valid) throw new PortfolioValidationError(errors, warnings);
+
+  const brand = await loadBrand(brandId);
+  const template = readTemplate(templateId);
+  normalizePortfolioData(portfolioData);
+  applyEvidenceLimits(portfolioData, evidenceLimits);
+  warnings.push(...checkEvidenceOutcomes(portfolioData), ...checkGoals(portfolioData));
+  report({ stage: 'fetching-attachments' });
+  const attachments = await resolveAttachments(portfolioData.evidenceByArea, attachmentOptions);
+  warnings.push(...attachments.failed);
+  if (attachments.resolved > 0 || attachments.failed.length > 0) {
+    log.info('Attachments resolved', { ready: attachments.resolved, skipped: attachments.failed.length });
+  }
+
+  const doc = generatePortfolio(portfolioData, { onProgress, brand, evidenceLayout, template });
+  report({ stage: 'packing' });
+  const docxBuffer = await Packer.toBuffer(doc);
+
+  const files = [];
+  if (format !== 'pdf') {
+    files.push({ format: 'docx', filename: buildFilename(portfolioData, 'docx'), contentType: CONTENT_TYPES.docx, buffer: docxBuffer, fileSize: docxBuffer.length });
+  }
+  if (format !== 'docx') {
+    report({ stage: 'rendering-pdf' });
+    const profile = getCurriculumProfile(portfolioData.state);
+    const title = fillPlaceholders(template.title, templatePlaceholders(portfolioData, profile, portfolioSections(portfolioData, template, profile), template));
+    const pdfBuffer = await docxToPdf(docxBuffer, { title: `${portfolioData.childName} - ${title}` });
+    files.push({ format: 'pdf', filename: buildFilename(portfolioData, 'pdf'), contentType: CONTENT_TYPES.pdf, buffer: pdfBuffer, fileSize: pdfBuffer.length });
+  }
+
+  return { ...files[0], files, warnings };
+}
+
+// ============================================================
+// HEADINGS, BOOKMARKS AND LINKS
+// ============================================================
+//
+// Every numbered heading carries a bookmark (sec_3_2 for "3.2 Mathematics",
+// appendix_a for Appendix A) and is listed in the table of contents. Evidence
+// entries are bookmarked as ev_3_2_4 or ev_A1 and outcome coverage rows as
+// out_EN2_RECOM_01, so outcome codes, evidence labels and area evidence
+// counts can link to them. Word bookmark names start with a letter, use
+// letters, digits and underscores, and are at most 40 characters. Templates
+// without numbering (numbered: false) drop the number from the heading text
+// but keep it in the bookmark.
+
+function anchorName(prefix, value) {
+  return `${prefix}_${String(value).replace(/[^A-Za-z0-9]+/g, '_')}`.slice(0, 40);
+}
+
+const tocEntries = new WeakMap();
+
+function headingParagraph(text, level = 1, { numbered = true } = {}) {
+  const number = text.match(/^(\d+(?:\.\d+)*)\.?\s/);
+  const appendix = text.match(/^Appendix ([A-Z])\b/);
+  const anchor = number ? anchorName('sec', number[1]) : appendix ? anchorName('appendix', appendix[1].toLowerCase()) : anchorName('sec', text);
+  if (number && !numbered) text = text.slice(number[0].length);
+  const paragraph = new Paragraph({ heading: level === 1 ? HeadingLevel.HEADING_1 : HeadingLevel.HEADING_2, children: [new Bookmark({ id: anchor, children: [new TextRun(text)] })] });
+  tocEntries.set(paragraph, { text, level, anchor });
+  return paragraph;
+}
+
+function linkRun(text, anchor, brand = DEFAULT_BRAND, options = {}) {
+  return new InternalHyperlink({ anchor, children: [new TextRun({ text, color: brand.colours.link, underline: {}, font: brand.fonts.body, ...options })] });
+}
+
+// Contents page for the headings in children. Page numbers are PAGEREF
+// fields: Word fills them in when it opens the file (it asks to update
+// fields), LibreOffice works them out itself.
+function generateTableOfContents(children, { brand = DEFAULT_BRAND } = {}) {
+  const font = brand.fonts.body;
+  const entries = children.map(paragraph => tocEntries.get(paragraph)).filter(Boolean);
+  return [
+    new Paragraph({ spacing: { after: 200 }, children: [new TextRun({ text: "Contents", bold: true, size: 32, font: brand.fonts.heading, color: brand.colours.heading })] }),
+    ...entries.map(({ text, level, anchor }) => new Paragraph({
+      tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX, leader: LeaderType.DOT }],
+      indent: level === 2 ? { left: 360 } : undefined,
+      spacing: { before: level === 1 ? 120 : 0, after: 40 },
+      children: [
+        new InternalHyperlink({ anchor, children: [new TextRun({ text, bold: level === 1, font })] }),
+        new TextRun({ children: [new Tab()], font }),
+        new PageReference(anchor, { hyperlink: true })
+      ]
+    })),
+    new Paragraph({ children: [new PageBreak()] })
+  ];
+}
+
+// Where each area's evidence starts: its byArea subsection, else the first
+// entry (or appendix row) filed under it
+function evidenceAreaAnchors(groups, appendix) {
+  const anchors = new Map();
+  groups.forEach(group => { if (group.area && group.number) anchors.set(group.area, anchorName('sec', group.number)); });
+  [...groups.flatMap(group => group.items), ...appendix].forEach(({ evidence, label }) => {
+    evidence.areas.forEach(area => { if (!anchors.has(area)) anchors.set(area, anchorName('ev', label)); });
+  });
+  return anchors;
+}
+
+// ============================================================
+// PORTFOLIO GENERATOR
+// ============================================================
+
+// The document around the body paragraphs: styles, the bullet list, A4
+// margins and the brand footer with page numbers
+function portfolioDocument(children, brand = DEFAULT_BRAND) {
+  const { fonts, colours } = brand;
+  const footerRun = options => new TextRun({ size: 16, font: fonts.body, color: colours.footer, ...options });
+  return new Document({
+    features: { updateFields: true },
+    styles: {
+      default: {
+        document: { run: { font: fonts.body, size: 24 } },
+        heading1: { run: { font: fonts.heading, size: 32, bold: true, color: colours.heading }, paragraph: { spacing: { before: 240, after: 120 } } },
+        heading2: { run: { font: fonts.heading, size: 26, bold: true, color: colours.heading }, paragraph: { spacing: { before: 200, after: 80 } } },
+        heading3: { run: { font: fonts.heading, size: 24, bold: true }, paragraph: { spacing: { before: 160, after: 60 } } }
+      }
+    },
+    numbering: {
+      config: [{
+        reference: "bullet-list",
+        levels: [{ level: 0, format: LevelFormat.BULLET, text: "•", alignment: AlignmentType.LEFT, style: { paragraph: { indent: { left: 720, hanging: 360 } }, run: { font: fonts.body } } }]
+      }]
+    },
+    sections: [{
+      properties: { page: { margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 } } },
+      footers: {
+        default: new Footer({
+          children: [
+            new Paragraph({ alignment: AlignmentType.CENTER, children: [footerRun({ text: brandFooterLine(brand) })] }),
+            ...(brand.url ? [new Paragraph({ alignment: AlignmentType.CENTER, children: [footerRun({ text: brand.url })] })] : []),
+            new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: 60 }, children: [footerRun({ text: "Page " }), footerRun({ children: [PageNumber.CURRENT] }), footerRun({ text: " of " }), footerRun({ children: [PageNumber.TOTAL_PAGES] })] })
+          ]
+        })
+      },
+      children
+    }]
+  });
+}
+
+// The title-page logo: the payload's logoBuffer, else the brand logo scaled
+// to fit 150 × 150, else null
+function titlePageLogo(brand, logoBuffer = null) {
+  if (logoBuffer) {
+    return new ImageRun({ data: logoBuffer, transformation: { width: 150, height: 150 }, type: 'jpeg' });
+  }
+  if (!brand.logoImage) return null;
+  const { buffer, mimeType, width, height } = brand.logoImage;
+  const scale = Math.min(150 / width, 150 / height, 1);
+  return new ImageRun({ data: buffer, transformation: { width: Math.round(width * scale), height: Math.round(height * scale) }, type: mimeType === 'image/png' ? 'png' : 'jpeg' });
+}
+
+// The template's sections that this portfolio has (see templateSections).
+// goalProgress reviews previousGoals, so it is left out without them.
+function portfolioSections(portfolioData, template, profile = getCurriculumProfile(portfolioData.state)) {
+  const hasPreviousGoals = payloadGoals(portfolioData.previousGoals, profile).length > 0;
+  return templateSections(template, profile).filter(section => section.key !== 'goalProgress' || hasPreviousGoals);
+}
+
+// Values for the template placeholders (lib/templates), with the same
+// fallbacks as the document. sections is the result of portfolioSections;
+// {evidenceSection} refers to the evidence section by number, or by heading
+// when the template isn't numbered.
+function templatePlaceholders(portfolioData, profile, sections, { numbered = true } = {}) {
+  const { childName = 'Child', yearLevel = 'Stage 2', reportingPeriod = 'Current Period', parentName, parentname, curriculum } = portfolioData;
+  const { curriculumTerm } = profile;
+  const values = {
+    childName,
+    yearLevel,
+    reportingPeriod,
+    parentName: parentName || parentname || 'Parent/Carer',
+    curriculum: curriculum || profile.curriculum,
+    curriculumTerm,
+    CurriculumTerm: curriculumTerm.charAt(0).toUpperCase() + curriculumTerm.slice(1)
+  };
+  const evidenceSection = sections.findIndex(section => section.key === 'evidence') + 1;
+  values.evidenceSection = !evidenceSection ? 'this portfolio' : numbered ? `section ${evidenceSection}` : `"${fillPlaceholders(sections[evidenceSection - 1].heading, values)}"`;
+  return values;
+}
+
+// onProgress, if given, is called as each numbered section is built and as
+// evidence photos are embedded. brand is a profile from lib/branding; pass
+// the result of loadBrand() to get its logo. A logoBuffer in the payload
+// still takes precedence over the brand logo. evidenceLayout organises the
+// evidence section (see layoutEvidence). template comes from lib/templates
+// and sets the title, sections, headings and boilerplate.
+function generatePortfolio(portfolioData, { onProgress, brand = DEFAULT_BRAND, evidenceLayout = 'flat', template = readTemplate() } = {}) {
+  const {
+    childName = 'Child',
+    yearLevel = 'Stage 2',
+    reportingPeriod = 'Current Period',
+    parentName,
+    parentname,
+    state = 'NSW',
+    curriculum,
+    learningAreaOverviews = {},
+    evidenceByArea = {},
+    progressAssessment = {},
+    futurePlans = {},
+    curriculumOutcomes = [],
+    evidenceEntries = [],
+    aiProgressSummaries = {},
+    enhancedProgressAssessment = {},
+    enhancedFuturePlansOverview = null,
+    programDescription,
+    logoBuffer = null
+  } = portfolioData;
+
+  const finalParentName = parentName || parentname || 'Parent/Carer';
+
+  const parsedFuturePlans = parseFuturePlans(futurePlans);
+  const parsedProgressAssessment = parseProgressAssessment(progressAssessment);
+
+  const profile = getCurriculumProfile(state);
+  const finalCurriculum = curriculum || profile.curriculum;
+  const curriculumTerm = profile.curriculumTerm;
+  const curriculumTermCap = curriculumTerm.charAt(0).toUpperCase() + curriculumTerm.slice(1);
+  const currentDate = new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+  const { fonts, colours } = brand;
+
+  const sections = portfolioSections(portfolioData, template, profile);
+  const sectionKeys = sections.map(section => section.key);
+  const { numbered } = template;
+  const placeholders = templatePlaceholders(portfolioData, profile, sections, { numbered });
+  const fill = text => fillPlaceholders(text, placeholders);
+
+  const children = [];
+  const progress = { stage: 'building', sectionsBuilt: 0, totalSections: sections.length, imagesEmbedded: 0 };
+  const report = () => { if (onProgress) onProgress({ ...progress }); };
+  const sectionBuilt = () => { progress.sectionsBuilt++; report(); };
+
+  // TITLE PAGE
+  const logo = titlePageLogo(brand, logoBuffer);
+  if (logo) {
+    children.push(new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: 200, after: 200 }, children: [logo] }));
+  }
+
+  children.push(
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: logo ? 100 : 400, after: 200 }, children: [new TextRun({ text: fill(template.title), bold: true, size: 56, font: fonts.heading })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: childName, size: 48, font: fonts.body })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: yearLevel, size: 36, font: fonts.body })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: reportingPeriod, size: 36, font: fonts.body })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: `Prepared by: ${finalParentName}`, size: 28, font: fonts.body })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 300 }, children: [new TextRun({ text: `Date: ${currentDate}`, size: 28, font: fonts.body })] }),
+    ...(brand.disclaimer ? [new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: 200, after: 100 }, shading: { fill: colours.disclaimerBackground }, children: [new TextRun({ text: brand.disclaimer, size: 18, italics: true, font: fonts.body })] })] : []),
+    new Paragraph({ children: [new PageBreak()] })
+  );
+  // The contents page goes here once every heading is known
+  const contentsIndex = children.length;
+
+  // Each builder appends one numbered section; the template decides which
+  // sections appear and in what order (the full template follows the
+  // curriculum profile, which knows what the regulator expects)
+  const plannedList = splitResources(parsedFuturePlans.plannedResources || '');
+
+  // Link targets shared between sections
+  const evidenceSection = sectionKeys.indexOf('evidence') + 1;
+  const evidenceGroups = evidenceSection ? layoutEvidence(evidenceByArea, { layout: evidenceLayout, sectionNumber: evidenceSection, profile, numbered }) : [];
+  const areaAnchors = evidenceAreaAnchors(evidenceGroups, appendixEvidence(evidenceByArea));
+  const coverage = sectionKeys.includes('outcomeCoverage') ? buildOutcomeCoverage({ yearLevel, state, curriculumOutcomes, evidenceByArea }, { evidenceLayout, evidenceSection, numbered }) : null;
+  const outcomeAnchors = new Set(coverage ? coverage.areas.flatMap(area => area.outcomes.map(o => o.code.toUpperCase())) : []);
+  const goalProgress = sectionKeys.includes('goalProgress') ? buildGoalProgress(portfolioData, { evidenceLayout, evidenceSection, numbered }) : null;
+  const goalAnchors = new Set(goalProgress ? goalProgress.goals.map(goal => goal.id) : []);
+
+  const heading = (number, text, level = 1) => headingParagraph(level === 1 ? `${number}. ${fill(text)}` : `${number} ${fill(text)}`, level, { numbered });
+  const textParagraphs = (text, after = 120) => (text ? [new Paragraph({ spacing: { after }, children: [new TextRun(fill(text))] })] : []);
+
+  const sectionBuilders = {
+    programOverview(n, { heading: title, subheadings, text }) {
+      const framework = [fill(text.framework), profile.frameworkStatement.replace('{curriculum}', finalCurriculum)].filter(Boolean).join(' ');
+      children.push(
+        heading(n, title),
+        ...textParagraphs(text.intro),
+        heading(`${n}.1`, subheadings.framework, 2),
+        new Paragraph({ spacing: { after: 120 }, children: [new TextRun(framework)] })
+      );
+
+      // n.2 is the DSE section, a plain adjustments section, or left out, and
+      // the philosophy section takes the next number
+      const program = resolveProgramDescription(programDescription, { childName, curriculumTerm });
+      let subsection = 2;
+      if (program.includeDisabilityStandards || program.profileStatement || program.adjustments.length > 0) {
+        children.push(heading(`${n}.${subsection++}`, program.includeDisabilityStandards ? subheadings.disabilityStandards : subheadings.adjustments, 2));
+        if (program.includeDisabilityStandards) {
+          children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun(DSE_STATEMENT)] }));
+        }
+        if (program.profileStatement) {
+          children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun(program.profileStatement)] }));
+        }
+        if (program.adjustments.length > 0) {
+          children.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: "Key adjustments implemented:", bold: true })] }));
+          program.adjustments.forEach(adj => children.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun(adj)] })));
+        }
+        if (program.adjustmentsSummary) {
+          children.push(new Paragraph({ spacing: { before: 120, after: 120 }, children: [new TextRun(program.adjustmentsSummary)] }));
+        }
+      }
+
+      if (program.philosophy) {
+        children.push(
+          heading(`${n}.${subsection}`, subheadings.philosophy, 2),
+          new Paragraph({ spacing: { after: 200 }, children: [new TextRun(program.philosophy)] })
+        );
+      }
+    },
+
+    learningAreas(n, { heading: title, text }) {
+      children.push(heading(n, title), ...textParagraphs(text.intro));
+      children.push(...generateLearningAreaOverviews(learningAreaOverviews, evidenceByArea, curriculumOutcomes, yearLevel, curriculumTermCap, childName, aiProgressSummaries, { sectionNumber: n, profile, brand, evidenceAnchors: areaAnchors, numbered }));
+    },
+
+    evidence(n, { heading: title, text }) {
+      children.push(heading(n, title), ...textParagraphs(text.intro));
+      children.push(...generateEvidenceSections(evidenceByArea, curriculumOutcomes, state, {
+        layout: evidenceLayout,
+        sectionNumber: n,
+        outcomeAnchors,
+        goalAnchors,
+        numbered,
+        brand,
+        profile,
+        onImageEmbedded: () => { progress.imagesEmbedded++; report(); }
+      }));
+    },
+
+    outcomeCoverage(n, { heading: title, text }) {
+      children.push(heading(n, title), ...textParagraphs(text.intro));
+      children.push(...generateOutcomeCoverageTables(coverage, { sectionNumber: n, brand, linkEvidence: evidenceSection > 0, numbered }));
+    },
+
+    progressAssessment(n, { heading: title, subheadings, text }) {
+      const finalCognitive = enhancedProgressAssessment.cognitive || parsedProgressAssessment.cognitive || "No assessment provided.";
+      const finalSocial = enhancedProgressAssessment.social || parsedProgressAssessment.social || "No assessment provided.";
+      const finalEmotional = enhancedProgressAssessment.emotional || parsedProgressAssessment.emotional || "No assessment provided.";
+      const finalPhysical = enhancedProgressAssessment.physical || parsedProgressAssessment.physical || "No assessment provided.";
+
+      children.push(
+        heading(n, title),
+        ...textParagraphs(text.intro),
+        heading(`${n}.1`, subheadings.cognitive, 2),
+        new Paragraph({ spacing: { after: 120 }, children: [new TextRun(finalCognitive)] }),
+        heading(`${n}.2`, subheadings.social, 2),
+        new Paragraph({ spacing: { after: 120 }, children: [new TextRun(finalSocial)] }),
+        heading(`${n}.3`, subheadings.emotional, 2),
+        new Paragraph({ spacing: { after: 120 }, children: [new TextRun(finalEmotional)] }),
+        heading(`${n}.4`, subheadings.physical, 2),
+        new Paragraph({ spacing: { after: 120 }, children: [new TextRun(finalPhysical)] })
+      );
+    },
+
+    goalProgress(n, { heading: title, text }) {
+      children.push(heading(n, title), ...textParagraphs(text.intro));
+      children.push(...generateGoalProgressTable(goalProgress, { brand, linkEvidence: evidenceSection > 0, outcomeAnchors }));
+    },
+
+    futurePlans(n, { heading: title, subheadings, text }) {
+      children.push(heading(n, title), ...textParagraphs(text.intro));
+
+      const futureOverviewText = enhancedFuturePlansOverview || parsedFuturePlans.overview || '';
+      children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun(futureOverviewText || 'No future plans overview provided.')] }));
+
+      children.push(heading(`${n}.1`, subheadings.goals, 2));
+      // Goals keep their IDs so next period's evidence can link to them
+      const goalsList = payloadGoals(parsedFuturePlans.goals, profile);
+      if (goalsList.length > 0) {
+        goalsList.forEach(goal => {
+          const targets = [...goal.areas, ...goal.outcomes];
+          children.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [
+            new TextRun({ text: `${goal.id}: `, bold: true }),
+            new TextRun(goal.text),
+            ...(targets.length > 0 ? [new TextRun({ text: ` (${targets.join(', ')})`, italics: true })] : [])
+          ] }));
+        });
+      } else {
+        children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: "No learning goals specified.", italics: true })] }));
+      }
 
-    return res.status(200).json({
-      success: true,
-      filename: filename,
-      url: blob.url,
-      fileSize: buffer.length,
+      children.push(heading(`${n}.2`, subheadings.strategies, 2));
+      const futureStrategies = parsedFuturePlans.strategies || '';
+      const strategiesList = splitStrategies(futureStrategies);
+      if (strategiesList.length > 1) {
+        strategiesList.forEach(s => children.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun(s)] })));
+      } else if (futureStrategies.trim()) {
+        children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun(futureStrategies)] }));
+      } else {
+        children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: "No strategies specified.", italics: true })] }));
+      }
+
+      if (plannedList.length > 0) {
+        children.push(heading(`${n}.3`, subheadings.plannedResources, 2));
+        plannedList.forEach(r => children.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun(r)] })));
+      }
+    },
+
+    resources(n, { heading: title, subheadings, text }) {
+      const extractedResources = extractResourcesFromEvidence(evidenceByArea);
+      children.push(
+        heading(n, title),
+        ...textParagraphs(text.intro),
+        heading(`${n}.1`, subheadings.used, 2),
+        ...textParagraphs(text.used)
+      );
+      if (extractedResources.length > 0) {
+        extractedResources.forEach(r => children.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun(r)] })));
+      } else {
+        children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: "Resources will be documented as the learning program develops.", italics: true })] }));
+      }
+
+      children.push(
+        heading(`${n}.2`, subheadings.planned, 2),
+        ...textParagraphs(text.planned)
+      );
+
+      plannedList.forEach(r => children.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun(r)] })));
+    }
+  };
+
+  sections.forEach((section, idx) => {
+    if (idx > 0) children.push(new Paragraph({ children: [new PageBreak()] }));
+    sectionBuilders[section.key](idx + 1, section);
+    sectionBuilt();
+  });
+
+  // The appendix holds evidence left out of the evidence section, so it
+  // only comes with one
+  const appendix = evidenceSection ? generateEvidenceAppendix(evidenceByArea, { brand, profile, outcomeAnchors }) : [];
+  if (appendix.length > 0) children.push(new Paragraph({ children: [new PageBreak()] }), ...appendix);
+
+  if (template.contents) children.splice(contentsIndex, 0, ...generateTableOfContents(children, { brand }));
+
+  return portfolioDocument(children, brand);
+}
+
+// ============================================================
+// LEARNING AREA OVERVIEWS
+// ============================================================
+
+// evidenceAnchors maps an area to the bookmark its evidence count links to
+// (see evidenceAreaAnchors)
+function generateLearningAreaOverviews(learningAreaOverviews, evidenceByArea, curriculumOutcomes, yearLevel, curriculumTermCap, childName, aiProgressSummaries = {}, { sectionNumber = 2, profile = getCurriculumProfile(), brand = DEFAULT_BRAND, evidenceAnchors = new Map(), numbered = true } = {}) {
+  const sections = [];
+  if (!evidenceByArea || typeof evidenceByArea !== 'object') evidenceByArea = {};
+
+  let sectionNum = 1;
+  listOverviewAreas(learningAreaOverviews, evidenceByArea, profile).forEach(({ area, evidence: evidenceArray }) => {
+    const overview = (learningAreaOverviews || {})[area] || {};
+    const areaOutcomes = (curriculumOutcomes || []).filter(o => normalizeAreaName(o.learningArea, profile) === area);
+    const aiSummary = aiProgressSummaries[area];
+
+    sections.push(
+      headingParagraph(`${sectionNumber}.${sectionNum} ${area}`, 2, { numbered }),
+      new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: `${curriculumTermCap} Expectations:`, bold: true })] })
+    );
+
+    const expected = overview.stageStatement ? null : expectedOutcomes(area, areaOutcomes, evidenceArray, yearLevel, profile);
+    if (overview.stageStatement) {
+      sections.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: overview.stageStatement, italics: true })] }));
+    } else if (expected.descriptions.length > 0) {
+      sections.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: `In ${area}, ${yearLevel} students work towards outcomes including: ${expected.descriptions.join('; ')}.`, italics: true })] }));
+    } else {
+      sections.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: `${yearLevel} students develop skills and knowledge in ${area} through engaging activities and experiences.`, italics: true })] }));
+    }
+
+    sections.push(new Paragraph({ spacing: { before: 60, after: 60 }, children: [new TextRun({ text: "Progress Summary:", bold: true })] }));
+
+    const count = `${evidenceArray.length} learning evidence ${evidenceArray.length === 1 ? 'entry' : 'entries'}`;
+    const countRun = evidenceAnchors.has(area) ? linkRun(count, evidenceAnchors.get(area), brand, { font: undefined }) : new TextRun(count);
+    if (aiSummary) {
+      sections.push(new Paragraph({ spacing: { after: evidenceArray.length > 0 ? 60 : 120 }, children: [new TextRun(aiSummary)] }));
+      if (evidenceArray.length > 0) {
+        sections.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun('Evidence: '), countRun] }));
+      }
+    } else if (evidenceArray.length > 0) {
+      sections.push(new Paragraph({ spacing: { after: 120 }, children: [countRun, new TextRun(' documented for this area during the reporting period.')] }));
+    } else {
+      sections.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: `No formal evidence was documented for ${area} during this reporting period. Learning in this area has occurred informally through daily activities, conversations, and integrated experiences.`, italics: true })] }));
+    }
+
+    sectionNum++;
+  });
+
+  return sections;
+}
+
+// ============================================================
+// EVIDENCE SECTIONS
+// ============================================================
+
+// Section 3 in any evidenceLayout (see layoutEvidence). Flat is one list;
+// the other layouts add a numbered heading per group, which also shows in
+// the document outline. Outcome codes in outcomeAnchors link to their row
+// in the outcome coverage section, and goal IDs in goalAnchors to theirs in
+// the goal progress section.
+function generateEvidenceSections(evidenceByArea, curriculumOutcomes, state = 'NSW', { layout = 'flat', sectionNumber = 3, onImageEmbedded, brand = DEFAULT_BRAND, profile = getCurriculumProfile(state), outcomeAnchors = new Set(), goalAnchors = new Set(), numbered = true } = {}) {
+  const sections = [];
+  const font = brand.fonts.body;
+  const outcomesLabel = profile.curriculumTerm === 'syllabus' ? 'Syllabus Outcomes Addressed:' : 'Curriculum Outcomes Addressed:';
+  const chronological = layout === 'byMonth' || layout === 'byTerm';
+
+  if (!evidenceByArea || typeof evidenceByArea !== 'object' || Object.keys(evidenceByArea).length === 0) {
+    sections.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: "Detailed evidence will be documented as learning activities are recorded.", italics: true })] }));
+    return sections;
+  }
+
+  const descriptions = outcomeDescriptionsByCode(curriculumOutcomes);
+  const codeRun = (code, options = {}) => (outcomeAnchors.has(code.toUpperCase()) ? linkRun(code, anchorName('out', code.toUpperCase()), brand, options) : new TextRun({ text: code, font, ...options }));
+
+  // Which tier each area's entries landed in, when some are in the appendix
+  if (appendixEvidence(evidenceByArea).length > 0) {
+    const tiers = groupEvidence(collectUniqueEvidence(evidenceByArea).evidence, 'byArea', { areaOrder: profile.learningAreas }).map(group => ({
+      area: group.area,
+      full: group.items.filter(item => item.tier !== 'appendix').length,
+      appendix: group.items.filter(item => item.tier === 'appendix').length
+    })).filter(t => t.full + t.appendix > 0);
+    const full = tiers.reduce((sum, t) => sum + t.full, 0);
+    const inAppendix = tiers.reduce((sum, t) => sum + t.appendix, 0);
+    sections.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: `To keep this portfolio readable, the most recent entries in each learning area are shown in full below (${full} in total) and the other ${inAppendix} are listed in Appendix A, Further Evidence:`, font })] }));
+    tiers.forEach(t => sections.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun({ text: `${t.area}: `, bold: true, font }), new TextRun({ text: `${t.full} in full, ${t.appendix} in the appendix`, font })] })));
+    sections.push(new Paragraph({ spacing: { after: 120 }, children: [] }));
+  }
+
+  layoutEvidence(evidenceByArea, { layout, sectionNumber, profile, numbered }).forEach(group => {
+    if (group.number) {
+      sections.push(headingParagraph(`${group.number} ${group.title}`, 2, { numbered }));
+    }
+
+    group.items.forEach(({ evidence, label, alsoIn }, idx) => {
+      if (idx > 0) {
+        sections.push(new Paragraph({ spacing: { before: 240, after: 240 }, border: { bottom: { color: brand.colours.divider, space: 1, style: BorderStyle.SINGLE, size: 6 } }, children: [] }));
+      }
+
+      const title = evidence.title || `Evidence ${label}`;
+      sections.push(
+        new Paragraph({ spacing: { before: 120, after: 80 }, shading: { fill: brand.colours.evidenceHeading }, children: [new Bookmark({ id: anchorName('ev', label), children: [new TextRun({ text: group.number && numbered ? `${label} ${title}` : `${label}. ${title}`, bold: true, size: 26, font })] })] }),
+        new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: "Date: ", bold: true, font }), new TextRun({ text: evidence.date || 'Not specified', font })] })
+      );
+      if (chronological) {
+        sections.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: "Learning Areas: ", bold: true, font }), new TextRun({ text: evidence.areas.join(', '), font })] }));
+      }
+      if (alsoIn.length > 0) {
+        sections.push(new Paragraph({ spacing: { after: 60 }, children: [new TextRun({ text: "Also relevant to: ", bold: true, font }), ...alsoIn.flatMap((o, i) => [
+          ...(i > 0 ? [new TextRun({ text: ', ', font })] : []),
+          ...(numbered
+            ? [new TextRun({ text: `${o.area} (`, font }), linkRun(o.number, anchorName('sec', o.number), brand), new TextRun({ text: ')', font })]
+            : [linkRun(o.area, anchorName('sec', o.number), brand)])
+        ])] }));
+      }
+      sections.push(new Paragraph({ spacing: { after: 80 }, children: [new TextRun({ text: "Description: ", bold: true, font }), new TextRun({ text: evidence.description || 'No description provided.', font })] }));
+
+      const { outcomes } = resolveOutcomeCodes(evidence.matchedOutcomes, profile, { descriptions });
+      if (outcomes.length > 0) {
+        sections.push(new Paragraph({ spacing: { before: 60, after: 60 }, children: [new TextRun({ text: outcomesLabel, bold: true, font })] }));
+        outcomes.forEach(o => sections.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: o.description
+          ? [codeRun(o.code, { bold: true }), new TextRun({ text: `: ${o.description}`, font })]
+          : [codeRun(o.code)] })));
+      }
+
+      const goalIds = evidenceGoalIds(evidence);
+      if (goalIds.length > 0) {
+        sections.push(new Paragraph({ spacing: { before: 60, after: 60 }, children: [new TextRun({ text: "Working Towards Goals: ", bold: true, font }), ...goalIds.flatMap((id, i) => [
+          ...(i > 0 ? [new TextRun({ text: ', ', font })] : []),
+          goalAnchors.has(id) ? linkRun(id, anchorName('goal', id), brand) : new TextRun({ text: id, font })
+        ])] }));
+      }
+
+      if (evidence.engagement) {
+        sections.push(new Paragraph({ spacing: { before: 60, after: 80 }, children: [new TextRun({ text: "Child Engagement: ", bold: true, font }), new TextRun({ text: evidence.engagement, font })] }));
+      }
+
+      const attachments = evidence.attachments;
+      if (attachments && Array.isArray(attachments) && attachments.length > 0) {
+        sections.push(new Paragraph({ spacing: { before: 80, after: 60 }, children: [new TextRun({ text: evidence.photos && evidence.photos.shown < evidence.photos.total ? `Evidence Photos (${evidence.photos.shown} of ${evidence.photos.total} shown):` : "Evidence Photos:", bold: true, font })] }));
+        attachments.forEach(att => {
+          if (att.buffer) {
+            try {
+              let imageType = 'jpeg';
+              if (att.mimeType) {
+                if (att.mimeType.includes('png')) imageType = 'png';
+                else if (att.mimeType.includes('gif')) imageType = 'gif';
+              }
+              let width = Math.min(att.width || 400, 400);
+              let height = att.height || 300;
+              if (att.width > 400) height = Math.round(height * (400 / att.width));
+              if (height > 400) { width = Math.round(width * (400 / height)); height = 400; }
+              sections.push(new Paragraph({ spacing: { after: 80 }, children: [new ImageRun({ data: att.buffer, transformation: { width, height }, type: imageType })] }));
+              if (onImageEmbedded) onImageEmbedded();
+            } catch (e) { log.error('Image embed error', { error: e.message }); }
+          }
+        });
+      }
+
+      sections.push(new Paragraph({ spacing: { after: 120 }, children: [] }));
     });
 
-  } catch (error) {
-    console.error('Error generating portfolio:', error.message);
-    console.error(error.stack);
-    return res.status(500).json({
-      success: false,
-      error: error.message,
+    // byArea: entries written out under another area
+    if (group.seeAlso.length > 0) {
+      sections.push(new Paragraph({ spacing: { before: 120, after: 60 }, children: [new TextRun({ text: `Also relevant to ${group.title}:`, bold: true, font })] }));
+      group.seeAlso.forEach(({ evidence, label }) => sections.push(new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun({ text: 'See ', font }), linkRun(label, anchorName('ev', label), brand), new TextRun({ text: ` ${evidence.title || `Evidence ${label}`}`, font })] })));
+      sections.push(new Paragraph({ spacing: { after: 120 }, children: [] }));
+    }
+  });
+
+  return sections;
+}
+
+function generateEvidenceSectionsFlat(evidenceByArea, curriculumOutcomes, state = 'NSW', options = {}) {
+  return generateEvidenceSections(evidenceByArea, curriculumOutcomes, state, { ...options, layout: 'flat' });
+}
+
+// ============================================================
+// OUTCOME COVERAGE
+// ============================================================
+
+// Full-width table (A4 less 1" margins is 9026 twips). rows are
+// { cells: [[TextRun, ...], ...], shading }; the first row is the header.
+function coverageTable(columnWidths, rows, brand) {
+  const border = { style: BorderStyle.SINGLE, size: 4, color: brand.colours.divider };
+  return new Table({
+    width: { size: columnWidths.reduce((sum, w) => sum + w, 0), type: WidthType.DXA },
+    columnWidths,
+    borders: { top: border, bottom: border, left: border, right: border, insideHorizontal: border, insideVertical: border },
+    rows: rows.map((row, idx) => new TableRow({
+      tableHeader: idx === 0,
+      children: row.cells.map((runs, col) => new TableCell({
+        width: { size: columnWidths[col], type: WidthType.DXA },
+        margins: { top: 60, bottom: 60, left: 100, right: 100 },
+        shading: row.shading ? { fill: row.shading } : undefined,
+        children: [new Paragraph({ children: runs })]
+      }))
+    }))
+  });
+}
+
+// Each outcome's row is bookmarked for the outcome codes in the evidence to
+// link to. Evidence labels link to their entry when linkEvidence is set (the
+// evidence section is in the document); appendix labels always do.
+function generateOutcomeCoverageTables(coverage, { sectionNumber = 4, brand = DEFAULT_BRAND, linkEvidence = true, numbered = true } = {}) {
+  const sections = [];
+  const font = brand.fonts.body;
+  const run = (text, options = {}) => new TextRun({ text: String(text), size: 20, font, ...options });
+  const bookmarked = new Set();
+  const codeCell = o => {
+    const runs = o.description ? [run(o.code, { bold: true }), run(`: ${o.description}`)] : [run(o.code, { bold: true })];
+    const anchor = anchorName('out', o.code.toUpperCase());
+    if (bookmarked.has(anchor)) return runs;
+    bookmarked.add(anchor);
+    return [new Bookmark({ id: anchor, children: runs })];
+  };
+  const evidenceCell = labels => labels.flatMap((label, i) => [
+    ...(i > 0 ? [run(', ')] : []),
+    linkEvidence || label.startsWith('A') ? linkRun(label, anchorName('ev', label), brand, { size: 20 }) : run(label)
+  ]);
+  const header = labels => ({ cells: labels.map(label => [run(label, { bold: true })]), shading: brand.colours.evidenceHeading });
+
+  if (coverage.areas.length === 0) {
+    sections.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: `No outcomes for ${coverage.yearLevel} were listed in the curriculum outcomes, so coverage cannot be shown.`, italics: true })] }));
+    return sections;
+  }
+
+  sections.push(
+    coverageTable([4026, 1500, 1750, 1750], [
+      header(['Learning Area', 'Outcomes', 'With Evidence', 'Coverage']),
+      ...coverage.areas.map(a => ({ cells: [[run(a.area)], [run(a.total)], [run(a.covered)], [run(`${a.percentage}%`)]] })),
+      { cells: [[run('All areas', { bold: true })], [run(coverage.total, { bold: true })], [run(coverage.covered, { bold: true })], [run(`${coverage.percentage}%`, { bold: true })]] }
+    ], brand)
+  );
+
+  coverage.areas.forEach((area, idx) => {
+    sections.push(
+      headingParagraph(`${sectionNumber}.${idx + 1} ${area.area}`, 2, { numbered }),
+      new Paragraph({ spacing: { after: 80 }, children: [new TextRun({ text: "Coverage: ", bold: true }), new TextRun(`${area.covered} of ${area.total} outcomes have evidence (${area.percentage}%)`)] }),
+      coverageTable([5526, 2300, 1200], [
+        header(['Outcome', 'Evidence Items', 'Count']),
+        ...area.outcomes.map(o => ({
+          cells: [
+            codeCell(o),
+            o.covered ? evidenceCell(o.evidence) : [run('No evidence', { bold: true })],
+            [run(o.count)]
+          ],
+          shading: o.covered ? undefined : brand.colours.coverageGap
+        }))
+      ], brand)
+    );
+  });
+
+  return sections;
+}
+
+// ============================================================
+// GOAL PROGRESS
+// ============================================================
+
+// One row per previous goal (see buildGoalProgress), bookmarked for the
+// evidence that links to it. Goals with no evidence yet are shaded like
+// outcome coverage gaps.
+function generateGoalProgressTable(progress, { brand = DEFAULT_BRAND, linkEvidence = true, outcomeAnchors = new Set() } = {}) {
+  const font = brand.fonts.body;
+  const run = (text, options = {}) => new TextRun({ text: String(text), size: 20, font, ...options });
+  const list = (items, toRun) => items.flatMap((item, i) => [...(i > 0 ? [run(', ')] : []), toRun(item)]);
+  const codeRun = code => (outcomeAnchors.has(code.toUpperCase()) ? linkRun(code, anchorName('out', code.toUpperCase()), brand, { size: 20 }) : run(code));
+  const labelRun = label => (linkEvidence || label.startsWith('A') ? linkRun(label, anchorName('ev', label), brand, { size: 20 }) : run(label));
+  const statusLabel = status => `${status.charAt(0).toUpperCase()}${status.slice(1)}`;
+
+  const summary = `Of ${progress.total} goal${progress.total === 1 ? '' : 's'}, ${progress.achieved} achieved, ${progress.inProgress} in progress and ${progress.notStarted} not started.`;
+  return [
+    new Paragraph({ spacing: { after: 120 }, children: [new TextRun(summary)] }),
+    coverageTable([3426, 2200, 1700, 1700], [
+      { cells: ['Goal', 'Targets', 'Evidence', 'Status'].map(label => [run(label, { bold: true })]), shading: brand.colours.evidenceHeading },
+      ...progress.goals.map(goal => {
+        const missing = [...goal.missing.areas, ...goal.missing.outcomes];
+        return {
+          cells: [
+            [new Bookmark({ id: anchorName('goal', goal.id), children: [run(`${goal.id}: `, { bold: true }), run(goal.text)] })],
+            goal.areas.length + goal.outcomes.length > 0 ? [...list(goal.areas, run), ...(goal.areas.length > 0 && goal.outcomes.length > 0 ? [run(', ')] : []), ...list(goal.outcomes, codeRun)] : [run('–')],
+            goal.evidence.length > 0 ? list(goal.evidence, labelRun) : [run('No evidence', { bold: true })],
+            [run(statusLabel(goal.status), { bold: true }), ...(goal.status === 'in progress' && missing.length > 0 ? [run(`Still to evidence: ${missing.join(', ')}`, { break: 1 })] : [])]
+          ],
+          shading: goal.status === 'not started' ? brand.colours.coverageGap : undefined
+        };
+      })
+    ], brand)
+  ];
+}
+
+// ============================================================
+// EVIDENCE APPENDIX
+// ============================================================
+
+// Appendix A: one table row per appendix-tier entry (see applyEvidenceLimits).
+// Outcome codes in outcomeAnchors link to the outcome coverage section.
+function generateEvidenceAppendix(evidenceByArea, { brand = DEFAULT_BRAND, profile = getCurriculumProfile(), outcomeAnchors = new Set() } = {}) {
+  const appendix = appendixEvidence(evidenceByArea);
+  if (appendix.length === 0) return [];
+
+  const font = brand.fonts.body;
+  const run = (text, options = {}) => new TextRun({ text: String(text), size: 20, font, ...options });
+  const codesCell = codes => (codes.length === 0 ? [run('–')] : codes.flatMap((code, i) => [
+    ...(i > 0 ? [run(', ')] : []),
+    outcomeAnchors.has(code.toUpperCase()) ? linkRun(code, anchorName('out', code.toUpperCase()), brand, { size: 20 }) : run(code)
+  ]));
+  return [
+    headingParagraph("Appendix A. Further Evidence"),
+    new Paragraph({ spacing: { after: 120 }, children: [new TextRun(`These ${appendix.length} entries are part of the learning program but are not written out in full in the evidence section. Outcome coverage refers to them by their reference (A1, A2…).`)] }),
+    coverageTable([700, 1300, 3026, 2000, 2000], [
+      { cells: ['Ref', 'Date', 'Title', 'Learning Areas', 'Outcome Codes'].map(label => [run(label, { bold: true })]), shading: brand.colours.evidenceHeading },
+      ...appendix.map(({ evidence, label }) => ({
+        cells: [
+          [new Bookmark({ id: anchorName('ev', label), children: [run(label, { bold: true })] })],
+          [run(evidence.date || 'Not specified')],
+          [run(evidence.title || 'Untitled')],
+          [run(evidence.areas.join(', '))],
+          codesCell(resolveOutcomeCodes(evidence.matchedOutcomes, profile).codes)
+        ]
+      }))
+    ], brand)
+  ];
+}
+
+// ============================================================
+// RESOURCES EXTRACTOR
+// ============================================================
+
+function extractResourcesFromEvidence(evidenceByArea) {
+  const resources = new Set();
+  const addedLower = new Set();
+  const knownResources = {
+    'minecraft': 'Minecraft (digital game)', 'roblox': 'Roblox (digital game)',
+    'lego': 'LEGO (construction toys)', 'youtube': 'YouTube (video platform)',
+    'flight simulator': 'Flight Simulator (app)', 'flightradar': 'Flight tracking app',
+    'pool': 'Local swimming pool', 'swimming pool': 'Local swimming pool',
+    'geode': 'Geodes (geological specimens)', 'geodes': 'Geodes (geological specimens)',
+    'psychologist': 'Child psychologist sessions', 'the lorax': 'The Lorax (film/book)',
+    'watercolour': 'Watercolour paints', 'watercolor': 'Watercolour paints',
+    'acrylic paint': 'Acrylic paints', 'texta': 'Textas/markers', 'textas': 'Textas/markers',
+    'marker': 'Textas/markers', 'pencil': 'Pencils', 'pencils': 'Pencils',
+    'crayon': 'Crayons', 'crayons': 'Crayons', 'hot glue': 'Hot glue gun',
+    'bead': 'Beads', 'beads': 'Beads', 'paint': 'Paints', 'book': 'Books',
+    'library': 'Library', 'ipad': 'iPad/tablet', 'tablet': 'iPad/tablet', 'computer': 'Computer'
+  };
+
+  if (!evidenceByArea || typeof evidenceByArea !== 'object') return [];
+
+  Object.values(evidenceByArea).forEach(evidenceList => {
+    if (!Array.isArray(evidenceList)) return;
+    evidenceList.forEach(evidence => {
+      const combined = ((evidence.description || '') + ' ' + (evidence.title || '')).toLowerCase();
+      Object.entries(knownResources).forEach(([pattern, name]) => {
+        if (combined.includes(pattern.toLowerCase())) {
+          const lower = name.toLowerCase();
+          if (!addedLower.has(lower)) { addedLower.add(lower); resources.add(name); }
+        }
+      });
     });
+  });
+
+  return Array.from(resources).sort();
+}
+
+// ============================================================
+// PREVIEW MODEL
+// ============================================================
+
+// Resolve a normalised payload into the section-by-section model that
+// generatePortfolio renders, without building a document. Used to debug
+// Airtable/Make.com mappings. Sections the template leaves out are still
+// resolved, with number null.
+function buildPortfolioModel(portfolioData, { evidenceLayout = 'flat', template = readTemplate() } = {}) {
+  const {
+    childName = 'Child',
+    yearLevel = 'Stage 2',
+    reportingPeriod = 'Current Period',
+    parentName,
+    parentname,
+    state = 'NSW',
+    curriculum,
+    learningAreaOverviews = {},
+    evidenceByArea = {},
+    progressAssessment = {},
+    futurePlans = {},
+    curriculumOutcomes = [],
+    aiProgressSummaries = {},
+    enhancedProgressAssessment = {},
+    enhancedFuturePlansOverview = null,
+    programDescription
+  } = portfolioData;
+
+  const parsedFuturePlans = parseFuturePlans(futurePlans);
+  const parsedProgressAssessment = parseProgressAssessment(progressAssessment);
+  const profile = getCurriculumProfile(state);
+  const { curriculumTerm } = profile;
+  const catalogue = getOutcomeCatalogue(profile.outcomeCatalogue);
+  const sections = portfolioSections(portfolioData, template, profile);
+  const sectionNumber = key => sections.findIndex(section => section.key === key) + 1;
+  const placeholders = templatePlaceholders(portfolioData, profile, sections, template);
+
+  const learningAreas = listOverviewAreas(learningAreaOverviews, evidenceByArea, profile).map(({ area, evidence }, idx) => {
+    const overview = (learningAreaOverviews || {})[area] || {};
+    const areaOutcomes = (curriculumOutcomes || []).filter(o => normalizeAreaName(o.learningArea, profile) === area);
+    return {
+      number: sectionNumber('learningAreas') ? `${sectionNumber('learningAreas')}.${idx + 1}` : null,
+      area,
+      expectationsSource: overview.stageStatement ? 'stageStatement' : expectedOutcomes(area, areaOutcomes, evidence, yearLevel, profile).source,
+      progressSource: aiProgressSummaries[area] ? 'aiProgressSummaries' : evidence.length > 0 ? 'evidenceCount' : 'none',
+      evidenceCount: evidence.length,
+      outcomeCount: areaOutcomes.length
+    };
+  });
+
+  const { merged } = collectUniqueEvidence(evidenceByArea);
+  const descriptions = outcomeDescriptionsByCode(curriculumOutcomes);
+  const evidenceSection = sectionNumber('evidence');
+  const evidenceGroups = layoutEvidence(evidenceByArea, { layout: evidenceLayout, sectionNumber: evidenceSection, profile, numbered: template.numbered });
+  const evidenceItems = [
+    ...evidenceGroups.flatMap(group => group.items.map(item => ({ ...item, group: group.number }))),
+    ...appendixEvidence(evidenceByArea).map(item => ({ ...item, group: null, alsoIn: [] }))
+  ].map(({ evidence: item, label, alsoIn, group }, idx) => {
+    const { codes, outcomes, dropped } = resolveOutcomeCodes(item.matchedOutcomes, profile, { descriptions });
+    const attachments = Array.isArray(item.attachments) ? item.attachments : [];
+    return {
+      number: idx + 1,
+      id: item.id || null,
+      label,
+      group,
+      title: item.title || `Evidence ${label}`,
+      date: item.date || null,
+      primaryArea: item.primaryArea,
+      areas: item.areas,
+      alsoIn,
+      tier: item.tier || 'full',
+      photos: item.photos || null,
+      goals: evidenceGoalIds(item),
+      outcomeCodes: codes,
+      outcomes,
+      droppedOutcomes: dropped,
+      attachments: {
+        total: attachments.length,
+        embeddable: attachments.filter(a => a && a.buffer).length,
+        remote: attachments.filter(a => a && !a.buffer && (a.url || (a.thumbnails && a.thumbnails.large))).length
+      }
+    };
+  });
+
+  const progress = {};
+  ['cognitive', 'social', 'emotional', 'physical'].forEach(domain => {
+    progress[domain] = {
+      source: enhancedProgressAssessment[domain] ? 'enhancedProgressAssessment' : parsedProgressAssessment[domain] ? 'progressAssessment' : 'default',
+      text: enhancedProgressAssessment[domain] || parsedProgressAssessment[domain] || 'No assessment provided.'
+    };
+  });
+
+  return {
+    child: { childName, yearLevel, reportingPeriod, parentName: parentName || parentname || 'Parent/Carer', state, curriculum: curriculum || profile.curriculum },
+    curriculumProfile: {
+      state: profile.state,
+      curriculum: profile.curriculum,
+      regulator: profile.regulator,
+      learningAreas: profile.learningAreas,
+      outcomeFormats: profile.outcomeFormats.map(key => OUTCOME_FORMATS[key].name),
+      outcomeCatalogue: catalogue ? { id: catalogue.id, name: catalogue.name, version: catalogue.version, outcomes: catalogue.size } : null,
+      sections: profile.expectedSections
+    },
+    template: {
+      id: template.id,
+      name: template.name,
+      title: fillPlaceholders(template.title, placeholders),
+      contents: template.contents,
+      numbered: template.numbered,
+      sections: sections.map(({ key, heading }, idx) => ({ number: idx + 1, key, heading: fillPlaceholders(heading, placeholders) }))
+    },
+    sections: {
+      programDescription: resolveProgramDescription(programDescription, { childName, curriculumTerm }),
+      learningAreas,
+      evidence: {
+        layout: evidenceLayout,
+        groups: evidenceGroups.filter(group => group.number).map(group => ({ number: group.number, title: group.title, items: group.items.length, seeAlso: group.seeAlso.map(s => s.label) })),
+        items: evidenceItems,
+        deduplicated: merged
+      },
+      outcomeCoverage: { number: sectionNumber('outcomeCoverage') || null, ...buildOutcomeCoverage({ yearLevel, state, curriculumOutcomes, evidenceByArea }, { evidenceLayout, evidenceSection, numbered: template.numbered }) },
+      progressAssessment: progress,
+      goalProgress: { number: sectionNumber('goalProgress') || null, ...buildGoalProgress(portfolioData, { evidenceLayout, evidenceSection, numbered: template.numbered }) },
+      futurePlans: {
+        overview: enhancedFuturePlansOverview || parsedFuturePlans.overview || null,
+        goals: payloadGoals(parsedFuturePlans.goals, profile),
+        strategies: splitStrategies(parsedFuturePlans.strategies || ''),
+        plannedResources: splitResources(parsedFuturePlans.plannedResources || '')
+      },
+      resources: extractResourcesFromEvidence(evidenceByArea)
+    }
+  };
+}
+
+// Validate and normalise exactly as renderPortfolio does, but return the
+// resolved model instead of packing a document. fieldMapping lists the
+// source columns the profile didn't read, to debug a mapping.
+function previewPortfolio(payload, { validationMode = 'lenient', brandId, templateId, evidenceLayout = 'flat', evidenceLimits, fieldMappingId } = {}) {
+  const { valid, errors, warnings, portfolioData, fieldMapping } = validateRenderRequest(payload, { validationMode, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId });
+  if (!valid) throw new PortfolioValidationError(errors, warnings);
+
+  normalizePortfolioData(portfolioData);
+  applyEvidenceLimits(portfolioData, evidenceLimits);
+  warnings.push(...checkEvidenceOutcomes(portfolioData), ...checkGoals(portfolioData));
+  const { id, name } = readBrandProfile(brandId);
+  return { ...buildPortfolioModel(portfolioData, { evidenceLayout, template: readTemplate(templateId) }), brand: { id, name }, fieldMapping, filename: buildFilename(portfolioData), warnings };
+}
+
+// ============================================================
+// PERIOD COMPARISON
+// ============================================================
+//
+// Growth across reporting periods for one child, for registration renewals:
+// evidence per learning area per period, the outcomes first covered in each
+// period and those still uncovered, each period's goals next to the following
+// period's evidence linked to them (or, failing that, that appears to address
+// them), and the progress assessments side by side. Periods are compared in
+// the order given, oldest first. Each period is a portfolio payload, or
+// { snapshotId } for one kept with keepSnapshot when it was generated (see
+// lib/storage).
+
+const PROGRESS_DOMAINS = ['cognitive', 'social', 'emotional', 'physical'];
+
+// Words too common to link a goal to a piece of evidence
+const GOAL_STOPWORDS = new Set(['about', 'also', 'continue', 'develop', 'each', 'from', 'have', 'into', 'more', 'other', 'skills', 'some', 'that', 'their', 'them', 'they', 'this', 'through', 'using', 'when', 'which', 'while', 'will', 'with', 'work']);
+
+// Significant words of a text, with plural and -ing/-ed endings trimmed
+function goalKeywords(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z]+/g) || [];
+  return new Set(words.filter(w => w.length > 3 && !GOAL_STOPWORDS.has(w)).map(w => w.replace(/(?:ing|ed|s)$/, '')));
+}
+
+// Evidence that shares a significant word with the goal, or is filed under a
+// learning area the goal names. matchedOn lists what matched.
+function matchGoalEvidence(goal, evidence) {
+  const keywords = goalKeywords(goal);
+  const goalText = goal.toLowerCase();
+  return evidence.map(item => {
+    const itemWords = goalKeywords(`${item.title || ''} ${item.description || ''}`);
+    const matchedOn = [
+      ...[...keywords].filter(word => itemWords.has(word)),
+      ...(item.areas || []).filter(area => goalText.includes(area.toLowerCase()))
+    ];
+    return { item, matchedOn };
+  }).filter(match => match.matchedOn.length > 0);
+}
+
+// Check the periods of a comparison request. periods have had their
+// snapshots loaded; problems in a period are reported under periods[i].
+// Each period is read through its own fieldMappingId (snapshots keep the
+// one they were generated with), else the request's; the copies are
+// returned as periods.
+function validateComparisonRequest(input, { validationMode = 'lenient', format = 'docx', brandId, fieldMappingId } = {}) {
+  const result = { valid: true, errors: [], warnings: [] };
+  if (!Array.isArray(input) || input.length < 2) {
+    result.errors.push({ path: 'periods', reason: 'must list at least two portfolios (payloads or { snapshotId })' });
+    result.valid = false;
+    return result;
+  }
+
+  const fieldMappingError = validateFieldMappingId(fieldMappingId);
+  if (fieldMappingError) {
+    result.errors.push({ path: 'fieldMappingId', reason: fieldMappingError });
+    result.valid = false;
+  }
+  const periods = input.map((data, idx) => {
+    const own = data && typeof data === 'object' && data.fieldMappingId;
+    const mapped = mapRequestFields(data, own || (fieldMappingError ? undefined : fieldMappingId));
+    if (mapped.error) {
+      result.errors.push({ path: `periods[${idx}].fieldMappingId`, reason: mapped.error });
+      result.valid = false;
+    }
+    result.warnings.push(...mapped.warnings.map(w => ({ ...w, path: `periods[${idx}]${w.path ? `.${w.path}` : ''}` })));
+    return mapped.portfolioData;
+  });
+  result.periods = periods;
+
+  periods.forEach((data, idx) => {
+    const { valid, errors, warnings } = validatePortfolioData(data, { mode: validationMode });
+    result.errors.push(...errors.map(e => ({ ...e, path: `periods[${idx}]${e.path ? `.${e.path}` : ''}` })));
+    result.warnings.push(...warnings.map(w => ({ ...w, path: `periods[${idx}]${w.path ? `.${w.path}` : ''}` })));
+    if (!valid) result.valid = false;
+  });
+
+  const child = name => String(name || '').trim().toLowerCase();
+  const first = periods[0] && periods[0].childName;
+  periods.forEach((data, idx) => {
+    if (idx > 0 && data && child(data.childName) !== child(first)) {
+      result.errors.push({ path: `periods[${idx}].childName`, reason: `is "${data.childName}"; every period must be for the same child ("${first}")` });
+      result.valid = false;
+    }
+  });
+  const seen = periods.map(data => data && data.reportingPeriod);
+  seen.forEach((period, idx) => {
+    if (period && seen.indexOf(period) !== idx) result.warnings.push({ path: `periods[${idx}].reportingPeriod`, reason: `"${period}" is also period ${seen.indexOf(period) + 1}` });
+  });
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    result.errors.unshift({ path: 'format', reason: `must be one of ${OUTPUT_FORMATS.join(', ')}` });
+    result.valid = false;
+  }
+  const brandError = validateBrandId(brandId);
+  if (brandError) {
+    result.errors.unshift({ path: 'brandId', reason: brandError });
+    result.valid = false;
+  }
+  return result;
+}
+
+// Replace { snapshotId } entries with the stored payloads. readSnapshot(id)
+// resolves to a payload, or null for a snapshot that doesn't exist or isn't
+// the caller's; without it, snapshots can't be used. Returns { periods,
+// errors }.
+async function loadComparisonPeriods(periods, { readSnapshot } = {}) {
+  if (!Array.isArray(periods)) return { periods, errors: [] };
+  const errors = [];
+  const loaded = [];
+  for (const [idx, entry] of periods.entries()) {
+    if (!entry || entry.snapshotId === undefined) {
+      loaded.push(entry);
+      continue;
+    }
+    const payload = readSnapshot ? await readSnapshot(entry.snapshotId) : null;
+    if (!payload) {
+      errors.push({ path: `periods[${idx}].snapshotId`, reason: readSnapshot ? 'no stored portfolio with this ID' : 'stored portfolios need a storage backend that keeps files (local, s3 or vercel-blob)' });
+    }
+    loaded.push(payload);
+  }
+  return { periods: loaded, errors };
+}
+
+// The comparison as data, from normalised payloads
+function buildComparisonModel(periods) {
+  const latest = periods[periods.length - 1];
+  const profile = getCurriculumProfile(latest.state);
+
+  const summaries = periods.map(data => {
+    const plans = parseFuturePlans(data.futurePlans);
+    const assessment = parseProgressAssessment(data.progressAssessment);
+    const enhanced = data.enhancedProgressAssessment || {};
+    return {
+      reportingPeriod: data.reportingPeriod || 'Current Period',
+      yearLevel: data.yearLevel || null,
+      profile: getCurriculumProfile(data.state),
+      evidence: collectUniqueEvidence(data.evidenceByArea).evidence,
+      coverage: buildOutcomeCoverage(data),
+      goals: payloadGoals(plans.goals, getCurriculumProfile(data.state)),
+      progress: Object.fromEntries(PROGRESS_DOMAINS.map(domain => [domain, enhanced[domain] || assessment[domain] || null]))
+    };
+  });
+
+  const evidenceAreas = [...profile.learningAreas];
+  summaries.forEach(s => s.evidence.forEach(item => item.areas.forEach(area => { if (!evidenceAreas.includes(area)) evidenceAreas.push(area); })));
+  const evidenceByArea = evidenceAreas.map(area => {
+    const counts = summaries.map(s => s.evidence.filter(item => item.areas.includes(area)).length);
+    return { area, counts, change: counts[counts.length - 1] - counts[0] };
+  }).filter(row => row.counts.some(count => count > 0));
+
+  // An outcome is newly covered in the first period with evidence for it,
+  // and still uncovered in a period if no period so far has evidence for it
+  const firstCovered = new Map();
+  const listed = new Map();
+  summaries.forEach((s, idx) => s.coverage.areas.forEach(area => area.outcomes.forEach(o => {
+    const key = o.code.toUpperCase();
+    if (!listed.has(key)) listed.set(key, { code: o.code, description: o.description, area: area.area });
+    if (o.covered && !firstCovered.has(key)) firstCovered.set(key, idx);
+  })));
+  const outcomes = summaries.map((s, idx) => {
+    const codes = s.coverage.areas.flatMap(area => area.outcomes.map(o => o.code.toUpperCase()));
+    return {
+      reportingPeriod: s.reportingPeriod,
+      total: s.coverage.total,
+      covered: s.coverage.covered,
+      newlyCovered: [...firstCovered.entries()].filter(([, first]) => first === idx).map(([key]) => listed.get(key)),
+      stillUncovered: codes.filter(key => !firstCovered.has(key) || firstCovered.get(key) > idx).map(key => listed.get(key))
+    };
+  });
+
+  // Evidence linked to a goal by its ID decides the goal's status; goals
+  // with none linked get the evidence that appears to match instead
+  const describe = (item, linked, matchedOn = []) => ({ id: item.id || null, title: item.title || 'Untitled evidence', date: item.date || null, areas: item.areas, linked, matchedOn });
+  const goals = summaries.slice(1).map((s, idx) => ({
+    setIn: summaries[idx].reportingPeriod,
+    reviewedIn: s.reportingPeriod,
+    goals: reviewGoals(summaries[idx].goals, s.evidence, { outcomesOf: item => resolveOutcomeCodes(item.matchedOutcomes, s.profile).codes }).map(goal => ({
+      ...goal,
+      evidence: goal.evidence.length > 0
+        ? goal.evidence.map(item => describe(item, true))
+        : matchGoalEvidence(goal.text, s.evidence).map(({ item, matchedOn }) => describe(item, false, matchedOn))
+    }))
+  }));
+
+  return {
+    child: { childName: latest.childName, yearLevel: latest.yearLevel || null, state: profile.state, curriculum: latest.curriculum || profile.curriculum },
+    periods: summaries.map((s, idx) => ({ reportingPeriod: s.reportingPeriod, yearLevel: s.yearLevel, evidenceCount: s.evidence.length, outcomes: { total: outcomes[idx].total, covered: outcomes[idx].covered } })),
+    evidenceByArea,
+    outcomes,
+    goals,
+    progressAssessment: PROGRESS_DOMAINS.map(domain => ({ domain, texts: summaries.map(s => s.progress[domain]) }))
+  };
+}
+
+function comparisonFilename(model, extension = 'docx') {
+  const safeName = (model.child.childName || 'Child').replace(/[^a-zA-Z0-9]/g, '-').substring(0, 50);
+  return `${safeName}-Progress-Comparison.${extension}`;
+}
+
+function generateComparisonReport(model, { brand = DEFAULT_BRAND } = {}) {
+  const { fonts, colours } = brand;
+  const font = fonts.body;
+  const run = (text, options = {}) => new TextRun({ text: String(text), size: 20, font, ...options });
+  const lines = texts => texts.flatMap((text, i) => [run(text, i > 0 ? { break: 1 } : {})]);
+  const header = labels => ({ cells: labels.map(label => [run(label, { bold: true })]), shading: colours.evidenceHeading });
+  const periodNames = model.periods.map(p => p.reportingPeriod);
+  const split = (width, n) => Array.from({ length: n }, (_, i) => Math.floor(width / n) + (i < width % n ? 1 : 0));
+  const currentDate = new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+  const children = [];
+
+  const logo = titlePageLogo(brand);
+  if (logo) children.push(new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: 200, after: 200 }, children: [logo] }));
+  children.push(
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: logo ? 100 : 400, after: 200 }, children: [new TextRun({ text: "Progress Comparison Report", bold: true, size: 56, font: fonts.heading })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: model.child.childName, size: 48, font })] }),
+    ...(model.child.yearLevel ? [new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: model.child.yearLevel, size: 36, font })] })] : []),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 100 }, children: [new TextRun({ text: `${periodNames[0]} to ${periodNames[periodNames.length - 1]}`, size: 36, font })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 300 }, children: [new TextRun({ text: `Date: ${currentDate}`, size: 28, font })] }),
+    new Paragraph({ children: [new PageBreak()] })
+  );
+  const contentsIndex = children.length;
+
+  // 1. Evidence per learning area
+  children.push(
+    headingParagraph("1. Evidence by Learning Area"),
+    new Paragraph({ spacing: { after: 120 }, children: [new TextRun(`The number of learning evidence entries documented for each learning area in each of the ${periodNames.length} reporting periods.`)] })
+  );
+  if (model.evidenceByArea.length === 0) {
+    children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: "No evidence was documented in any period.", italics: true })] }));
+  } else {
+    const totals = model.periods.map(p => p.evidenceCount);
+    children.push(coverageTable([2800, ...split(6226, periodNames.length + 1)], [
+      header(['Learning Area', ...periodNames, 'Change']),
+      ...model.evidenceByArea.map(row => ({ cells: [[run(row.area)], ...row.counts.map(count => [run(count)]), [run(row.change > 0 ? `+${row.change}` : row.change)]] })),
+      { cells: [[run('All entries', { bold: true })], ...totals.map(count => [run(count, { bold: true })]), [run(totals[totals.length - 1] - totals[0] > 0 ? `+${totals[totals.length - 1] - totals[0]}` : totals[totals.length - 1] - totals[0], { bold: true })]] }
+    ], brand));
+    children.push(new Paragraph({ spacing: { before: 60, after: 120 }, children: [new TextRun({ text: "An entry tagged to several learning areas is counted in each of them, and once in the total.", italics: true, size: 20 })] }));
   }
+
+  // 2. Outcomes newly covered and still uncovered
+  children.push(
+    new Paragraph({ children: [new PageBreak()] }),
+    headingParagraph(`2. ${model.child.curriculum} Outcomes Across Periods`),
+    new Paragraph({ spacing: { after: 120 }, children: [new TextRun("For each period, the outcomes listed for the child's stage, how many had evidence that period, which outcomes had evidence for the first time, and how many have had no evidence in any period so far.")] }),
+    coverageTable([2800, ...split(6226, 4)], [
+      header(['Period', 'Outcomes', 'With Evidence', 'Newly Covered', 'Still Uncovered']),
+      ...model.outcomes.map(o => ({ cells: [[run(o.reportingPeriod)], [run(o.total)], [run(o.covered)], [run(o.newlyCovered.length)], [run(o.stillUncovered.length)]] }))
+    ], brand)
+  );
+  const outcomeLine = o => new Paragraph({ numbering: { reference: "bullet-list", level: 0 }, children: [new TextRun({ text: o.code, bold: true }), new TextRun(o.description ? `: ${o.description}` : '')] });
+  let subsection = 1;
+  model.outcomes.forEach((o, idx) => {
+    if (o.newlyCovered.length === 0) return;
+    children.push(headingParagraph(`2.${subsection++} ${idx === 0 ? 'Covered' : 'Newly Covered'} in ${o.reportingPeriod}`, 2));
+    o.newlyCovered.forEach(outcome => children.push(outcomeLine(outcome)));
+  });
+  const remaining = model.outcomes[model.outcomes.length - 1].stillUncovered;
+  children.push(headingParagraph(`2.${subsection} Still Uncovered`, 2));
+  if (remaining.length === 0) {
+    children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: "Every listed outcome now has evidence.", italics: true })] }));
+  } else {
+    [...new Set(remaining.map(o => o.area))].forEach(area => {
+      children.push(new Paragraph({ spacing: { before: 120, after: 60 }, children: [new TextRun({ text: area, bold: true })] }));
+      remaining.filter(o => o.area === area).forEach(outcome => children.push(outcomeLine(outcome)));
+    });
+  }
+
+  // 3. Each period's goals against the next period's evidence
+  children.push(
+    new Paragraph({ children: [new PageBreak()] }),
+    headingParagraph("3. Progress Towards Previous Goals"),
+    new Paragraph({ spacing: { after: 120 }, children: [new TextRun("The learning goals set at the end of each period, next to the evidence from the following period linked to them. A goal's status comes from that evidence. Where no evidence is linked to a goal, evidence that shares words with it or is filed under a learning area it names is listed as possibly related, as a guide rather than a judgement.")] })
+  );
+  model.goals.forEach((review, idx) => {
+    children.push(headingParagraph(`3.${idx + 1} Goals Set in ${review.setIn}`, 2));
+    if (review.goals.length === 0) {
+      children.push(new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: `No learning goals were recorded for ${review.setIn}.`, italics: true })] }));
+      return;
+    }
+    const describeEvidence = e => `${e.title}${e.date ? ` (${e.date})` : ''}`;
+    children.push(coverageTable([3326, 4200, 1500], [
+      header(['Goal', `Evidence in ${review.reviewedIn}`, 'Status']),
+      ...review.goals.map(goal => {
+        const linked = goal.evidence.filter(e => e.linked);
+        let evidenceCell = [run('No matching evidence found', { bold: true })];
+        if (linked.length > 0) evidenceCell = lines(linked.map(describeEvidence));
+        else if (goal.evidence.length > 0) evidenceCell = [run('Possibly related:', { italics: true }), ...goal.evidence.map(e => run(describeEvidence(e), { break: 1 }))];
+        return {
+          cells: [[run(`${goal.id}: `, { bold: true }), run(goal.text)], evidenceCell, [run(`${goal.status.charAt(0).toUpperCase()}${goal.status.slice(1)}`, { bold: true })]],
+          shading: goal.status === 'not started' ? colours.coverageGap : undefined
+        };
+      })
+    ], brand));
+  });
+
+  // 4. Progress assessments side by side
+  children.push(
+    new Paragraph({ children: [new PageBreak()] }),
+    headingParagraph("4. Parent Assessment of Progress Side by Side"),
+    coverageTable([1600, ...split(7426, periodNames.length)], [
+      header(['', ...periodNames]),
+      ...model.progressAssessment.map(row => ({
+        cells: [[run(`${row.domain.charAt(0).toUpperCase()}${row.domain.slice(1)}`, { bold: true })], ...row.texts.map(text => [run(text || 'No assessment provided.', text ? {} : { italics: true })])]
+      }))
+    ], brand)
+  );
+
+  children.splice(contentsIndex, 0, ...generateTableOfContents(children, { brand }));
+  return portfolioDocument(children, brand);
+}
+
+// Load, validate and normalise the periods of a comparison request. Throws
+// PortfolioValidationError, with statusCode 404 for snapshots that can't be
+// found; returns { periods, warnings }.
+async function prepareComparison(periods, { validationMode = 'lenient', format = 'docx', brandId, fieldMappingId, readSnapshot } = {}) {
+  const loaded = await loadComparisonPeriods(periods, { readSnapshot });
+  if (loaded.errors.length > 0) {
+    const error = new PortfolioValidationError(loaded.errors, []);
+    if (readSnapshot) error.statusCode = 404;
+    throw error;
+  }
+  const validated = validateComparisonRequest(loaded.periods, { validationMode, format, brandId, fieldMappingId });
+  if (!validated.valid) throw new PortfolioValidationError(validated.errors, validated.warnings);
+  validated.periods.forEach(data => normalizePortfolioData(data));
+  return { periods: validated.periods, warnings: validated.warnings };
+}
+
+// Render a comparison report for two or more periods of one child. Same
+// options and result as renderPortfolio, plus readSnapshot for periods
+// given as { snapshotId }.
+async function renderComparison(periods, { validationMode = 'lenient', format = 'docx', brandId, fieldMappingId, readSnapshot } = {}) {
+  const prepared = await prepareComparison(periods, { validationMode, format, brandId, fieldMappingId, readSnapshot });
+  const brand = await loadBrand(brandId);
+  const model = buildComparisonModel(prepared.periods);
+  const docxBuffer = await Packer.toBuffer(generateComparisonReport(model, { brand }));
+
+  const files = [];
+  if (format !== 'pdf') {
+    files.push({ format: 'docx', filename: comparisonFilename(model, 'docx'), contentType: CONTENT_TYPES.docx, buffer: docxBuffer, fileSize: docxBuffer.length });
+  }
+  if (format !== 'docx') {
+    const pdfBuffer = await docxToPdf(docxBuffer, { title: `${model.child.childName} - Progress Comparison Report` });
+    files.push({ format: 'pdf', filename: comparisonFilename(model, 'pdf'), contentType: CONTENT_TYPES.pdf, buffer: pdfBuffer, fileSize: pdfBuffer.length });
+  }
+  return { ...files[0], files, warnings: prepared.warnings };
+}
+
+// The comparison model as JSON, without building a document
+async function previewComparison(periods, { validationMode = 'lenient', brandId, fieldMappingId, readSnapshot } = {}) {
+  const prepared = await prepareComparison(periods, { validationMode, brandId, fieldMappingId, readSnapshot });
+  const model = buildComparisonModel(prepared.periods);
+  return { ...model, filename: comparisonFilename(model), warnings: prepared.warnings };
+}
+
+module.exports = {
+  VERSION,
+  OUTPUT_FORMATS,
+  EVIDENCE_LAYOUTS,
+  CONTENT_TYPES,
+  toArray,
+  parseMakeComData,
+  normalizeAreaName,
+  buildEvidenceByArea,
+  normalizePortfolioData,
+  buildFilename,
+  generatePortfolio,
+  generateLearningAreaOverviews,
+  generateEvidenceSections,
+  generateEvidenceSectionsFlat,
+  extractResourcesFromEvidence,
+  collectUniqueEvidence,
+  layoutEvidence,
+  applyEvidenceLimits,
+  resolveOutcomeCodes,
+  checkEvidenceOutcomes,
+  checkGoals,
+  buildOutcomeCoverage,
+  generateOutcomeCoverageTables,
+  buildGoalProgress,
+  portfolioSections,
+  buildPortfolioModel,
+  validatePortfolioData,
+  validateRenderRequest,
+  PortfolioValidationError,
+  renderPortfolio,
+  previewPortfolio,
+  buildComparisonModel,
+  validateComparisonRequest,
+  renderComparison,
+  previewComparison,
+  loadBrand
 };
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validateBrandId } = require('./branding');
+const { validateFieldMappingId } = require('./field-mappings');
+const { log, addContext } = require('./logger');
+
+// ============================================================
+// API KEYS, RATE LIMITS, QUOTAS AND CORS
+// ============================================================
+//
+// Who may call the API. Keys come from API_KEYS (JSON in the environment)
+// or else API_KEYS_FILE (default ./api-keys.json), a list of:
+//
+//   {
+//     "id": "bright-paths",                  // letters, numbers, "-" and "_"
+//     "client": "Bright Paths Tutoring",
+//     "keyHash": "sha256:<hex>",              // or "key": "<the key itself>"
+//     "brandId": "bright-paths",              // optional: the only brand it may use
+//     "fieldMappingId": "bright-paths",       // optional: default field mapping (lib/field-mappings)
+//     "sourceBaseIds": ["appXXXXXXXXXXXXXX"], // the Airtable bases it may read (lib/sources); none without
+//     "rateLimit": 30,                        // optional: requests per minute
+//     "monthlyQuota": 200,                    // optional: documents per calendar month (UTC)
+//     "disabled": false
+//   }
+//
+// With no keys configured every request is accepted, as before, except data
+// source requests unless AIRTABLE_SOURCES_ENABLED=true: record IDs aren't
+// secrets, and the service's Airtable token reads every family's records.
+// Otherwise callers send a key as "Authorization: Bearer <key>" or
+// "X-API-Key: <key>":
+//
+//   401  no key, or a key that isn't configured
+//   403  a disabled key, or a brandId or source base the key may not use
+//   429  over the key's rate limit or monthly quota
+//
+// Rate limits count every request in fixed one-minute windows and are kept
+// in memory. Monthly usage counts generated documents and lives in memory
+// or as one JSON file per key per month (API_USAGE_STORE=file,
+// API_USAGE_DIR). A document is counted when its request is authorised and
+// given back with releaseGeneration if it fails, so requests running at the
+// same time (async jobs) can't go over the quota. Defaults for keys that
+// don't set their own:
+//
+// API_RATE_LIMIT         requests per minute, default 60 (0 for no limit)
+// API_MONTHLY_QUOTA      documents per month, default 0 (no limit)
+// CORS_ALLOWED_ORIGINS   comma-separated browser origins allowed to call the
+//                        API, or * for any; default none
+
+const KEY_ID_PATTERN = /^[\w-]+$/;
+const KEY_HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+const RATE_WINDOW_MS = 60 * 1000;
+const CORS_HEADERS = 'Content-Type, Authorization, X-API-Key';
+
+function hashKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+}
+
+function readKeyConfig({ env = process.env.API_KEYS, file = process.env.API_KEYS_FILE || path.join(process.cwd(), 'api-keys.json') } = {}) {
+  if (env) {
+    try {
+      return { source: 'API_KEYS', entries: JSON.parse(env) };
+    } catch (e) {
+      throw new Error(`API_KEYS is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!fs.existsSync(file)) return { source: file, entries: [] };
+  try {
+    return { source: file, entries: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    throw new Error(`Could not read API keys ${file}: ${e.message}`);
+  }
+}
+
+// Check the configured keys and store every key as a hash
+function loadApiKeys(options) {
+  const { source, entries } = readKeyConfig(options);
+  if (!Array.isArray(entries)) throw new Error(`${source}: must be a list of API keys`);
+
+  const seen = new Set();
+  return entries.map((entry, idx) => {
+    const where = `${source}: [${idx}]`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where} must be an object`);
+    if (typeof entry.id !== 'string' || !KEY_ID_PATTERN.test(entry.id)) throw new Error(`${where}.id must contain only letters, numbers, "-" and "_"`);
+    if (seen.has(entry.id)) throw new Error(`${where}: "${entry.id}" appears more than once`);
+    seen.add(entry.id);
+    if ((entry.key === undefined) === (entry.keyHash === undefined)) throw new Error(`${where} needs exactly one of "key" and "keyHash"`);
+    if (entry.key !== undefined && (typeof entry.key !== 'string' || entry.key.length < 16)) throw new Error(`${where}.key must be at least 16 characters`);
+    if (entry.keyHash !== undefined && !KEY_HASH_PATTERN.test(entry.keyHash)) throw new Error(`${where}.keyHash must be "sha256:" and 64 hex digits`);
+    const brandError = validateBrandId(entry.brandId);
+    if (brandError) throw new Error(`${where}.brandId ${brandError}`);
+    const fieldMappingError = validateFieldMappingId(entry.fieldMappingId);
+    if (fieldMappingError) throw new Error(`${where}.fieldMappingId ${fieldMappingError}`);
+    if (entry.sourceBaseIds !== undefined && (!Array.isArray(entry.sourceBaseIds) || entry.sourceBaseIds.some(id => typeof id !== 'string' || !id))) {
+      throw new Error(`${where}.sourceBaseIds must be a list of Airtable base IDs`);
+    }
+    ['rateLimit', 'monthlyQuota'].forEach(field => {
+      if (entry[field] !== undefined && (!Number.isInteger(entry[field]) || entry[field] < 0)) throw new Error(`${where}.${field} must be a whole number (0 for no limit)`);
+    });
+
+    return {
+      id: entry.id,
+      client: entry.client || entry.id,
+      hash: entry.keyHash || hashKey(entry.key),
+      brandId: entry.brandId || null,
+      fieldMappingId: entry.fieldMappingId || null,
+      sourceBaseIds: entry.sourceBaseIds || null,
+      rateLimit: entry.rateLimit,
+      monthlyQuota: entry.monthlyQuota,
+      disabled: entry.disabled === true
+    };
+  });
+}
+
+// Usage stores count documents per key per month. reserve() counts one
+// unless the quota (0 for none) is used up, checking and counting in one
+// step; both resolve to { reserved, used }. release() gives one back.
+function createUsageStore({ read, write }) {
+  return {
+    reserve: async (keyId, month, quota) => {
+      const used = read(keyId, month);
+      if (quota && used >= quota) return { reserved: false, used };
+      write(keyId, month, used + 1);
+      return { reserved: true, used: used + 1 };
+    },
+    release: async (keyId, month) => {
+      const used = read(keyId, month);
+      if (used > 0) write(keyId, month, used - 1);
+    }
+  };
+}
+
+function createMemoryUsageStore() {
+  const counts = new Map();
+  return createUsageStore({
+    read: (keyId, month) => counts.get(`${keyId}/${month}`) || 0,
+    write: (keyId, month, count) => { counts.set(`${keyId}/${month}`, count); }
+  });
+}
+
+function createFileUsageStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+  const file = (keyId, month) => path.join(directory, `${keyId}-${month}.json`);
+  return createUsageStore({
+    read: (keyId, month) => {
+      try { return JSON.parse(fs.readFileSync(file(keyId, month), 'utf8')).count || 0; }
+      catch (e) { return 0; }
+    },
+    write: (keyId, month, count) => { fs.writeFileSync(file(keyId, month), JSON.stringify({ keyId, month, count })); }
+  });
+}
+
+// "2025-07" for the calendar month (UTC) of now, and when the next starts
+function usageMonth(now = new Date()) {
+  return {
+    month: now.toISOString().slice(0, 7),
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+  };
+}
+
+function parseOrigins(value) {
+  return String(value || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+// The key a request presents, or null
+function requestKey(req) {
+  const headers = req.headers || {};
+  const bearer = String(headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  return headers['x-api-key'] ? String(headers['x-api-key']).trim() : null;
+}
+
+function createAccessControl({
+  keys = loadApiKeys(),
+  allowedOrigins = parseOrigins(process.env.CORS_ALLOWED_ORIGINS),
+  defaultRateLimit = process.env.API_RATE_LIMIT !== undefined && process.env.API_RATE_LIMIT !== '' ? Number(process.env.API_RATE_LIMIT) : 60,
+  defaultMonthlyQuota = Number(process.env.API_MONTHLY_QUOTA) || 0,
+  usageStore = process.env.API_USAGE_STORE || 'memory',
+  usageDirectory = process.env.API_USAGE_DIR || path.join(process.cwd(), 'storage', 'usage'),
+  sourcesEnabled = process.env.AIRTABLE_SOURCES_ENABLED === 'true',
+  now = () => Date.now()
+} = {}) {
+  const usage = usageStore === 'file' ? createFileUsageStore(usageDirectory) : createMemoryUsageStore();
+  const windows = new Map();
+  const enabled = keys.length > 0;
+  if (!enabled) log.warn('No API keys configured: every request is accepted');
+
+  const reject = (res, status, body, headers = {}) => {
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, String(value)));
+    res.status(status).json({ success: false, ...body });
+    return null;
+  };
+
+  function findKey(presented) {
+    const given = Buffer.from(hashKey(presented));
+    return keys.find(key => {
+      const expected = Buffer.from(key.hash);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }) || null;
+  }
+
+  // Fixed one-minute windows; returns { allowed, limit, remaining, retryAfter }
+  function countRequest(key) {
+    const limit = key.rateLimit !== undefined ? key.rateLimit : defaultRateLimit;
+    if (!limit) return { allowed: true, limit: 0 };
+    const time = now();
+    let window = windows.get(key.id);
+    if (!window || time - window.start >= RATE_WINDOW_MS) {
+      window = { start: time, count: 0 };
+      windows.set(key.id, window);
+    }
+    if (window.count >= limit) return { allowed: false, limit, remaining: 0, retryAfter: Math.ceil((window.start + RATE_WINDOW_MS - time) / 1000) };
+    window.count++;
+    return { allowed: true, limit, remaining: limit - window.count };
+  }
+
+  return {
+    enabled,
+
+    // Answer CORS for the allowed origins. Resolves to true when the
+    // response has been sent: a preflight, or a browser origin that isn't
+    // allowed. Requests without an Origin (servers, Make.com) go through.
+    handleCors(req, res, { methods = 'GET, POST, OPTIONS' } = {}) {
+      const origin = req.headers && req.headers.origin;
+      const allowed = origin && (allowedOrigins.includes('*') || allowedOrigins.includes(origin.replace(/\/$/, '')));
+      if (allowed) {
+        res.setHeader('Access-Control-Allow-Origin', allowedOrigins.includes('*') ? '*' : origin);
+        res.setHeader('Access-Control-Allow-Methods', methods);
+        res.setHeader('Access-Control-Allow-Headers', CORS_HEADERS);
+        res.setHeader('Vary', 'Origin');
+      }
+      if (origin && !allowed) {
+        reject(res, 403, { error: 'Origin not allowed', origin });
+        return true;
+      }
+      if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return true;
+      }
+      return false;
+    },
+
+    // Check the request's key, brand, data source, rate limit and (for
+    // requests that generate a document) monthly quota. Resolves to
+    // { client, brandId, fieldMappingId } - client is null when no keys are
+    // configured - or sends the 401/403/429 response and resolves to null.
+    // brandId and fieldMappingId are the ones requested, else the key's own;
+    // source is the request's source, if it has one. A generation request
+    // is counted against the quota here: pass its client to
+    // releaseGeneration if no document is made.
+    async authorize(req, res, { brandId, fieldMappingId, source, generation = false } = {}) {
+      if (!enabled) {
+        if (source !== undefined && !sourcesEnabled) {
+          return reject(res, 403, { error: 'Data sources not enabled', reason: 'set AIRTABLE_SOURCES_ENABLED=true, or configure API keys with sourceBaseIds' });
+        }
+        return { client: null, brandId, fieldMappingId };
+      }
+
+      const presented = requestKey(req);
+      if (!presented) return reject(res, 401, { error: 'API key required', reason: 'send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"' }, { 'WWW-Authenticate': 'Bearer' });
+      const key = findKey(presented);
+      if (!key) return reject(res, 401, { error: 'Invalid API key' }, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+      addContext({ clientId: key.id });
+      if (key.disabled) return reject(res, 403, { error: 'API key disabled', client: key.client });
+      if (key.brandId && brandId && brandId !== key.brandId) {
+        return reject(res, 403, { error: 'Brand not allowed for this API key', reason: `this key can only use brandId "${key.brandId}"`, client: key.client });
+      }
+      const sourceBaseId = source && typeof source === 'object' ? source.baseId : undefined;
+      if (source !== undefined && !(key.sourceBaseIds || []).includes(sourceBaseId)) {
+        const reason = key.sourceBaseIds && key.sourceBaseIds.length > 0 ? `this key can only read ${key.sourceBaseIds.join(', ')}` : 'this key has no sourceBaseIds';
+        return reject(res, 403, { error: 'Source base not allowed for this API key', reason, client: key.client });
+      }
+
+      const rate = countRequest(key);
+      if (rate.limit) {
+        res.setHeader('X-RateLimit-Limit', String(rate.limit));
+        res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+      }
+      if (!rate.allowed) {
+        return reject(res, 429, { error: 'Rate limit exceeded', reason: `at most ${rate.limit} requests per minute`, retryAfter: rate.retryAfter }, { 'Retry-After': rate.retryAfter });
+      }
+
+      const client = { id: key.id, client: key.client, brandId: key.brandId, usageMonth: null };
+      if (generation) {
+        const quota = key.monthlyQuota !== undefined ? key.monthlyQuota : defaultMonthlyQuota;
+        const { month, resetsAt } = usageMonth(new Date(now()));
+        const { reserved, used } = await usage.reserve(key.id, month, quota);
+        if (!reserved) {
+          const retryAfter = Math.ceil((new Date(resetsAt).getTime() - now()) / 1000);
+          return reject(res, 429, { error: 'Monthly quota exceeded', reason: `${used} of ${quota} documents generated in ${month}`, quota, used, resetsAt }, { 'Retry-After': retryAfter });
+        }
+        client.usageMonth = month;
+      }
+
+      return { client, brandId: brandId || key.brandId || undefined, fieldMappingId: fieldMappingId || key.fieldMappingId || undefined };
+    },
+
+    // Give back the document counted when a generation request was
+    // authorised, once it has failed. Only the first call for a client counts.
+    async releaseGeneration(client) {
+      if (!client || !client.usageMonth) return;
+      const month = client.usageMonth;
+      client.usageMonth = null;
+      try {
+        await usage.release(client.id, month);
+      } catch (error) {
+        log.error('Could not release quota', { clientId: client.id, error });
+      }
+    }
+  };
+}
+
+module.exports = {
+  hashKey,
+  loadApiKeys,
+  createAccessControl
+};
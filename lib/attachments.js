@@ -0,0 +1,251 @@
+const http = require('http');
+const https = require('https');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { HostError, parseHostList, publicLookup, checkUrl: checkHostUrl } = require('./hosts');
+
+// ============================================================
+// ATTACHMENT RESOLVER
+// ============================================================
+//
+// Airtable sends evidence photos as { url, type, width, height, thumbnails }
+// rather than image data, and phone photos are often HEIC or 4000px+ JPEGs.
+// resolveAttachments downloads them (with a concurrency limit, timeout and
+// size cap), fixes EXIF rotation, downscales and recompresses them, and
+// converts everything to JPEG or PNG so ImageRun can embed it. Resolved
+// attachments get { buffer, mimeType, width, height } with the real pixel
+// dimensions; ones that fail are dropped and reported as warnings. Non-image
+// attachments (PDFs, documents) are left as they are.
+//
+// ATTACHMENT_CONCURRENCY     parallel downloads, default 4
+// ATTACHMENT_TIMEOUT_MS      per download, default 15000
+// ATTACHMENT_MAX_BYTES       largest download accepted, default 20 MB
+// ATTACHMENT_MAX_DIMENSION   longest side after resizing, default 1600px
+// ATTACHMENT_ALLOWED_HOSTS   optional comma-separated host allowlist;
+//                            ".example.com" also matches subdomains
+// ATTACHMENT_ALLOW_PRIVATE_HOSTS  'true' to allow loopback, private and
+//                            link-local addresses (blocked by default)
+//
+// Redirects are followed by hand, at most MAX_REDIRECTS of them, and every
+// hop is checked against the allowlist (lib/hosts). Addresses are checked as
+// the connection is made.
+
+const DEFAULTS = {
+  concurrency: Number(process.env.ATTACHMENT_CONCURRENCY) || 4,
+  timeoutMs: Number(process.env.ATTACHMENT_TIMEOUT_MS) || 15000,
+  maxBytes: Number(process.env.ATTACHMENT_MAX_BYTES) || 20 * 1024 * 1024,
+  maxDimension: Number(process.env.ATTACHMENT_MAX_DIMENSION) || 1600,
+  jpegQuality: 80,
+  allowedHosts: parseHostList(process.env.ATTACHMENT_ALLOWED_HOSTS),
+  allowPrivateHosts: process.env.ATTACHMENT_ALLOW_PRIVATE_HOSTS === 'true'
+};
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+class AttachmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentError';
+  }
+}
+
+// The shared host checks (lib/hosts), failing with AttachmentError
+function checkUrl(url, { allowedHosts, allowPrivateHosts }) {
+  try {
+    return checkHostUrl(url, { allowedHosts, allowPrivateHosts, allowlistSetting: 'ATTACHMENT_ALLOWED_HOSTS' });
+  } catch (e) {
+    throw new AttachmentError(e.message);
+  }
+}
+
+// Resolves to the response once its headers have arrived. Each download
+// gets its own connection: a pooled one would skip the address check.
+function get(url, { signal, allowPrivateHosts }) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { signal, agent: false, lookup: allowPrivateHosts ? undefined : publicLookup }, resolve).on('error', reject);
+  });
+}
+
+// Use Airtable's large thumbnail when the original is over the size cap
+function pickSourceUrl(att, maxBytes) {
+  const large = att.thumbnails && (att.thumbnails.full || att.thumbnails.large);
+  if (att.size && att.size > maxBytes && large && large.url) return large.url;
+  return att.url || (large && large.url) || null;
+}
+
+async function download(url, { timeoutMs, maxBytes, allowedHosts, allowPrivateHosts }) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  const failure = e => {
+    if (e instanceof AttachmentError) return e;
+    if (e instanceof HostError) return new AttachmentError(e.message);
+    return new AttachmentError(signal.aborted ? `download timed out after ${timeoutMs}ms` : `download failed: ${e.message}`);
+  };
+
+  let current = checkUrl(url, { allowedHosts, allowPrivateHosts });
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await get(current, { signal, allowPrivateHosts });
+    } catch (e) {
+      throw failure(e);
+    }
+    if (!REDIRECT_STATUSES.includes(response.statusCode) || !response.headers.location) break;
+    response.resume();
+    if (redirects === MAX_REDIRECTS) throw new AttachmentError(`more than ${MAX_REDIRECTS} redirects`);
+    current = checkUrl(new URL(response.headers.location, current).href, { allowedHosts, allowPrivateHosts });
+  }
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw new AttachmentError(`download failed with HTTP ${response.statusCode}`);
+  }
+
+  const declared = Number(response.headers['content-length']);
+  if (declared > maxBytes) {
+    response.destroy();
+    throw new AttachmentError(`file is ${declared} bytes, over the ${maxBytes} byte limit`);
+  }
+
+  const chunks = [];
+  let received = 0;
+  try {
+    for await (const chunk of response) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        response.destroy();
+        throw new AttachmentError(`file is over the ${maxBytes} byte limit`);
+      }
+      chunks.push(chunk);
+    }
+  } catch (e) {
+    throw failure(e);
+  }
+  return { buffer: Buffer.concat(chunks), contentType: response.headers['content-type'] || '' };
+}
+
+// HEIC/HEIF files start with an ftyp box naming one of these brands
+function isHeic(buffer, type = '') {
+  if (/image\/hei[cf]/i.test(type)) return true;
+  if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') return false;
+  return ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('latin1', 8, 12));
+}
+
+// Normalise any supported image into an embeddable JPEG or PNG
+async function processImage(buffer, { type = '', maxDimension = DEFAULTS.maxDimension, jpegQuality = DEFAULTS.jpegQuality } = {}) {
+  let input = buffer;
+  if (isHeic(buffer, type)) {
+    try {
+      input = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: jpegQuality / 100 }));
+    } catch (e) {
+      throw new AttachmentError(`could not decode HEIC image: ${e.message}`);
+    }
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (e) {
+    throw new AttachmentError('not a supported image');
+  }
+
+  // PNG and GIF keep transparency as PNG; everything else becomes JPEG
+  const keepPng = (metadata.format === 'png' || metadata.format === 'gif') && metadata.hasAlpha;
+  const pipeline = sharp(input, { failOn: 'none', animated: false })
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+  const { data, info } = await (keepPng ? pipeline.png({ compressionLevel: 9 }) : pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: jpegQuality, mozjpeg: true }))
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, mimeType: keepPng ? 'image/png' : 'image/jpeg', width: info.width, height: info.height };
+}
+
+// Download and normalise a single image (used for branding logos)
+async function fetchImage(url, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { buffer, contentType } = await download(url, settings);
+  return processImage(buffer, { ...settings, type: contentType });
+}
+
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < tasks.length) {
+      const i = nextIndex++;
+      results[i] = await tasks[i]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+// Resolve every attachment in evidenceByArea in place. The same evidence
+// object can be listed under several areas; each is only processed once.
+// Returns { resolved, failed: [{ path, reason }] }.
+async function resolveAttachments(evidenceByArea, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const seen = new Set();
+  const jobs = [];
+
+  Object.entries(evidenceByArea || {}).forEach(([area, list]) => {
+    (Array.isArray(list) ? list : []).forEach((evidence, idx) => {
+      if (!evidence || !Array.isArray(evidence.attachments) || seen.has(evidence.attachments)) return;
+      seen.add(evidence.attachments);
+      evidence.attachments.forEach((raw, attIdx) => {
+        const att = typeof raw === 'string' ? { url: raw } : raw;
+        if (!att || typeof att !== 'object') return;
+        const areaKey = /^[A-Za-z_$][\w$]*$/.test(area) ? `.${area}` : `[${JSON.stringify(area)}]`;
+        const path = `evidenceByArea${areaKey}[${idx}].attachments[${attIdx}]`;
+        jobs.push({ evidence, att, path });
+      });
+    });
+  });
+
+  const outcomes = await runWithConcurrency(jobs.map(({ att, path }) => async () => {
+    const type = att.type || att.mimeType || '';
+    if (type && !/^image\//i.test(type)) return { path, skipped: true };
+    try {
+      let source = att.buffer;
+      if (!source) {
+        const url = pickSourceUrl(att, settings.maxBytes);
+        if (!url) return { path, error: 'attachment has neither data nor a URL' };
+        const downloaded = await download(url, settings);
+        source = downloaded.buffer;
+        if (!type && downloaded.contentType && !/^image\//i.test(downloaded.contentType) && !isHeic(source)) {
+          return { path, error: `not an image (${downloaded.contentType})` };
+        }
+      }
+      const processed = await processImage(Buffer.isBuffer(source) ? source : Buffer.from(source, 'base64'), { ...settings, type });
+      return { path, processed };
+    } catch (e) {
+      return { path, error: e instanceof AttachmentError ? e.message : `could not process image: ${e.message}` };
+    }
+  }), settings.concurrency);
+
+  const failed = [];
+  let resolved = 0;
+  const keep = new Map();
+  jobs.forEach(({ evidence, att }, i) => {
+    const outcome = outcomes[i];
+    if (!keep.has(evidence)) keep.set(evidence, []);
+    if (outcome.processed) {
+      keep.get(evidence).push({ ...att, ...outcome.processed });
+      resolved++;
+    } else if (outcome.skipped) {
+      keep.get(evidence).push(att);
+    } else if (outcome.error) {
+      failed.push({ path: outcome.path, reason: `attachment ${att.filename ? `"${att.filename}" ` : ''}was not embedded: ${outcome.error}` });
+    }
+  });
+  keep.forEach((attachments, evidence) => { evidence.attachments = attachments; });
+
+  return { resolved, failed };
+}
+
+module.exports = {
+  resolveAttachments,
+  fetchImage,
+  processImage,
+  AttachmentError
+};
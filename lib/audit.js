@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { log, requestContext, redactText } = require('./logger');
+
+// ============================================================
+// GENERATION AUDIT TRAIL
+// ============================================================
+//
+// One record per portfolio or comparison report generated (or refused as
+// invalid, or failed), kept apart from the logs and only ever appended to:
+//
+//   { time, requestId, event: 'generate' | 'compare',
+//     outcome: 'succeeded' | 'invalid' | 'failed',
+//     client: { id, client } | null, childRecordId, brandId, templateId, format,
+//     jobId, files: [{ format, fileSize, checksum, storage, id }], snapshotId,
+//     errors, error }
+//
+// Records hold no names or portfolio content: the child is identified by the
+// payload's childRecordId (e.g. the Airtable record ID) and each file by its
+// checksum and storage location. invalid records list the failing paths
+// (errors), and failed records the error message with quoted values
+// redacted as in the logs, for tracing with the request ID.
+//
+// Stores, chosen with AUDIT_STORE (each deployment has its own default):
+//
+//   file   JSON lines appended to AUDIT_LOG (default ./storage/audit.jsonl)
+//   log    a "Generation audit" line in the structured logs
+//   none   no audit trail
+
+const AUDIT_STORES = ['file', 'log', 'none'];
+
+function createFileAuditStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return record => fs.appendFileSync(file, `${JSON.stringify(record)}\n`, { flag: 'a' });
+}
+
+// The payload's child record ID, or null
+function childRecordId(portfolioData) {
+  const id = portfolioData && (portfolioData.childRecordId || portfolioData['Child Record ID']);
+  return id === undefined || id === null || id === '' ? null : String(id);
+}
+
+// The file fields of a storePortfolioFiles() result, without names or links
+function auditFiles(stored, format) {
+  const files = stored.files || [{ ...stored, format }];
+  return files.map(file => ({ format: file.format, fileSize: file.fileSize, checksum: file.checksum, storage: file.storage, id: file.id || null }));
+}
+
+function createAuditTrail({
+  store,
+  defaultStore = 'file',
+  file = process.env.AUDIT_LOG || path.join(process.cwd(), 'storage', 'audit.jsonl')
+} = {}) {
+  const name = store || process.env.AUDIT_STORE || defaultStore;
+  if (!AUDIT_STORES.includes(name)) {
+    throw new Error(`Unknown audit store "${name}" (expected one of ${AUDIT_STORES.join(', ')})`);
+  }
+  const append = name === 'file' ? createFileAuditStore(file) : name === 'log' ? record => log.info('Generation audit', { audit: record }) : null;
+
+  return {
+    name,
+
+    // Append a record. The request ID comes from the log context. An audit
+    // store that can't be written is logged, not thrown, so it never fails a
+    // generation that has already happened.
+    record({ event, outcome, client = null, portfolioData, ...details }) {
+      if (!append) return;
+      const record = {
+        time: new Date().toISOString(),
+        requestId: requestContext().requestId || null,
+        event,
+        outcome,
+        client: client && { id: client.id, client: client.client },
+        childRecordId: childRecordId(portfolioData),
+        ...details,
+        ...(typeof details.error === 'string' && { error: redactText(details.error) })
+      };
+      try {
+        append(record);
+      } catch (e) {
+        log.error('Audit record could not be written', { error: e, event, outcome });
+      }
+    }
+  };
+}
+
+module.exports = {
+  AUDIT_STORES,
+  createAuditTrail,
+  childRecordId,
+  auditFiles
+};
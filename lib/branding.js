@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchImage, processImage } = require('./attachments');
+const { log } = require('./logger');
+
+// ============================================================
+// BRANDING PROFILES
+// ============================================================
+//
+// The organisation a portfolio is issued under: the name and ABN in the
+// footer, the website, the title-page logo, fonts, colours and the title-page
+// disclaimer. The built-in profile is OneHome Education. Partner
+// practitioners get one JSON file each in BRANDS_DIR (default ./brands),
+// selected per request with brandId = the file name without .json:
+//
+//   {
+//     "name": "Bright Paths Tutoring",
+//     "organisation": "Bright Paths Pty Ltd",
+//     "abn": "12 345 678 901",
+//     "url": "www.brightpaths.com.au",
+//     "logo": "bright-paths.png",               // file in BRANDS_DIR, or an https URL
+//     "fonts": { "body": "Calibri", "heading": "Calibri" },
+//     "colours": { "heading": "1F6F5C" },
+//     "disclaimer": "Prepared with Bright Paths' portfolio service."
+//   }
+//
+// Fonts and colours not given fall back to the defaults below. Identity
+// fields do not: a partner profile never inherits OneHome's name or ABN.
+// Profiles and logos are cached for the life of the process.
+
+const DEFAULT_BRAND_ID = 'onehome';
+
+const DEFAULT_FONTS = { body: 'Aptos', heading: 'Aptos' };
+
+const DEFAULT_COLOURS = {
+  heading: '2E74B5',
+  footer: '666666',
+  evidenceHeading: 'E8F4FC',
+  disclaimerBackground: 'F5F5F5',
+  divider: 'CCCCCC',
+  coverageGap: 'FDECEA',
+  link: '0563C1'
+};
+
+const DEFAULT_BRAND = {
+  id: DEFAULT_BRAND_ID,
+  name: 'OneHome Education',
+  organisation: 'Affirming Connections',
+  abn: '57 886 895 482',
+  url: 'www.affirmingconnections.com.au',
+  logo: path.join(__dirname, '..', 'assets', 'OneHomeEd_Logo.jpg'),
+  fonts: DEFAULT_FONTS,
+  colours: DEFAULT_COLOURS,
+  disclaimer: "This portfolio was generated using OneHome Education's automated portfolio system. Learning evidence and assessments were provided by the parent/carer and enhanced using AI assistance."
+};
+
+const LOGO_MAX_DIMENSION = 600;
+const BRAND_ID_PATTERN = /^[\w-]+$/;
+
+const brandCache = new Map();
+
+function brandsDir() {
+  return process.env.BRANDS_DIR || path.join(process.cwd(), 'brands');
+}
+
+function brandFile(brandId) {
+  return path.join(brandsDir(), `${brandId}.json`);
+}
+
+// Returns an error string for an unusable brandId, or null
+function validateBrandId(brandId) {
+  if (brandId === undefined || brandId === null || brandId === '' || brandId === DEFAULT_BRAND_ID) return null;
+  if (typeof brandId !== 'string' || !BRAND_ID_PATTERN.test(brandId)) return 'must contain only letters, numbers, "-" and "_"';
+  if (!fs.existsSync(brandFile(brandId))) return `no branding profile named "${brandId}"`;
+  return null;
+}
+
+function checkColours(colours, file) {
+  Object.entries(colours).forEach(([key, value]) => {
+    if (!/^[0-9A-Fa-f]{6}$/.test(String(value))) {
+      throw new Error(`${file}: colours.${key} must be a 6-digit hex colour such as "2E74B5"`);
+    }
+  });
+}
+
+// The profile without its logo image, for callers that only need text,
+// fonts and colours
+function readBrandProfile(brandId) {
+  if (!brandId || brandId === DEFAULT_BRAND_ID) return DEFAULT_BRAND;
+
+  const file = brandFile(brandId);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read branding profile ${file}: ${e.message}`);
+  }
+  if (!config.name) throw new Error(`${file}: "name" is required`);
+
+  const colours = { ...DEFAULT_COLOURS, ...config.colours };
+  checkColours(colours, file);
+
+  const logo = config.logo && !/^https?:\/\//i.test(config.logo) ? path.resolve(brandsDir(), config.logo) : config.logo || null;
+
+  return {
+    id: brandId,
+    name: config.name,
+    organisation: config.organisation || null,
+    abn: config.abn || null,
+    url: config.url || null,
+    logo,
+    fonts: { ...DEFAULT_FONTS, ...config.fonts },
+    colours,
+    disclaimer: config.disclaimer !== undefined ? config.disclaimer : `This portfolio was generated using ${config.name}'s portfolio system. Learning evidence and assessments were provided by the parent/carer.`
+  };
+}
+
+async function loadLogo(logo) {
+  if (!logo) return null;
+  if (/^https?:\/\//i.test(logo)) return fetchImage(logo, { maxDimension: LOGO_MAX_DIMENSION });
+  return processImage(await fs.promises.readFile(logo), { maxDimension: LOGO_MAX_DIMENSION });
+}
+
+// Full profile with logoImage = { buffer, mimeType, width, height } or null.
+// A logo that cannot be loaded is logged and left out rather than failing
+// the portfolio.
+async function loadBrand(brandId) {
+  const id = brandId || DEFAULT_BRAND_ID;
+  if (brandCache.has(id)) return brandCache.get(id);
+
+  const profile = readBrandProfile(id);
+  let logoImage = null;
+  try {
+    logoImage = await loadLogo(profile.logo);
+  } catch (e) {
+    log.error('Brand logo could not be loaded', { brandId: id, error: e.message });
+  }
+
+  // Don't cache a logo that failed to load, so it is retried next time
+  const brand = { ...profile, logoImage };
+  if (logoImage || !profile.logo) brandCache.set(id, brand);
+  return brand;
+}
+
+// "Name | Organisation | ABN: …" for the footer
+function brandFooterLine(brand) {
+  return [brand.name, brand.organisation, brand.abn && `ABN: ${brand.abn}`].filter(Boolean).join(' | ');
+}
+
+module.exports = {
+  DEFAULT_BRAND_ID,
+  DEFAULT_BRAND,
+  validateBrandId,
+  readBrandProfile,
+  loadBrand,
+  brandFooterLine
+};
@@ -0,0 +1,213 @@
+// ============================================================
+// CURRICULUM PROFILES
+// ============================================================
+//
+// Everything that differs between states and territories: the curriculum a
+// portfolio is written against, its learning areas (the standard list shown
+// in section 2, in order) and how Airtable area names map onto them, which
+// outcome code formats are recognised, which outcome catalogue describes them
+// (lib/outcome-catalogue), the regulatory wording in section 1.1 and which
+// report sections the home education regulator expects, in order.
+//
+// Section keys: programOverview, learningAreas, evidence, outcomeCoverage,
+// progressAssessment, goalProgress, futurePlans, resources. Profiles are
+// selected by the payload's `state`; anything unrecognised uses NSW.
+
+const DEFAULT_STATE = 'NSW';
+
+const ALL_SECTIONS = ['programOverview', 'learningAreas', 'evidence', 'outcomeCoverage', 'progressAssessment', 'goalProgress', 'futurePlans', 'resources'];
+
+// Full match of a code, and how to find one inside "CODE: description" text.
+// Codes use E (NSW Early Stage 1) or F (Foundation) in place of a stage or
+// year number.
+const OUTCOME_FORMATS = {
+  nsw: { name: 'NSW syllabus', pattern: /^(EN|MA|ST|HS|PH|CA)(?:\d|E)-[A-Z]{2,6}-\d{2}$/, find: /([A-Z]{2,3}\d?-[A-Z]{2,6}-\d{2})/ },
+  ac9: { name: 'Australian Curriculum v9', pattern: /^AC9[A-Z]{1,4}(?:\d{1,2}|F)[A-Z]{1,3}\d{2}$/, find: /(AC9[A-Z]{1,4}(?:\d{1,2}|F)[A-Z]{1,3}\d{2})/ },
+  ac8: { name: 'Australian Curriculum v8', pattern: /^AC[A-Z]{3,5}\d{3,4}$/, find: /\b(AC[A-Z]{3,5}\d{3,4})\b/ },
+  vc2: { name: 'Victorian Curriculum 2.0', pattern: /^VC2[A-Z]{1,4}(?:\d{1,2}|F)[A-Z]{1,3}\d{2}$/, find: /(VC2[A-Z]{1,4}(?:\d{1,2}|F)[A-Z]{1,3}\d{2})/ },
+  vc1: { name: 'Victorian Curriculum', pattern: /^VC[A-Z]{2,6}\d{3}$/, find: /\b(VC[A-Z]{2,6}\d{3})\b/ }
+};
+
+const AC_LEARNING_AREAS = ['English', 'Mathematics', 'Science', 'Humanities and Social Sciences', 'The Arts', 'Technologies', 'Health and Physical Education', 'Languages'];
+
+// Keys are lower-case
+const AC_AREA_MAPPINGS = {
+  'english': 'English',
+  'mathematics': 'Mathematics',
+  'maths': 'Mathematics',
+  'math': 'Mathematics',
+  'science': 'Science',
+  'science & technology': 'Science',
+  'science and technology': 'Science',
+  'humanities and social sciences': 'Humanities and Social Sciences',
+  'humanities': 'Humanities and Social Sciences',
+  'hass': 'Humanities and Social Sciences',
+  'hsie': 'Humanities and Social Sciences',
+  'hsie (history, geography etc)': 'Humanities and Social Sciences',
+  'history': 'Humanities and Social Sciences',
+  'geography': 'Humanities and Social Sciences',
+  'civics and citizenship': 'Humanities and Social Sciences',
+  'economics and business': 'Humanities and Social Sciences',
+  'the arts': 'The Arts',
+  'arts': 'The Arts',
+  'creative arts': 'The Arts',
+  'art': 'The Arts',
+  'visual arts': 'The Arts',
+  'media arts': 'The Arts',
+  'music': 'The Arts',
+  'drama': 'The Arts',
+  'dance': 'The Arts',
+  'technologies': 'Technologies',
+  'technology': 'Technologies',
+  'digital technologies': 'Technologies',
+  'design and technologies': 'Technologies',
+  'health and physical education': 'Health and Physical Education',
+  'hpe': 'Health and Physical Education',
+  'pdhpe': 'Health and Physical Education',
+  'pdhpe (health, physical education)': 'Health and Physical Education',
+  'health': 'Health and Physical Education',
+  'pe': 'Health and Physical Education',
+  'physical education': 'Health and Physical Education',
+  'languages': 'Languages',
+  'lote': 'Languages'
+};
+
+// Australian Curriculum states differ only in names and regulator
+function australianCurriculumProfile({ state, curriculum = 'Australian Curriculum', regulator, legislation, outcomeFormats = ['ac9', 'ac8'], expectedSections = ALL_SECTIONS }) {
+  return {
+    state,
+    curriculum,
+    curriculumTerm: 'curriculum',
+    learningAreas: AC_LEARNING_AREAS,
+    areaMappings: AC_AREA_MAPPINGS,
+    outcomeFormats,
+    outcomeCatalogue: null,
+    regulator,
+    legislation,
+    frameworkStatement: `Our home education program aligns with the {curriculum} and covers the learning areas required for home education under the ${legislation}, as administered by the ${regulator}.`,
+    expectedSections
+  };
+}
+
+const CURRICULUM_PROFILES = {
+  NSW: {
+    state: 'NSW',
+    curriculum: 'NSW Syllabus',
+    curriculumTerm: 'syllabus',
+    learningAreas: ['English', 'Mathematics', 'Science & Technology', 'HSIE', 'PDHPE', 'Creative Arts'],
+    areaMappings: {
+      'english': 'English',
+      'mathematics': 'Mathematics',
+      'maths': 'Mathematics',
+      'math': 'Mathematics',
+      'science & technology': 'Science & Technology',
+      'science and technology': 'Science & Technology',
+      'science': 'Science & Technology',
+      'technologies': 'Science & Technology',
+      'hsie': 'HSIE',
+      'hsie (history, geography etc)': 'HSIE',
+      'hass': 'HSIE',
+      'humanities and social sciences': 'HSIE',
+      'history': 'HSIE',
+      'geography': 'HSIE',
+      'pdhpe': 'PDHPE',
+      'pdhpe (health, physical education)': 'PDHPE',
+      'health and physical education': 'PDHPE',
+      'health': 'PDHPE',
+      'pe': 'PDHPE',
+      'creative arts': 'Creative Arts',
+      'the arts': 'Creative Arts',
+      'art': 'Creative Arts',
+      'music': 'Creative Arts',
+      'drama': 'Creative Arts',
+      'dance': 'Creative Arts'
+    },
+    outcomeFormats: ['nsw', 'ac9'],
+    outcomeCatalogue: 'nsw-k10',
+    regulator: 'NSW Education Standards Authority (NESA)',
+    legislation: 'Education Act 1990 (NSW)',
+    frameworkStatement: 'Our home education program aligns with the {curriculum} and covers all key learning areas required under NSW homeschooling regulations.',
+    expectedSections: ALL_SECTIONS
+  },
+  VIC: {
+    state: 'VIC',
+    curriculum: 'Victorian Curriculum F–10',
+    curriculumTerm: 'curriculum',
+    learningAreas: ['English', 'Mathematics', 'Science', 'Humanities', 'The Arts', 'Technologies', 'Health and Physical Education', 'Languages'],
+    areaMappings: {
+      ...Object.fromEntries(Object.entries(AC_AREA_MAPPINGS).map(([key, area]) => [key, area === 'Humanities and Social Sciences' ? 'Humanities' : area])),
+      'humanities and social sciences': 'Humanities'
+    },
+    outcomeFormats: ['vc2', 'vc1', 'ac9'],
+    outcomeCatalogue: null,
+    regulator: 'Victorian Registration and Qualifications Authority (VRQA)',
+    legislation: 'Education and Training Reform Act 2006 (Vic)',
+    frameworkStatement: 'Our home education program draws on the {curriculum} and provides regular and efficient instruction in the eight learning areas required for home schooling registration with the Victorian Registration and Qualifications Authority (VRQA).',
+    expectedSections: ALL_SECTIONS
+  },
+  QLD: australianCurriculumProfile({
+    state: 'QLD',
+    regulator: 'Home Education Unit of the Queensland Department of Education',
+    legislation: 'Education (General Provision) Act 2006 (Qld)',
+    // The annual report describes the program and the child's progress, with
+    // samples of work; resources are part of the program description
+    expectedSections: ['programOverview', 'progressAssessment', 'learningAreas', 'evidence', 'outcomeCoverage', 'goalProgress', 'futurePlans']
+  }),
+  WA: australianCurriculumProfile({
+    state: 'WA',
+    curriculum: 'Western Australian Curriculum',
+    regulator: 'Department of Education Western Australia',
+    legislation: 'School Education Act 1999 (WA)'
+  }),
+  SA: australianCurriculumProfile({
+    state: 'SA',
+    regulator: 'Home Education Unit of the South Australian Department for Education',
+    legislation: "Education and Children's Services Act 2019 (SA)"
+  }),
+  TAS: australianCurriculumProfile({
+    state: 'TAS',
+    regulator: 'Office of the Education Registrar',
+    legislation: 'Education Act 2016 (Tas)'
+  }),
+  ACT: australianCurriculumProfile({
+    state: 'ACT',
+    regulator: 'ACT Education Directorate',
+    legislation: 'Education Act 2004 (ACT)'
+  }),
+  NT: australianCurriculumProfile({
+    state: 'NT',
+    regulator: 'Northern Territory Department of Education',
+    legislation: 'Education Act 2015 (NT)'
+  })
+};
+
+const STATE_NAMES = {
+  'new south wales': 'NSW',
+  'victoria': 'VIC',
+  'queensland': 'QLD',
+  'western australia': 'WA',
+  'south australia': 'SA',
+  'tasmania': 'TAS',
+  'australian capital territory': 'ACT',
+  'northern territory': 'NT'
+};
+
+// Accepts codes in any case and full state names
+function resolveStateCode(state) {
+  const value = String(state || '').trim();
+  if (CURRICULUM_PROFILES[value.toUpperCase()]) return value.toUpperCase();
+  return STATE_NAMES[value.toLowerCase()] || null;
+}
+
+function getCurriculumProfile(state) {
+  return CURRICULUM_PROFILES[resolveStateCode(state) || DEFAULT_STATE];
+}
+
+module.exports = {
+  DEFAULT_STATE,
+  ALL_SECTIONS,
+  OUTCOME_FORMATS,
+  CURRICULUM_PROFILES,
+  resolveStateCode,
+  getCurriculumProfile
+};
@@ -0,0 +1,561 @@
+const JSZip = require('jszip');
+const { xml2js } = require('xml-js');
+const PDFDocument = require('pdfkit');
+const { log } = require('./logger');
+
+// ============================================================
+// DOCX -> PDF
+// ============================================================
+//
+// Renders the DOCX that generatePortfolio produces into a PDF locally, so the
+// two formats can never drift apart. This is not a general-purpose Word
+// converter: it understands the subset of WordprocessingML that the docx
+// package emits for our reports (styled paragraphs, runs, bullets, shading,
+// bottom borders, inline images, page breaks, simple tables, PAGE/NUMPAGES
+// footers, and the contents page: bookmarks, internal hyperlinks, PAGEREF
+// fields and right-aligned tab stops). Headings become the PDF outline.
+//
+// Word units: twips (1/20 pt) for spacing and page size, half-points for font
+// size, EMUs (1/12700 pt) for drawing extents.
+
+const TWIP = 1 / 20;
+const EMU = 1 / 12700;
+const LINE_HEIGHT = 1.15;
+const BULLET_INDENT = 36;
+// Word's default left/right cell margin (0.08")
+const CELL_MARGIN = 108 * TWIP;
+
+// PDF viewers always have the standard 14 fonts; Aptos and friends are mapped
+// onto Helvetica.
+function pdfFont(bold, italics) {
+  if (bold && italics) return 'Helvetica-BoldOblique';
+  if (bold) return 'Helvetica-Bold';
+  if (italics) return 'Helvetica-Oblique';
+  return 'Helvetica';
+}
+
+function parseXml(xml) {
+  return xml2js(xml, { compact: false, trim: false });
+}
+
+function children(node, name) {
+  return (node && node.elements || []).filter(el => el.type === 'element' && (!name || el.name === name));
+}
+
+function child(node, name) {
+  return children(node, name)[0];
+}
+
+function attr(node, name) {
+  return node && node.attributes ? node.attributes[name] : undefined;
+}
+
+// ============================================================
+// STYLE RESOLUTION
+// ============================================================
+
+// On/off properties such as <w:b/> are on unless w:val says otherwise
+function isOn(node) {
+  return Boolean(node) && attr(node, 'w:val') !== 'false' && attr(node, 'w:val') !== '0';
+}
+
+function readRunProps(rPr) {
+  const props = {};
+  if (!rPr) return props;
+  const b = child(rPr, 'w:b');
+  if (b) props.bold = isOn(b);
+  const i = child(rPr, 'w:i');
+  if (i) props.italics = isOn(i);
+  const sz = child(rPr, 'w:sz');
+  if (sz) props.size = Number(attr(sz, 'w:val')) / 2;
+  const color = child(rPr, 'w:color');
+  if (color && attr(color, 'w:val') !== 'auto') props.color = `#${attr(color, 'w:val')}`;
+  const u = child(rPr, 'w:u');
+  if (u) props.underline = attr(u, 'w:val') !== 'none';
+  return props;
+}
+
+function readParagraphProps(pPr) {
+  const props = {};
+  if (!pPr) return props;
+  const style = child(pPr, 'w:pStyle');
+  if (style) props.style = attr(style, 'w:val');
+  const spacing = child(pPr, 'w:spacing');
+  if (spacing) {
+    if (attr(spacing, 'w:before') !== undefined) props.before = Number(attr(spacing, 'w:before')) * TWIP;
+    if (attr(spacing, 'w:after') !== undefined) props.after = Number(attr(spacing, 'w:after')) * TWIP;
+  }
+  const jc = child(pPr, 'w:jc');
+  if (jc) props.align = { both: 'justify', start: 'left', end: 'right' }[attr(jc, 'w:val')] || attr(jc, 'w:val');
+  if (child(pPr, 'w:numPr')) props.bullet = true;
+  const shd = child(pPr, 'w:shd');
+  if (shd && attr(shd, 'w:fill') && attr(shd, 'w:fill') !== 'auto') props.shading = `#${attr(shd, 'w:fill')}`;
+  const bottom = child(child(pPr, 'w:pBdr'), 'w:bottom');
+  if (bottom) props.borderBottom = { color: `#${attr(bottom, 'w:color') || '000000'}`, width: Number(attr(bottom, 'w:sz') || 4) / 8 };
+  const rightTab = children(child(pPr, 'w:tabs'), 'w:tab').find(tab => attr(tab, 'w:val') === 'right');
+  if (rightTab) props.rightTab = { leader: attr(rightTab, 'w:leader') || 'none' };
+  const ind = child(pPr, 'w:ind');
+  if (ind && attr(ind, 'w:left') !== undefined) props.indent = Number(attr(ind, 'w:left')) * TWIP;
+  return props;
+}
+
+function readStyles(stylesXml) {
+  const root = child(parseXml(stylesXml), 'w:styles');
+  const defaults = { run: { size: 11, color: '#000000' }, paragraph: {} };
+  const docDefaults = child(root, 'w:docDefaults');
+  Object.assign(defaults.run, readRunProps(child(child(docDefaults, 'w:rPrDefault'), 'w:rPr')));
+
+  const styles = {};
+  children(root, 'w:style').forEach(style => {
+    styles[attr(style, 'w:styleId')] = {
+      run: readRunProps(child(style, 'w:rPr')),
+      paragraph: readParagraphProps(child(style, 'w:pPr'))
+    };
+  });
+  // The document default style overrides docDefaults when present
+  if (styles.Normal) Object.assign(defaults.run, styles.Normal.run);
+  return { defaults, styles };
+}
+
+// ============================================================
+// PARAGRAPH PARSING
+// ============================================================
+
+// Flatten a <w:p> into paragraph props plus an ordered list of items:
+// { text, font props, goTo?, tab? } | { field: 'PAGE' | 'NUMPAGES' | 'PAGEREF', target? }
+// | { image } | { pageBreak } | { bookmark }. goTo is the bookmark an
+// internal hyperlink points at.
+function readParagraph(p, ctx) {
+  const ownProps = readParagraphProps(child(p, 'w:pPr'));
+  const style = ctx.styles[ownProps.style] || { run: {}, paragraph: {} };
+  const props = { ...style.paragraph, ...ownProps };
+  const baseRun = { ...ctx.defaults.run, ...style.run };
+  const items = [];
+
+  const readRun = (r, goTo) => {
+    const run = { ...baseRun, ...readRunProps(child(r, 'w:rPr')), ...(goTo ? { goTo } : {}) };
+    let field = null;
+    children(r).forEach(el => {
+      if (el.name === 'w:t') {
+        const text = (el.elements || []).map(t => t.text || '').join('');
+        if (text) items.push({ ...run, text });
+      } else if (el.name === 'w:tab') {
+        items.push({ ...run, text: '    ', tab: true });
+      } else if (el.name === 'w:br') {
+        if (attr(el, 'w:type') === 'page') items.push({ pageBreak: true });
+        else items.push({ ...run, text: '\n' });
+      } else if (el.name === 'w:instrText') {
+        const [name, target] = (el.elements || []).map(t => t.text || '').join('').trim().split(/\s+/);
+        field = { field: name, target };
+      } else if (el.name === 'w:fldChar' && attr(el, 'w:fldCharType') === 'end' && field) {
+        items.push({ ...run, ...field });
+        field = null;
+      } else if (el.name === 'w:drawing') {
+        const image = readDrawing(el, ctx);
+        if (image) items.push({ image });
+      }
+    });
+  };
+
+  children(p).forEach(el => {
+    if (el.name === 'w:r') readRun(el);
+    else if (el.name === 'w:hyperlink') children(el, 'w:r').forEach(r => readRun(r, attr(el, 'w:anchor')));
+    else if (el.name === 'w:bookmarkStart') items.push({ bookmark: attr(el, 'w:name') });
+  });
+
+  return { props, baseRun, items };
+}
+
+// A <w:tbl> as column widths, an outer border and rows of cells, each cell
+// holding its shading, margins and paragraphs. Only uniform borders (taken
+// from the top border) and horizontal merges (gridSpan) are supported.
+function readTable(tbl, ctx) {
+  const tblPr = child(tbl, 'w:tblPr');
+  const top = child(child(tblPr, 'w:tblBorders'), 'w:top');
+  const border = top && !['nil', 'none'].includes(attr(top, 'w:val'))
+    ? { color: `#${attr(top, 'w:color') || '000000'}`, width: Number(attr(top, 'w:sz') || 4) / 8 }
+    : null;
+  const readMargins = (mar, fallback) => {
+    const side = name => (child(mar, `w:${name}`) ? Number(attr(child(mar, `w:${name}`), 'w:w')) * TWIP : fallback[name]);
+    return { top: side('top'), bottom: side('bottom'), left: side('left'), right: side('right') };
+  };
+  const tableMargins = readMargins(child(tblPr, 'w:tblCellMar'), { top: 0, bottom: 0, left: CELL_MARGIN, right: CELL_MARGIN });
+
+  return {
+    border,
+    columns: children(child(tbl, 'w:tblGrid'), 'w:gridCol').map(col => Number(attr(col, 'w:w')) * TWIP),
+    rows: children(tbl, 'w:tr').map(tr => ({
+      header: isOn(child(child(tr, 'w:trPr'), 'w:tblHeader')),
+      cells: children(tr, 'w:tc').map(tc => {
+        const tcPr = child(tc, 'w:tcPr');
+        const shd = child(tcPr, 'w:shd');
+        const span = child(tcPr, 'w:gridSpan');
+        return {
+          span: span ? Number(attr(span, 'w:val')) : 1,
+          shading: shd && attr(shd, 'w:fill') && attr(shd, 'w:fill') !== 'auto' ? `#${attr(shd, 'w:fill')}` : null,
+          margins: readMargins(child(tcPr, 'w:tcMar'), tableMargins),
+          paragraphs: children(tc, 'w:p').map(p => readParagraph(p, ctx))
+        };
+      })
+    }))
+  };
+}
+
+function readDrawing(drawing, ctx) {
+  const inline = child(drawing, 'wp:inline') || child(drawing, 'wp:anchor');
+  const extent = child(inline, 'wp:extent');
+  let blip = null;
+  const find = node => {
+    children(node).forEach(el => {
+      if (el.name === 'a:blip') blip = el;
+      else if (!blip) find(el);
+    });
+  };
+  find(inline);
+  if (!blip) return null;
+  const target = ctx.media[attr(blip, 'r:embed')];
+  if (!target) return null;
+  return {
+    data: target,
+    width: Number(attr(extent, 'cx')) * EMU,
+    height: Number(attr(extent, 'cy')) * EMU
+  };
+}
+
+// ============================================================
+// LAYOUT
+// ============================================================
+
+function lineHeight(size) {
+  return size * LINE_HEIGHT;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function drawSegments(doc, segments, x, width, align, resolveField) {
+  // pdfkit only breaks a continued line at a newline that starts a run, so
+  // a line break joins the run after it
+  const runs = segments.map(s => ({ ...s, text: s.field ? resolveField(s.field) : s.text })).filter(s => s.text).reduce((list, run) => {
+    const prev = list[list.length - 1];
+    if (prev && /^\n+$/.test(prev.text)) list[list.length - 1] = { ...run, text: prev.text + run.text };
+    else list.push(run);
+    return list;
+  }, []);
+  if (runs.length === 0) return;
+  runs.forEach((run, idx) => {
+    doc.font(pdfFont(run.bold, run.italics)).fontSize(run.size).fillColor(run.color || '#000000');
+    const options = { continued: idx < runs.length - 1, width, align: align || 'left', lineGap: run.size * (LINE_HEIGHT - 1), underline: Boolean(run.underline), goTo: run.goTo || null };
+    if (idx === 0) doc.text(run.text, x, doc.y, options);
+    else doc.text(run.text, options);
+  });
+}
+
+function measureSegments(doc, segments, width) {
+  const text = segments.map(s => s.text || '0').join('');
+  if (!text) return 0;
+  const first = segments[0];
+  doc.font(pdfFont(first.bold, first.italics)).fontSize(first.size);
+  return doc.heightOfString(text, { width, lineGap: first.size * (LINE_HEIGHT - 1) });
+}
+
+// Height of a text-only paragraph (table cells), including its spacing
+function measureParagraph(doc, paragraph, width, atTop) {
+  const { props, baseRun, items } = paragraph;
+  const segments = items.filter(item => item.text);
+  const textHeight = segments.length > 0 ? measureSegments(doc, segments, props.bullet ? width - BULLET_INDENT : width) : lineHeight(baseRun.size);
+  return (atTop ? 0 : props.before || 0) + textHeight + (props.after || 0);
+}
+
+// Record where a bookmark is (page number and a named destination for links)
+function placeBookmark(doc, refs, name, x) {
+  if (!refs || refs.pages.has(name)) return;
+  refs.pages.set(name, doc.bufferedPageRange().count);
+  doc.addNamedDestination(name, 'XYZ', x, doc.y, null);
+}
+
+// Text after a right tab stop, such as a contents page number, drawn against
+// the right edge with its leader. PAGEREF numbers are not known until the
+// whole body is laid out, so they are queued on refs.deferred.
+function drawRightTab(doc, segments, { left, right, lineTop, leader, textEnd, refs }) {
+  const run = segments[0];
+  if (!run) return;
+  doc.font(pdfFont(run.bold, run.italics)).fontSize(run.size).fillColor(run.color || '#000000');
+  const reserved = doc.widthOfString('000') + 4;
+  if (leader === 'dot' && right - reserved - textEnd > 8) {
+    const dots = '.'.repeat(Math.floor((right - reserved - textEnd - 4) / doc.widthOfString('.')));
+    doc.text(dots, right - reserved - doc.widthOfString(dots), lineTop, { lineBreak: false });
+  }
+  segments.forEach(segment => {
+    if (segment.field === 'PAGEREF' && refs) {
+      refs.deferred.push({ page: doc.bufferedPageRange().count - 1, right, top: lineTop, run: segment, target: segment.target });
+    } else if (segment.text) {
+      doc.text(segment.text, right - doc.widthOfString(segment.text), lineTop, { lineBreak: false });
+    }
+  });
+}
+
+// left and width default to the page's content area; table cells pass their own
+function renderParagraph(doc, paragraph, { resolveField = () => '', atPageTop = false, left: areaLeft = doc.page.margins.left, width: areaWidth, refs } = {}) {
+  const { props, baseRun, items } = paragraph;
+  const left = areaLeft + (props.indent || 0);
+  const contentWidth = (areaWidth || doc.page.width - doc.page.margins.left - doc.page.margins.right) - (props.indent || 0);
+  const isHeading = /^Heading\d$/.test(props.style || '');
+
+  if (!atPageTop && props.before) doc.y += props.before;
+  if (isHeading) ensureSpace(doc, lineHeight(baseRun.size) * 3);
+
+  let segments = [];
+  let bookmarks = [];
+  let rendered = false;
+
+  const flush = () => {
+    if (segments.length === 0) return;
+    const x = props.bullet ? left + BULLET_INDENT : left;
+    let width = props.bullet ? contentWidth - BULLET_INDENT : contentWidth;
+    const tabAt = props.rightTab ? segments.findIndex(segment => segment.tab) : -1;
+    const tabbed = tabAt >= 0 ? segments.slice(tabAt + 1) : [];
+    if (tabAt >= 0) {
+      segments = segments.slice(0, tabAt);
+      width -= 40;
+    }
+    const height = measureSegments(doc, segments, width);
+    ensureSpace(doc, Math.min(height, lineHeight((segments[0] || tabbed[0]).size) * 2));
+    bookmarks.forEach(name => placeBookmark(doc, refs, name, left));
+    bookmarks = [];
+
+    if (props.shading) {
+      doc.save().rect(left, doc.y - 2, contentWidth, height + 4).fill(props.shading).restore();
+    }
+    if (props.bullet) {
+      const first = segments[0];
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(first.size).fillColor(first.color || '#000000');
+      doc.text('•', left + BULLET_INDENT / 2, y, { lineBreak: false });
+      doc.y = y;
+    }
+    drawSegments(doc, segments, x, width, props.align, resolveField);
+    if (tabAt >= 0) {
+      const text = segments.map(segment => segment.text || '').join('');
+      const first = segments[0] || tabbed[0];
+      doc.font(pdfFont(first.bold, first.italics)).fontSize(first.size);
+      const textEnd = x + Math.min(doc.widthOfString(text), width);
+      const y = doc.y;
+      drawRightTab(doc, tabbed, { left: x, right: left + contentWidth, lineTop: y - lineHeight(first.size), leader: props.rightTab.leader, textEnd, refs });
+      doc.y = y;
+    }
+    segments = [];
+    rendered = true;
+  };
+
+  items.forEach(item => {
+    if (item.bookmark) {
+      bookmarks.push(item.bookmark);
+    } else if (item.pageBreak) {
+      flush();
+      doc.addPage();
+      rendered = true;
+    } else if (item.image) {
+      flush();
+      const { data, width, height } = item.image;
+      ensureSpace(doc, height);
+      const x = props.align === 'center' ? left + (contentWidth - width) / 2 : left;
+      try {
+        doc.image(data, x, doc.y, { width, height });
+        doc.y += height;
+      } catch (e) {
+        // pdfkit only embeds JPEG and PNG
+        log.error('PDF image embed error', { error: e.message });
+      }
+      rendered = true;
+    } else {
+      segments.push(item);
+    }
+  });
+  flush();
+  bookmarks.forEach(name => placeBookmark(doc, refs, name, left));
+
+  if (!rendered) doc.y += lineHeight(baseRun.size);
+
+  if (props.borderBottom) {
+    const y = doc.y + 2;
+    doc.save().moveTo(left, y).lineTo(left + contentWidth, y).lineWidth(props.borderBottom.width).strokeColor(props.borderBottom.color).stroke().restore();
+    doc.y = y + props.borderBottom.width;
+  }
+  if (props.after) doc.y += props.after;
+  doc.x = areaLeft;
+}
+
+// Rows move to a new page whole, and header rows are repeated there
+function renderTable(doc, table, { refs } = {}) {
+  const left = doc.page.margins.left;
+  const sum = widths => widths.reduce((total, w) => total + w, 0);
+  const layout = row => {
+    let col = 0;
+    return row.cells.map(cell => {
+      const box = { cell, x: left + sum(table.columns.slice(0, col)), width: sum(table.columns.slice(col, col + cell.span)) };
+      col += cell.span;
+      return box;
+    });
+  };
+  const rowHeight = row => Math.max(...layout(row).map(({ cell, width }) => {
+    const inner = width - cell.margins.left - cell.margins.right;
+    return cell.margins.top + cell.margins.bottom + cell.paragraphs.reduce((total, p, idx) => total + measureParagraph(doc, p, inner, idx === 0), 0);
+  }));
+  const drawRow = row => {
+    const top = doc.y;
+    const height = rowHeight(row);
+    layout(row).forEach(({ cell, x, width }) => {
+      if (cell.shading) doc.save().rect(x, top, width, height).fill(cell.shading).restore();
+      doc.y = top + cell.margins.top;
+      cell.paragraphs.forEach((p, idx) => renderParagraph(doc, p, { atPageTop: idx === 0, left: x + cell.margins.left, width: width - cell.margins.left - cell.margins.right, refs }));
+      if (table.border) doc.save().rect(x, top, width, height).lineWidth(table.border.width).strokeColor(table.border.color).stroke().restore();
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  const headerRows = table.rows.filter(row => row.header);
+  table.rows.forEach(row => {
+    if (doc.y + rowHeight(row) > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!row.header) headerRows.forEach(drawRow);
+    }
+    drawRow(row);
+  });
+}
+
+function renderFooter(doc, footerParagraphs, pageNumber, pageCount, footerDistance) {
+  const resolveField = field => (field === 'PAGE' ? String(pageNumber) : field === 'NUMPAGES' ? String(pageCount) : '');
+  const height = footerParagraphs.reduce((sum, p) => {
+    const size = (p.items.find(i => i.size) || p.baseRun).size;
+    return sum + lineHeight(size) + (p.props.before || 0) + (p.props.after || 0);
+  }, 0);
+
+  // Draw inside the bottom margin without triggering an automatic page break
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc.y = doc.page.height - footerDistance - height;
+  footerParagraphs.forEach((p, idx) => renderParagraph(doc, p, { resolveField, atPageTop: idx === 0 }));
+  doc.page.margins.bottom = bottomMargin;
+}
+
+// ============================================================
+// ENTRY POINT
+// ============================================================
+
+async function readPart(zip, path) {
+  const file = zip.file(path);
+  return file ? file.async('string') : null;
+}
+
+async function readRelationships(zip, partPath) {
+  const dir = partPath.substring(0, partPath.lastIndexOf('/'));
+  const name = partPath.substring(partPath.lastIndexOf('/') + 1);
+  const xml = await readPart(zip, `${dir}/_rels/${name}.rels`);
+  if (!xml) return {};
+  const rels = {};
+  children(child(parseXml(xml), 'Relationships'), 'Relationship').forEach(rel => {
+    rels[attr(rel, 'Id')] = { type: attr(rel, 'Type'), target: `${dir}/${attr(rel, 'Target')}`.replace(/[^/]+\/\.\.\//g, '') };
+  });
+  return rels;
+}
+
+async function loadMedia(zip, rels) {
+  const media = {};
+  await Promise.all(Object.entries(rels).map(async ([id, rel]) => {
+    if (!/\/image$/.test(rel.type)) return;
+    const file = zip.file(rel.target);
+    if (file) media[id] = await file.async('nodebuffer');
+  }));
+  return media;
+}
+
+async function docxToPdf(docxBuffer, { title } = {}) {
+  const zip = await JSZip.loadAsync(docxBuffer);
+  const documentXml = await readPart(zip, 'word/document.xml');
+  const stylesXml = await readPart(zip, 'word/styles.xml');
+  const rels = await readRelationships(zip, 'word/document.xml');
+
+  const { defaults, styles } = stylesXml ? readStyles(stylesXml) : { defaults: { run: { size: 11 } }, styles: {} };
+  const ctx = { defaults, styles, media: await loadMedia(zip, rels) };
+
+  const body = child(child(parseXml(documentXml), 'w:document'), 'w:body');
+  const sectPr = child(body, 'w:sectPr');
+  const pgSz = child(sectPr, 'w:pgSz');
+  const pgMar = child(sectPr, 'w:pgMar');
+  const twips = (node, name, fallback) => (attr(node, name) !== undefined ? Number(attr(node, name)) * TWIP : fallback);
+
+  const doc = new PDFDocument({
+    size: [twips(pgSz, 'w:w', 595.3), twips(pgSz, 'w:h', 841.9)],
+    margins: {
+      top: twips(pgMar, 'w:top', 72),
+      right: twips(pgMar, 'w:right', 72),
+      bottom: twips(pgMar, 'w:bottom', 72),
+      left: twips(pgMar, 'w:left', 72)
+    },
+    bufferPages: true,
+    info: title ? { Title: title } : undefined
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  let pageTop = true;
+  doc.on('pageAdded', () => { pageTop = true; });
+  const refs = { pages: new Map(), deferred: [] };
+  let outlineParent = null;
+  children(body).forEach(el => {
+    const atPageTop = pageTop;
+    pageTop = false;
+    if (el.name === 'w:p') {
+      const paragraph = readParagraph(el, ctx);
+      renderParagraph(doc, paragraph, { atPageTop, refs });
+      // Heading 1 and 2 paragraphs make up the PDF outline (bookmarks pane)
+      const level = /^Heading([12])$/.exec(paragraph.props.style || '');
+      const text = paragraph.items.map(item => item.text || '').join('').trim();
+      if (level && text) {
+        if (level[1] === '1') outlineParent = doc.outline.addItem(text);
+        else (outlineParent || doc.outline).addItem(text);
+      }
+    } else if (el.name === 'w:tbl') {
+      renderTable(doc, readTable(el, ctx), { refs });
+    }
+  });
+
+  // Page numbers of bookmarks (the contents page) are known now
+  refs.deferred.forEach(({ page, right, top, run, target }) => {
+    if (!refs.pages.has(target)) return;
+    const text = String(refs.pages.get(target));
+    doc.switchToPage(page);
+    doc.font(pdfFont(run.bold, run.italics)).fontSize(run.size).fillColor(run.color || '#000000');
+    doc.text(text, right - doc.widthOfString(text), top, { lineBreak: false, goTo: target });
+  });
+
+  // Footers go on last, once the page count is known
+  const footerRef = children(sectPr, 'w:footerReference').find(ref => attr(ref, 'w:type') === 'default');
+  if (footerRef && rels[attr(footerRef, 'r:id')]) {
+    const footerPath = rels[attr(footerRef, 'r:id')].target;
+    const footerRels = await readRelationships(zip, footerPath);
+    const footerCtx = { ...ctx, media: await loadMedia(zip, footerRels) };
+    const footer = child(parseXml(await readPart(zip, footerPath)), 'w:ftr');
+    const footerParagraphs = children(footer, 'w:p').map(p => readParagraph(p, footerCtx));
+    const footerDistance = twips(pgMar, 'w:footer', 35.4);
+
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      renderFooter(doc, footerParagraphs, i - start + 1, count, footerDistance);
+    }
+  }
+
+  doc.end();
+  return finished;
+}
+
+module.exports = { docxToPdf };
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+// ============================================================
+// SIGNED DOWNLOAD LINKS
+// ============================================================
+//
+// Uploaded portfolios are stored under a random, unguessable key and are
+// only served through GET /portfolios/:id?name=…&exp=…&sig=…, where sig is
+// an HMAC over the id, download name and expiry. The same link can be used
+// with DELETE to revoke it (the file is removed from storage), also once it
+// has expired, so expired files can still be cleaned up.
+//
+// DOWNLOAD_SIGNING_SECRET  required for every backend except inline; without
+//                          it storing or downloading fails per request
+// DOWNLOAD_LINK_TTL        link lifetime in seconds, default 7 days
+// PUBLIC_BASE_URL          origin used in links, default taken from the request
+// TRUST_PROXY              true to take that origin from X-Forwarded-Proto and
+//                          X-Forwarded-Host (always on Vercel, whose proxy sets
+//                          them); otherwise a caller could point links elsewhere
+
+const DEFAULT_LINK_TTL = 7 * 24 * 60 * 60;
+
+function createLinkSigner({
+  secret = process.env.DOWNLOAD_SIGNING_SECRET,
+  ttlSeconds = Number(process.env.DOWNLOAD_LINK_TTL) || DEFAULT_LINK_TTL
+} = {}) {
+  // Checked when a link is signed or verified rather than here, so that a
+  // missing secret fails those requests and not the whole deployment
+  if (!secret) log.warn('DOWNLOAD_SIGNING_SECRET is not set: storing and downloading portfolios will fail');
+
+  const signature = (id, name, exp) => {
+    if (!secret) throw new Error('DOWNLOAD_SIGNING_SECRET must be set to store portfolios outside the response body');
+    return crypto.createHmac('sha256', secret).update(`${id}\n${name}\n${exp}`).digest('base64url');
+  };
+
+  return {
+    ttlSeconds,
+
+    sign(id, name, now = Date.now()) {
+      const exp = Math.floor(now / 1000) + ttlSeconds;
+      return { exp, sig: signature(id, name, exp) };
+    },
+
+    // Returns 'ok', 'invalid' or 'expired'
+    verify(id, name, exp, sig, now = Date.now()) {
+      if (!id || !name || !exp || !sig || !/^\d+$/.test(String(exp))) return 'invalid';
+      const expected = Buffer.from(signature(id, name, exp));
+      const given = Buffer.from(String(sig));
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'invalid';
+      if (Number(exp) * 1000 < now) return 'expired';
+      return 'ok';
+    },
+
+    buildUrl(baseUrl, id, name, { exp, sig }) {
+      const query = new URLSearchParams({ name, exp: String(exp), sig });
+      return `${baseUrl.replace(/\/$/, '')}/portfolios/${encodeURIComponent(id)}?${query}`;
+    }
+  };
+}
+
+function newDownloadId() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+function requestBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL;
+  const trustProxy = process.env.TRUST_PROXY === 'true' || process.env.VERCEL === '1';
+  const forwarded = name => (trustProxy && req.headers[name] ? req.headers[name].split(',')[0].trim() : null);
+  const proto = forwarded('x-forwarded-proto') || req.protocol || (req.socket && req.socket.encrypted ? 'https' : 'http');
+  const host = forwarded('x-forwarded-host') || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+// Shared by the Express route and the Vercel function. Works with any
+// res that has status()/json()/setHeader()/send().
+async function handleDownloadRequest(storage, req, res, id) {
+  const { name, exp, sig } = req.query || {};
+  const check = storage.signer ? storage.signer.verify(id, name, exp, sig) : 'invalid';
+
+  if (check === 'invalid') {
+    return res.status(403).json({ success: false, error: 'Invalid download link' });
+  }
+  if (req.method === 'DELETE') {
+    await storage.remove(id);
+    log.info('Download revoked', { id });
+    return res.status(200).json({ success: true, revoked: true });
+  }
+
+  if (check === 'expired') {
+    return res.status(410).json({ success: false, error: 'Download link has expired' });
+  }
+
+  const file = await storage.open(id, name);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Portfolio not found or revoked' });
+  }
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Length', file.buffer.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${name.replace(/[^\w.-]/g, '_')}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(file.buffer);
+}
+
+module.exports = {
+  DEFAULT_LINK_TTL,
+  createLinkSigner,
+  newDownloadId,
+  requestBaseUrl,
+  handleDownloadRequest
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================
+// EVIDENCE EXPORT FILES
+// ============================================================
+//
+// Evidence rows exported from Airtable for the command-line generator:
+//
+//   .csv     a header row of column names, then one row per record
+//            (RFC 4180: quoted cells can hold commas, quotes and newlines)
+//   .jsonl   one JSON object per line
+//   .json    a list of objects, or { "records": [{ "id", "fields" }] } as
+//            the Airtable API returns them
+//
+// Airtable's CSV export writes attachments as "photo.jpg (https://…)",
+// comma-separated; those cells become attachment lists. Every other CSV
+// value stays text, which the generator accepts for areas and outcomes.
+
+const ATTACHMENT_CELL = /^[^,()]+ \(https?:\/\/[^\s)]+\)(?:,\s*[^,()]+ \(https?:\/\/[^\s)]+\))*$/;
+
+// A list of rows of cells
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function attachmentList(cell) {
+  return cell.split(/,\s*(?=[^,()]+ \(https?:)/).map(item => {
+    const match = item.trim().match(/^(.+) \((https?:\/\/[^\s)]+)\)$/);
+    return { filename: match[1], url: match[2] };
+  });
+}
+
+// Objects keyed by the header row; empty cells are left out
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^﻿/, ''));
+  if (!header) return [];
+  const columns = header.map(name => name.trim());
+  return rows.map(cells => {
+    const row = {};
+    columns.forEach((column, idx) => {
+      const value = cells[idx] === undefined ? '' : cells[idx];
+      if (!column || value === '') return;
+      row[column] = ATTACHMENT_CELL.test(value) ? attachmentList(value) : value;
+    });
+    return row;
+  });
+}
+
+function parseJsonl(text, file) {
+  return text.split(/\r?\n/).map((line, idx) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}:${idx + 1}: ${e.message}`);
+    }
+  }).filter(Boolean);
+}
+
+// The rows of an export file. Throws for a file that can't be read.
+function readEvidenceFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  let rows;
+  if (extension === '.csv') rows = parseCsv(text);
+  else if (extension === '.jsonl' || extension === '.ndjson') rows = parseJsonl(text, file);
+  else if (extension === '.json') {
+    try {
+      rows = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${file}: ${e.message}`);
+    }
+    if (rows && Array.isArray(rows.records)) rows = rows.records.map(record => ({ id: record.id, ...record.fields }));
+  } else {
+    throw new Error(`${file}: evidence must be a .csv, .jsonl or .json file`);
+  }
+  if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error(`${file}: must hold one object per evidence record`);
+  }
+  return rows;
+}
+
+module.exports = {
+  parseCsv,
+  parseJsonl,
+  readEvidenceFile
+};
@@ -0,0 +1,105 @@
+// ============================================================
+// EVIDENCE LAYOUTS
+// ============================================================
+//
+// How the detailed evidence section is organised:
+//
+//   flat     one list, newest first (the original layout)
+//   byArea   one subsection per learning area, newest first; an entry tagged
+//            to several areas is written out under the first of them and
+//            cross-referenced from the others
+//   byMonth  one subsection per calendar month, oldest first
+//   byTerm   one subsection per NSW school term, oldest first
+//
+// Undated evidence goes in a final "Undated" group.
+
+const EVIDENCE_LAYOUTS = ['flat', 'byArea', 'byMonth', 'byTerm'];
+
+// First day of each NSW school term (Eastern division). School holidays
+// count towards the term before them, so the summer break belongs to the
+// previous year's Term 4. Years not listed use FALLBACK_TERM_STARTS.
+const NSW_TERM_STARTS = {
+  2023: ['2023-01-27', '2023-04-24', '2023-07-17', '2023-10-09'],
+  2024: ['2024-02-01', '2024-04-29', '2024-07-22', '2024-10-14'],
+  2025: ['2025-02-04', '2025-04-29', '2025-07-22', '2025-10-14'],
+  2026: ['2026-02-02', '2026-04-20', '2026-07-20', '2026-10-12']
+};
+
+const FALLBACK_TERM_STARTS = ['02-01', '04-27', '07-20', '10-12'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function termStarts(year) {
+  return (NSW_TERM_STARTS[year] || FALLBACK_TERM_STARTS.map(day => `${year}-${day}`)).map(d => new Date(`${d}T00:00:00Z`));
+}
+
+// { year, term } of the NSW term a date falls in
+function nswTermOf(date) {
+  const year = date.getUTCFullYear();
+  const starts = termStarts(year);
+  if (date < starts[0]) return { year: year - 1, term: 4 };
+  let term = 1;
+  starts.forEach((start, idx) => { if (date >= start) term = idx + 1; });
+  return { year, term };
+}
+
+function groupKey(date, layout) {
+  if (layout === 'byMonth') {
+    return { key: `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`, title: `${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}` };
+  }
+  const { year, term } = nswTermOf(date);
+  return { key: `${year}-${term}`, title: `Term ${term} ${year}` };
+}
+
+const byDateDesc = (a, b) => new Date(b.date || 0) - new Date(a.date || 0);
+const byDateAsc = (a, b) => new Date(a.date || 0) - new Date(b.date || 0);
+
+// Group deduplicated evidence (collectUniqueEvidence, where each item has
+// `areas`) for a layout. areaOrder sets the order of byArea groups and which
+// of an entry's areas it is written out under. Returns
+// [{ title, area, items, seeAlso }]; flat has one group with no title, and
+// seeAlso (byArea only) lists entries written out under another area.
+function groupEvidence(evidence, layout = 'flat', { areaOrder = [] } = {}) {
+  if (layout === 'byArea') {
+    const allAreas = [...areaOrder];
+    evidence.forEach(item => (item.areas || [item.primaryArea]).forEach(area => { if (!allAreas.includes(area)) allAreas.push(area); }));
+    const homeArea = item => allAreas.find(area => (item.areas || [item.primaryArea]).includes(area));
+
+    return allAreas.map(area => ({
+      title: area,
+      area,
+      items: evidence.filter(item => homeArea(item) === area).sort(byDateDesc),
+      seeAlso: evidence.filter(item => homeArea(item) !== area && (item.areas || []).includes(area)).sort(byDateDesc)
+    })).filter(group => group.items.length > 0 || group.seeAlso.length > 0);
+  }
+
+  if (layout === 'byMonth' || layout === 'byTerm') {
+    const groups = new Map();
+    const undated = [];
+    [...evidence].sort(byDateAsc).forEach(item => {
+      const date = parseDate(item.date);
+      if (!date) return undated.push(item);
+      const { key, title } = groupKey(date, layout);
+      if (!groups.has(key)) groups.set(key, { title, items: [], seeAlso: [] });
+      groups.get(key).items.push(item);
+    });
+    const ordered = [...groups.keys()].sort().map(key => groups.get(key));
+    if (undated.length > 0) ordered.push({ title: 'Undated', items: undated, seeAlso: [] });
+    return ordered;
+  }
+
+  return [{ title: null, items: [...evidence].sort(byDateDesc), seeAlso: [] }];
+}
+
+module.exports = {
+  EVIDENCE_LAYOUTS,
+  NSW_TERM_STARTS,
+  nswTermOf,
+  groupEvidence
+};
@@ -0,0 +1,122 @@
+const { groupEvidence } = require('./evidence-layout');
+
+// ============================================================
+// EVIDENCE VOLUME
+// ============================================================
+//
+// Keeps very large portfolios readable. Each entry lands in one of two tiers:
+//
+//   full      written out in the evidence section, with its photos
+//   appendix  one row in the "Further Evidence" appendix table
+//
+// Entries count against the first of their areas in the curriculum profile's
+// order (the area byArea files them under), and the newest in each area are
+// kept in full. Full entries keep at most maxPhotosPerEntry photos, picked by
+// photoSelection:
+//
+//   first     in the order they were attached
+//   recent    the most recently attached (the end of the list)
+//   featured  attachments with `featured: true` first, then in order
+//
+// Limits of 0 mean no limit. Defaults come from the environment:
+//
+// EVIDENCE_MAX_FULL_PER_AREA   full entries per learning area, default 0
+// EVIDENCE_MAX_PHOTOS          photos per full entry, default 0
+// EVIDENCE_PHOTO_SELECTION     first, recent or featured, default first
+
+const PHOTO_SELECTIONS = ['first', 'recent', 'featured'];
+
+const DEFAULTS = {
+  maxFullEntriesPerArea: Number(process.env.EVIDENCE_MAX_FULL_PER_AREA) || 0,
+  maxPhotosPerEntry: Number(process.env.EVIDENCE_MAX_PHOTOS) || 0,
+  photoSelection: process.env.EVIDENCE_PHOTO_SELECTION || 'first'
+};
+
+// Request values may be query-string text; missing ones use the defaults
+function resolveEvidenceLimits({ maxFullEntriesPerArea, maxPhotosPerEntry, photoSelection } = {}) {
+  const number = value => (value === undefined || value === null || value === '' ? undefined : Number(value));
+  return {
+    maxFullEntriesPerArea: number(maxFullEntriesPerArea) ?? DEFAULTS.maxFullEntriesPerArea,
+    maxPhotosPerEntry: number(maxPhotosPerEntry) ?? DEFAULTS.maxPhotosPerEntry,
+    photoSelection: photoSelection || DEFAULTS.photoSelection
+  };
+}
+
+// [{ path, reason }] for limits that can't be used
+function validateEvidenceLimits(limits) {
+  const { maxFullEntriesPerArea, maxPhotosPerEntry, photoSelection } = resolveEvidenceLimits(limits);
+  const errors = [];
+  if (!Number.isInteger(maxFullEntriesPerArea) || maxFullEntriesPerArea < 0) {
+    errors.push({ path: 'maxFullEntriesPerArea', reason: 'must be a whole number (0 for no limit)' });
+  }
+  if (!Number.isInteger(maxPhotosPerEntry) || maxPhotosPerEntry < 0) {
+    errors.push({ path: 'maxPhotosPerEntry', reason: 'must be a whole number (0 for no limit)' });
+  }
+  if (!PHOTO_SELECTIONS.includes(photoSelection)) {
+    errors.push({ path: 'photoSelection', reason: `must be one of ${PHOTO_SELECTIONS.join(', ')}` });
+  }
+  return errors;
+}
+
+// Extensions of files that are never embedded, for attachments without a type
+const DOCUMENT_EXTENSIONS = ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'csv', 'xls', 'xlsx', 'ppt', 'pptx', 'pages', 'key', 'numbers', 'zip', 'mp3', 'm4a', 'wav', 'mp4', 'mov'];
+
+function isDocumentName(name) {
+  const extension = String(name || '').match(/\.([a-z0-9]+)(?:[?#].*)?$/i);
+  return Boolean(extension && DOCUMENT_EXTENSIONS.includes(extension[1].toLowerCase()));
+}
+
+// Whether resolveAttachments will try to embed the attachment: image data,
+// an image type, or (a plain URL, or no type) a name that isn't a document's
+function isPhoto(att) {
+  if (typeof att === 'string') return !isDocumentName(att);
+  if (!att || typeof att !== 'object') return false;
+  if (att.buffer) return true;
+  const type = att.type || att.mimeType;
+  if (type) return String(type).toLowerCase().startsWith('image/');
+  return Boolean(att.url || att.thumbnails) && !isDocumentName(att.filename) && !isDocumentName(att.url);
+}
+
+// The attachments a full entry keeps. Non-image attachments are kept as they
+// are (they are never embedded) and don't count towards the limit.
+function selectPhotos(attachments, max, rule = 'first') {
+  const list = Array.isArray(attachments) ? attachments : [];
+  const photos = list.filter(isPhoto);
+  if (!max || photos.length <= max) return { attachments: list, shown: photos.length, total: photos.length };
+
+  let chosen;
+  if (rule === 'recent') chosen = photos.slice(-max);
+  else if (rule === 'featured') chosen = [...photos.filter(att => att.featured === true), ...photos.filter(att => att.featured !== true)].slice(0, max);
+  else chosen = photos.slice(0, max);
+
+  return { attachments: list.filter(att => !isPhoto(att) || chosen.includes(att)), shown: chosen.length, total: photos.length };
+}
+
+// Decide each entry's tier. evidence is the deduplicated list from
+// collectUniqueEvidence; returns one { tier, attachments, photos: { shown,
+// total } } per entry, in the same order. Appendix entries keep no
+// attachments, so their photos are never downloaded.
+function assignEvidenceTiers(evidence, limits, { areaOrder = [] } = {}) {
+  const { maxFullEntriesPerArea, maxPhotosPerEntry, photoSelection } = resolveEvidenceLimits(limits);
+  const appendix = new Set();
+  if (maxFullEntriesPerArea > 0) {
+    groupEvidence(evidence, 'byArea', { areaOrder }).forEach(group => group.items.slice(maxFullEntriesPerArea).forEach(item => appendix.add(item)));
+  }
+
+  return evidence.map(item => {
+    if (appendix.has(item)) {
+      const total = (Array.isArray(item.attachments) ? item.attachments : []).filter(isPhoto).length;
+      return { tier: 'appendix', attachments: [], photos: { shown: 0, total } };
+    }
+    const { attachments, shown, total } = selectPhotos(item.attachments, maxPhotosPerEntry, photoSelection);
+    return { tier: 'full', attachments, photos: { shown, total } };
+  });
+}
+
+module.exports = {
+  PHOTO_SELECTIONS,
+  resolveEvidenceLimits,
+  validateEvidenceLimits,
+  selectPhotos,
+  assignEvidenceTiers
+};
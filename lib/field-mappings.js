@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================
+// FIELD MAPPINGS
+// ============================================================
+//
+// Which source columns (Airtable field names, as Make.com sends them) hold
+// each canonical field of an evidence entry, a curriculum outcome, a
+// learning area overview and (for data source requests) a child record. The
+// built-in "default" profile lists the column names the generator has
+// always accepted, and is how the core library reads rows. Other profiles
+// are JSON files in FIELD_MAPPINGS_DIR (default ./field-mappings), selected
+// per request with fieldMappingId = the file name without .json, or per API
+// key (lib/access):
+//
+//   {
+//     "name": "Smith family base",
+//     "evidence": {
+//       "description": ["What We Did", "What Happened?"],
+//       "date": { "from": "Date Completed", "transform": "date" },
+//       "learningAreas": { "from": "Subjects", "transform": { "split": ";" } },
+//       "engagement": { "from": "Mood", "transform": { "map": { "5": "Fully engaged" } }, "default": "" }
+//     },
+//     "outcomes": { "outcomeCode": { "from": "Code", "transform": ["first", "uppercase"] } },
+//     "overviews": { "stageStatement": "Stage Summary" }
+//   }
+//
+// A field is a column name, a list of columns to try in order (the first
+// with a value wins), or { from, transform, default }. default is used when
+// no column has a value. Fields a profile leaves out keep the default
+// profile's columns, and the canonical name (e.g. "description") always
+// works as the last column to try. TRANSFORMS are applied in order to the
+// value found.
+//
+// Mapping rewrites each row to its canonical fields. Columns a row has that
+// no field of the profile reads are reported, since their values are lost.
+// Profiles are cached for the life of the process.
+
+const DEFAULT_FIELD_MAPPING_ID = 'default';
+const FIELD_MAPPING_ID_PATTERN = /^[\w-]+$/;
+
+// Canonical fields and the default profile's columns for each
+const DEFAULT_FIELDS = {
+  evidence: {
+    id: ['id', 'recordId', 'Record ID'],
+    title: ['Title', 'title'],
+    date: ['Date', 'date'],
+    description: ['What Happened?', 'whatHappened', 'description'],
+    engagement: ['Child Engagement', 'childEngagement', 'engagement'],
+    learningAreas: ['Learning Areas', 'learningAreas', 'Areas', 'areas', 'Curriculum Learning Area', 'curriculumLearningArea'],
+    matchedOutcomes: ['Outcome Code Rollup (from Matched Outcomes 3)', 'Matched Outcomes 3', 'matchedOutcomes'],
+    goals: ['goals', 'Goals', 'goalIds', 'Goal IDs'],
+    attachments: ['Attachments', 'attachments']
+  },
+  outcomes: {
+    outcomeCode: ['Outcome Code', 'outcomeCode', 'code'],
+    outcomeDescription: ['Outcome Description', 'outcomeDescription', 'description'],
+    learningArea: ['Learning Area', 'learningArea'],
+    stage: ['Stage', 'stage']
+  },
+  overviews: {
+    area: ['Learning Area', 'learningArea', 'area'],
+    stageStatement: ['Stage Statement', 'stageStatement']
+  },
+  // The child record of a data source request (lib/sources); the last three
+  // are its links to the other tables
+  child: {
+    childName: ['Child Name', 'Name', 'childName'],
+    yearLevel: ['Year Level', 'Stage', 'yearLevel'],
+    parentName: ['Parent Name', 'parentName'],
+    state: ['State', 'state'],
+    evidenceEntries: ['Evidence', 'Learning Evidence', 'evidenceEntries'],
+    curriculumOutcomes: ['Curriculum Outcomes', 'Outcomes', 'curriculumOutcomes'],
+    learningAreaOverviews: ['Learning Area Overviews', 'Overviews', 'learningAreaOverviews']
+  }
+};
+
+// The payload fields holding each group's rows
+const GROUP_PATHS = { evidence: ['evidenceEntries', 'evidenceByArea'], outcomes: ['curriculumOutcomes'], overviews: ['learningAreaOverviews'] };
+
+const isEmpty = value => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+const asList = value => (Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(Boolean));
+
+const TRANSFORMS = {
+  trim: value => (typeof value === 'string' ? value.trim() : value),
+  lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+  // Comma-separated text to a list
+  list: value => asList(value),
+  // The first item of a list (Airtable lookups arrive as lists)
+  first: value => (Array.isArray(value) ? value[0] : value),
+  join: value => (Array.isArray(value) ? value.join(', ') : value),
+  // A date or date-time such as "2025-03-01T09:30:00.000Z" or "1 March 2025"
+  // to YYYY-MM-DD; other values are left for validation to report
+  date: value => {
+    if (typeof value !== 'string') return value;
+    if (/^\d{4}-\d{2}-\d{2}/.test(value.trim())) return value.trim().slice(0, 10);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return value;
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+  },
+  // { "split": ";" } splits text on another separator
+  split: (value, separator) => (typeof value === 'string' ? value.split(separator).map(v => v.trim()).filter(Boolean) : value),
+  // { "map": { "from": "to" } } replaces listed values (each item of a list)
+  map: (value, table) => {
+    const lookup = v => (Object.prototype.hasOwnProperty.call(table, String(v)) ? table[String(v)] : v);
+    return Array.isArray(value) ? value.map(lookup) : lookup(value);
+  }
+};
+
+const fieldMappingCache = new Map();
+
+function fieldMappingsDir() {
+  return process.env.FIELD_MAPPINGS_DIR || path.join(process.cwd(), 'field-mappings');
+}
+
+function fieldMappingFile(fieldMappingId) {
+  return path.join(fieldMappingsDir(), `${fieldMappingId}.json`);
+}
+
+// Transforms as [{ name, arg }]
+function resolveTransforms(transform, where) {
+  if (transform === undefined) return [];
+  return (Array.isArray(transform) ? transform : [transform]).map(step => {
+    if (typeof step === 'string') {
+      if (!TRANSFORMS[step] || step === 'split' || step === 'map') throw new Error(`${where}: unknown transform "${step}"`);
+      return { name: step };
+    }
+    const entries = step && typeof step === 'object' ? Object.entries(step) : [];
+    if (entries.length !== 1) throw new Error(`${where}: a transform is a name or an object such as { "split": ";" }`);
+    const [name, arg] = entries[0];
+    if (name === 'split' && typeof arg === 'string' && arg) return { name, arg };
+    if (name === 'map' && arg && typeof arg === 'object' && !Array.isArray(arg)) return { name, arg };
+    throw new Error(`${where}: unknown transform ${JSON.stringify(step)}`);
+  });
+}
+
+// A field spec as { from, transforms, default }. The canonical name is
+// always tried last.
+function resolveField(spec, field, where) {
+  const config = typeof spec === 'string' || Array.isArray(spec) ? { from: spec } : spec;
+  if (!config || typeof config !== 'object') throw new Error(`${where} must be a column name, a list of them, or { "from": … }`);
+  const from = Array.isArray(config.from) ? config.from : [config.from];
+  if (from.length === 0 || from.some(column => typeof column !== 'string' || !column)) throw new Error(`${where}.from must be a column name or a list of them`);
+  return {
+    from: from.includes(field) ? from : [...from, field],
+    transforms: resolveTransforms(config.transform, `${where}.transform`),
+    default: config.default
+  };
+}
+
+// Check a profile's shape and fill in the default profile's fields. source
+// names the profile in error messages.
+function resolveFieldMapping(id, config, source) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error(`${source}: must be a JSON object`);
+  if (!config.name) throw new Error(`${source}: "name" is required`);
+  const groups = {};
+  Object.entries(DEFAULT_FIELDS).forEach(([group, defaults]) => {
+    const fields = config[group] || {};
+    Object.keys(fields).forEach(field => {
+      if (!defaults[field]) throw new Error(`${source}: ${group}.${field} is not a field (expected one of ${Object.keys(defaults).join(', ')})`);
+    });
+    groups[group] = Object.fromEntries(Object.keys(defaults).map(field => [
+      field,
+      resolveField(fields[field] !== undefined ? fields[field] : defaults[field], field, `${source}: ${group}.${field}`)
+    ]));
+  });
+  Object.keys(config).forEach(key => {
+    if (key !== 'name' && !DEFAULT_FIELDS[key]) throw new Error(`${source}: "${key}" is not used (expected ${Object.keys(DEFAULT_FIELDS).join(', ')})`);
+  });
+  return { id, name: config.name, ...groups };
+}
+
+// Returns an error string for an unusable fieldMappingId, or null
+function validateFieldMappingId(fieldMappingId) {
+  if (fieldMappingId === undefined || fieldMappingId === null || fieldMappingId === '' || fieldMappingId === DEFAULT_FIELD_MAPPING_ID) return null;
+  if (typeof fieldMappingId !== 'string' || !FIELD_MAPPING_ID_PATTERN.test(fieldMappingId)) return 'must contain only letters, numbers, "-" and "_"';
+  if (!fs.existsSync(fieldMappingFile(fieldMappingId))) return `no field mapping named "${fieldMappingId}"`;
+  try {
+    readFieldMapping(fieldMappingId);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+// A file in FIELD_MAPPINGS_DIR named default.json replaces the default profile
+function readFieldMapping(fieldMappingId) {
+  const id = fieldMappingId || DEFAULT_FIELD_MAPPING_ID;
+  if (fieldMappingCache.has(id)) return fieldMappingCache.get(id);
+
+  const file = fieldMappingFile(id);
+  let mapping;
+  if (FIELD_MAPPING_ID_PATTERN.test(id) && fs.existsSync(file)) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Could not read field mapping ${file}: ${e.message}`);
+    }
+    mapping = resolveFieldMapping(id, config, file);
+  } else if (id === DEFAULT_FIELD_MAPPING_ID) {
+    mapping = resolveFieldMapping(id, { name: 'Default', ...DEFAULT_FIELDS }, 'field mapping "default"');
+  } else {
+    throw new Error(`No field mapping named "${id}"`);
+  }
+
+  fieldMappingCache.set(id, mapping);
+  return mapping;
+}
+
+// A row's canonical fields under one group of a mapping, leaving out fields
+// with no value
+function mapRow(row, fields) {
+  const mapped = {};
+  Object.entries(fields).forEach(([field, { from, transforms, default: fallback }]) => {
+    const column = from.find(name => !isEmpty(row[name]));
+    let value = column === undefined ? fallback : row[column];
+    if (column !== undefined) transforms.forEach(({ name, arg }) => { value = TRANSFORMS[name](value, arg); });
+    if (value !== undefined) mapped[field] = value;
+  });
+  return mapped;
+}
+
+// How the core library reads a row that may still have source column names:
+// its canonical fields under the default profile (or the mapping given)
+function readFields(group, row, mapping = readFieldMapping(DEFAULT_FIELD_MAPPING_ID)) {
+  return row && typeof row === 'object' ? mapRow(row, mapping[group]) : {};
+}
+
+// A list sent as an array, an index-keyed object or (multiply) JSON-encoded
+// text, or null for anything else
+function decodeRows(value) {
+  let parsed = value;
+  for (let attempts = 0; typeof parsed === 'string' && attempts < 5; attempts++) {
+    try { parsed = JSON.parse(parsed); } catch (e) { return null; }
+  }
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.array)) return parsed.array;
+  if (parsed && typeof parsed === 'object' && Object.keys(parsed).every(key => /^\d+$/.test(key))) return Object.values(parsed);
+  return null;
+}
+
+// A copy of the payload with its evidence entries, curriculum outcomes and
+// learning area overviews rewritten to canonical fields. Lists that can't be
+// read are left as they are, for validation to report. Returns
+// { portfolioData, unmapped, warnings }: unmapped lists the columns found in
+// each group that the mapping doesn't read; warnings report them, and any
+// overview rows without a learning area.
+function mapPortfolioFields(portfolioData, mapping = readFieldMapping()) {
+  if (!portfolioData || typeof portfolioData !== 'object' || Array.isArray(portfolioData)) {
+    return { portfolioData, unmapped: { evidence: [], outcomes: [], overviews: [] }, warnings: [] };
+  }
+  const mapped = { ...portfolioData };
+  const columns = { evidence: new Set(), outcomes: new Set(), overviews: new Set() };
+  const warnings = [];
+  const mapRows = (rows, group) => rows.map(row => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) return row;
+    Object.keys(row).forEach(column => columns[group].add(column));
+    return mapRow(row, mapping[group]);
+  });
+
+  const entries = decodeRows(portfolioData.evidenceEntries);
+  if (entries) mapped.evidenceEntries = mapRows(entries, 'evidence');
+
+  const byArea = portfolioData.evidenceByArea;
+  if (Array.isArray(byArea)) {
+    mapped.evidenceByArea = mapRows(byArea, 'evidence');
+  } else if (byArea && typeof byArea === 'object') {
+    mapped.evidenceByArea = Object.fromEntries(Object.entries(byArea).map(([area, items]) => {
+      const rows = decodeRows(items);
+      return [area, rows ? mapRows(rows, 'evidence') : items];
+    }));
+  }
+
+  const outcomes = decodeRows(portfolioData.curriculumOutcomes);
+  if (outcomes) mapped.curriculumOutcomes = mapRows(outcomes, 'outcomes');
+
+  const overviews = portfolioData.learningAreaOverviews;
+  if (Array.isArray(overviews)) {
+    mapped.learningAreaOverviews = {};
+    mapRows(overviews, 'overviews').forEach((row, idx) => {
+      if (!row || typeof row !== 'object' || !row.area) {
+        warnings.push({ path: `learningAreaOverviews[${idx}]`, reason: 'overview has no learning area; it will be left out' });
+        return;
+      }
+      const { area, ...overview } = row;
+      mapped.learningAreaOverviews[String(area).trim()] = overview;
+    });
+  } else if (overviews && typeof overviews === 'object') {
+    mapped.learningAreaOverviews = Object.fromEntries(Object.entries(overviews).map(([area, row]) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) return [area, row];
+      Object.keys(row).forEach(column => columns.overviews.add(column));
+      const { area: ignored, ...overview } = mapRow(row, mapping.overviews);
+      return [area, overview];
+    }));
+  }
+
+  const unmapped = {};
+  Object.entries(columns).forEach(([group, found]) => {
+    const read = new Set(Object.values(mapping[group]).flatMap(field => field.from));
+    unmapped[group] = [...found].filter(column => !read.has(column));
+    if (unmapped[group].length > 0) {
+      const where = GROUP_PATHS[group].find(key => portfolioData[key] !== undefined) || GROUP_PATHS[group][0];
+      warnings.push({ path: where, reason: `columns not read by field mapping "${mapping.id}", so their values are not used: ${unmapped[group].map(c => `"${c}"`).join(', ')}` });
+    }
+  });
+
+  return { portfolioData: mapped, unmapped, warnings };
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPING_ID,
+  DEFAULT_FIELDS,
+  TRANSFORMS,
+  validateFieldMappingId,
+  readFieldMapping,
+  readFields,
+  mapPortfolioFields
+};
@@ -0,0 +1,144 @@
+// ============================================================
+// LEARNING GOALS
+// ============================================================
+//
+// Goals are set in futurePlans.goals at the end of one reporting period and
+// reviewed in the next portfolio, which sends them back as previousGoals.
+// Either field may be:
+//
+//   text    one goal per line, or sentences starting "To …" (how Make.com
+//           sends a long text field)
+//   a list  each goal text, or an object:
+//             { "id": "G1", "text": "To read chapter books independently",
+//               "areas": ["English"], "outcomes": ["EN2-RECOM-01"] }
+//
+// Goals without an id are given the next free one of G1, G2… in order.
+// Evidence entries link to the goals they work towards with `goals` (or
+// "Goal IDs" from Airtable): a list of IDs or comma-separated text.
+//
+// A previous goal's status comes from the evidence linked to it:
+//
+//   not started  no linked evidence
+//   in progress  linked evidence, but not yet for every target
+//   achieved     the linked evidence addresses every target outcome, or
+//                covers every target area when the goal names no outcomes
+//
+// A goal with no target areas or outcomes stays in progress once it has
+// evidence.
+
+const GOAL_STATUSES = ['not started', 'in progress', 'achieved'];
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null && obj[key] !== '') return obj[key];
+  }
+  return undefined;
+}
+
+// A list given as an array, an index-keyed object, comma-separated text or
+// a JSON-encoded string of any of those
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try { return toList(JSON.parse(text)); } catch (e) { /* plain text */ }
+    }
+    return text.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'object') return Object.values(value);
+  return [value];
+}
+
+function splitGoalText(text) {
+  if (!text || !text.trim()) return [];
+  const list = text.includes('\n') ? text.split(/[\n\r]+/) : text.split(/(?:\.?\s+)(?=To\s)/i);
+  return list.filter(g => g.trim()).map(g => g.trim());
+}
+
+// The raw entries of a goals field: strings and objects, in order
+function goalEntries(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try { return goalEntries(JSON.parse(text)); } catch (e) { /* plain text */ }
+    }
+    return splitGoalText(text);
+  }
+  return Array.isArray(value) ? value : typeof value === 'object' ? Object.values(value) : [];
+}
+
+// The goal's own ID, if it gives one
+function goalId(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const id = pick(entry, ['id', 'ID', 'goalId', 'Goal ID']);
+  return id === undefined ? null : String(id).trim() || null;
+}
+
+function goalText(entry) {
+  if (typeof entry === 'string') return entry.trim();
+  if (!entry || typeof entry !== 'object') return '';
+  return String(pick(entry, ['text', 'goal', 'Goal', 'description', 'Description']) || '').trim();
+}
+
+// Goals as [{ id, text, areas, outcomes }]. normalizeArea maps an area name
+// onto the curriculum profile's; resolveOutcomes turns a list of outcome
+// values into codes. Goals with no text are left out.
+function readGoals(value, { normalizeArea = area => area, resolveOutcomes = codes => codes } = {}) {
+  const entries = goalEntries(value).filter(entry => goalText(entry));
+  const taken = new Set(entries.map(goalId).filter(Boolean));
+  let next = 1;
+  const freeId = () => {
+    while (taken.has(`G${next}`)) next++;
+    taken.add(`G${next}`);
+    return `G${next}`;
+  };
+
+  return entries.map(entry => {
+    const fields = typeof entry === 'object' ? entry : {};
+    const areas = toList(pick(fields, ['areas', 'learningAreas', 'Learning Areas', 'targetAreas']));
+    const outcomes = toList(pick(fields, ['outcomes', 'outcomeCodes', 'Outcome Codes', 'targetOutcomes']));
+    return {
+      id: goalId(entry) || freeId(),
+      text: goalText(entry),
+      areas: [...new Set(areas.map(area => normalizeArea(String(area).trim())).filter(Boolean))],
+      outcomes: [...new Set(resolveOutcomes(outcomes.map(String)))]
+    };
+  });
+}
+
+// The goal IDs an evidence entry links to
+function evidenceGoalIds(entry) {
+  if (!entry || typeof entry !== 'object') return [];
+  return [...new Set(toList(pick(entry, ['goals', 'Goals', 'goalIds', 'Goal IDs'])).map(id => String(id).trim()).filter(Boolean))];
+}
+
+// Each goal with the evidence linked to it and its status. evidence is the
+// deduplicated list (each item with its `areas`); outcomesOf(item) returns
+// an item's outcome codes. missing lists the targets no linked evidence
+// addresses yet.
+function reviewGoals(goals, evidence, { outcomesOf = () => [] } = {}) {
+  return goals.map(goal => {
+    const linked = evidence.filter(item => evidenceGoalIds(item).includes(goal.id));
+    const addressed = new Set(linked.flatMap(item => outcomesOf(item).map(code => code.toUpperCase())));
+    const covered = new Set(linked.flatMap(item => item.areas || []));
+    const missing = {
+      areas: goal.outcomes.length > 0 ? [] : goal.areas.filter(area => !covered.has(area)),
+      outcomes: goal.outcomes.filter(code => !addressed.has(code.toUpperCase()))
+    };
+    const hasTargets = goal.areas.length + goal.outcomes.length > 0;
+    let status = 'not started';
+    if (linked.length > 0) status = hasTargets && missing.areas.length + missing.outcomes.length === 0 ? 'achieved' : 'in progress';
+    return { ...goal, evidence: linked, status, missing };
+  });
+}
+
+module.exports = {
+  GOAL_STATUSES,
+  splitGoalText,
+  readGoals,
+  evidenceGoalIds,
+  reviewGoals
+};
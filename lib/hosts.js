@@ -0,0 +1,107 @@
+const dns = require('dns');
+const net = require('net');
+
+// ============================================================
+// OUTBOUND HOST CHECKS
+// ============================================================
+//
+// Shared by everything that fetches or posts to a URL from the request:
+// attachment downloads (lib/attachments) and job callbacks (lib/jobs). A
+// URL must be http(s), its host must be on the feature's optional allowlist,
+// and unless private hosts are allowed it must not be, or resolve to, a
+// loopback, private, link-local or cloud metadata address.
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. BlockList checks IPv4 addresses written as IPv6 (::ffff:a.b.c.d)
+// against the IPv4 ranges, and would match every IPv4 address against
+// ::ffff:0:0/96, so that range is left out.
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+class HostError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HostError';
+  }
+}
+
+// A comma-separated allowlist setting, lower-cased
+function parseHostList(value) {
+  return (value || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+// ".example.com" also matches subdomains; an empty list allows every host
+function isHostAllowed(hostname, allowedHosts) {
+  if (allowedHosts.length === 0) return true;
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(allowed => (allowed.startsWith('.') ? host.endsWith(allowed) || host === allowed.slice(1) : host === allowed));
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function firstPrivate(hostname, addresses) {
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked ? new HostError(`host ${hostname} resolves to a private address (${blocked.address})`) : null;
+}
+
+// dns.lookup for the connection, refusing private addresses. Checking as the
+// connection is made means a host can't resolve to a public address for an
+// earlier check and an internal one for the request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = firstPrivate(hostname, addresses);
+    if (blocked) return callback(blocked);
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves to the parsed URL. allowlistSetting names the setting in the
+// error for a host that is not on the allowlist.
+function checkUrl(url, { allowedHosts, allowPrivateHosts, allowlistSetting }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new HostError('invalid URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new HostError(`unsupported URL scheme ${parsed.protocol}`);
+  if (!isHostAllowed(parsed.hostname, allowedHosts)) throw new HostError(`host ${parsed.hostname} is not in ${allowlistSetting}`);
+  // Addresses in the URL itself are never looked up
+  const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateHosts && isPrivateAddress(literal)) throw new HostError(`host ${parsed.hostname} is a private address`);
+  return parsed;
+}
+
+// checkUrl plus a lookup of the host, for URLs that are used later (a job
+// callback) and should be refused while the caller is still waiting
+async function checkUrlNow(url, options) {
+  const parsed = checkUrl(url, options);
+  if (options.allowPrivateHosts || net.isIP(parsed.hostname.replace(/^\[|\]$/g, ''))) return parsed;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname, { all: true });
+  } catch (e) {
+    throw new HostError(`host ${parsed.hostname} could not be resolved`);
+  }
+  const blocked = firstPrivate(parsed.hostname, addresses);
+  if (blocked) throw blocked;
+  return parsed;
+}
+
+module.exports = {
+  HostError,
+  parseHostList,
+  isHostAllowed,
+  isPrivateAddress,
+  publicLookup,
+  checkUrl,
+  checkUrlNow
+};
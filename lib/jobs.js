@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { log } = require('./logger');
+const { HostError, parseHostList, publicLookup, checkUrl, checkUrlNow } = require('./hosts');
+
+// ============================================================
+// ASYNC GENERATION JOBS
+// ============================================================
+//
+// A small in-process queue for self-hosting. Jobs run one at a time by
+// default (JOBS_CONCURRENCY) and their state lives either in memory or as one
+// JSON file per job (JOBS_STORE=file, JOBS_DIR), so status survives a restart.
+// Jobs that were still queued or running when the process stopped are marked
+// failed on start-up: their payloads are not persisted.
+//
+// Job shape:
+//   { id, status: 'queued' | 'running' | 'succeeded' | 'failed',
+//     progress: { stage, sectionsBuilt, totalSections, imagesEmbedded, uploaded },
+//     result, error, callbackUrl, callback, clientId, createdAt, updatedAt }
+//
+// clientId is the API key (lib/access) that queued the job, or null.
+//
+// A callbackUrl gets the same host checks as attachment downloads (lib/
+// hosts): when the job is queued, and again as the callback connects.
+// Redirects are not followed, and a host that fails the checks is not
+// retried.
+//
+// CALLBACK_ALLOWED_HOSTS        optional comma-separated host allowlist;
+//                               ".example.com" also matches subdomains
+// CALLBACK_ALLOW_PRIVATE_HOSTS  'true' to allow loopback, private and
+//                               link-local addresses (blocked by default)
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const CALLBACK_ATTEMPTS = 3;
+const CALLBACK_TIMEOUT_MS = 10000;
+
+const CALLBACK_DEFAULTS = {
+  allowedHosts: parseHostList(process.env.CALLBACK_ALLOWED_HOSTS),
+  allowPrivateHosts: process.env.CALLBACK_ALLOW_PRIVATE_HOSTS === 'true'
+};
+
+function createMemoryJobStore() {
+  const jobs = new Map();
+  return {
+    get: id => jobs.get(id) || null,
+    set: job => { jobs.set(job.id, job); },
+    remove: id => { jobs.delete(id); },
+    all: () => Array.from(jobs.values())
+  };
+}
+
+function createFileJobStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+  const file = id => path.join(directory, `${id}.json`);
+  const read = id => {
+    try { return JSON.parse(fs.readFileSync(file(id), 'utf8')); }
+    catch (e) { return null; }
+  };
+  return {
+    get: id => (/^[\w-]+$/.test(id) ? read(id) : null),
+    set: job => { fs.writeFileSync(file(job.id), JSON.stringify(job)); },
+    remove: id => { fs.rmSync(file(id), { force: true }); },
+    all: () => fs.readdirSync(directory).filter(f => f.endsWith('.json')).map(f => read(f.slice(0, -5))).filter(Boolean)
+  };
+}
+
+// Resolves to the response status. Each attempt gets its own connection: a
+// pooled one would skip the address check.
+function post(url, body, { allowPrivateHosts }) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+      agent: false,
+      lookup: allowPrivateHosts ? undefined : publicLookup
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    }).on('error', reject).end(body);
+  });
+}
+
+async function deliverCallback(job, { allowedHosts, allowPrivateHosts }) {
+  const body = JSON.stringify({ jobId: job.id, status: job.status, result: job.result, error: job.error });
+  let url;
+  try {
+    url = checkUrl(job.callbackUrl, { allowedHosts, allowPrivateHosts, allowlistSetting: 'CALLBACK_ALLOWED_HOSTS' });
+  } catch (e) {
+    return { delivered: false, attempts: 0, error: e.message };
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    try {
+      const status = await post(url, body, { allowPrivateHosts });
+      if (status >= 200 && status < 300) return { delivered: true, attempts: attempt, status };
+      lastError = `HTTP ${status}`;
+    } catch (e) {
+      if (e instanceof HostError) return { delivered: false, attempts: attempt, error: e.message };
+      lastError = e.message;
+    }
+    if (attempt < CALLBACK_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+  }
+  return { delivered: false, attempts: CALLBACK_ATTEMPTS, error: lastError };
+}
+
+// Resolves to the reason a callbackUrl is refused, or null. Looks the host up,
+// so a URL that would be refused at delivery fails the request instead.
+async function validateCallbackUrl(callbackUrl, {
+  allowedHosts = CALLBACK_DEFAULTS.allowedHosts,
+  allowPrivateHosts = CALLBACK_DEFAULTS.allowPrivateHosts
+} = {}) {
+  if (callbackUrl === undefined || callbackUrl === null || callbackUrl === '') return null;
+  try {
+    const url = new URL(callbackUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'must be an absolute http(s) URL';
+  } catch (e) {
+    return 'must be an absolute http(s) URL';
+  }
+  try {
+    await checkUrlNow(callbackUrl, { allowedHosts, allowPrivateHosts, allowlistSetting: 'CALLBACK_ALLOWED_HOSTS' });
+  } catch (e) {
+    if (e instanceof HostError) return e.message;
+    throw e;
+  }
+  return null;
+}
+
+function createJobQueue({
+  store = process.env.JOBS_STORE || 'memory',
+  directory = process.env.JOBS_DIR || path.join(process.cwd(), 'storage', 'jobs'),
+  concurrency = Number(process.env.JOBS_CONCURRENCY) || 1,
+  retentionMs = DEFAULT_RETENTION_MS,
+  callbackAllowedHosts = CALLBACK_DEFAULTS.allowedHosts,
+  callbackAllowPrivateHosts = CALLBACK_DEFAULTS.allowPrivateHosts
+} = {}) {
+  const jobs = store === 'file' ? createFileJobStore(directory) : createMemoryJobStore();
+  const pending = [];
+  let running = 0;
+
+  jobs.all().filter(job => job.status === 'queued' || job.status === 'running').forEach(job => {
+    jobs.set({ ...job, status: 'failed', error: 'Interrupted by a server restart', updatedAt: new Date().toISOString() });
+  });
+
+  function update(id, changes) {
+    const job = { ...jobs.get(id), ...changes, updatedAt: new Date().toISOString() };
+    jobs.set(job);
+    return job;
+  }
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    jobs.all()
+      .filter(job => (job.status === 'succeeded' || job.status === 'failed') && new Date(job.updatedAt).getTime() < cutoff)
+      .forEach(job => jobs.remove(job.id));
+  }
+
+  async function run({ id, task }) {
+    running++;
+    update(id, { status: 'running' });
+    const reportProgress = progress => {
+      const job = jobs.get(id);
+      update(id, { progress: { ...job.progress, ...progress } });
+    };
+
+    let job;
+    try {
+      const result = await task(reportProgress, id);
+      job = update(id, { status: 'succeeded', result, progress: { ...jobs.get(id).progress, stage: 'done' } });
+    } catch (error) {
+      log.error('Job failed', { jobId: id, error: error.message });
+      job = update(id, { status: 'failed', error: error.message });
+    } finally {
+      running--;
+      next();
+    }
+
+    if (job.callbackUrl) {
+      const callback = await deliverCallback(job, { allowedHosts: callbackAllowedHosts, allowPrivateHosts: callbackAllowPrivateHosts });
+      if (!callback.delivered) log.error('Job callback failed', { jobId: id, attempts: callback.attempts, error: callback.error });
+      update(id, { callback });
+    }
+  }
+
+  function next() {
+    while (running < concurrency && pending.length > 0) run(pending.shift());
+  }
+
+  return {
+    // task(reportProgress, jobId) does the work and resolves to the job result
+    enqueue(task, { callbackUrl = null, progress = {}, clientId = null } = {}) {
+      prune();
+      const now = new Date().toISOString();
+      const job = { id: crypto.randomBytes(12).toString('base64url'), status: 'queued', progress: { stage: 'queued', ...progress }, result: null, error: null, callbackUrl, callback: null, clientId, createdAt: now, updatedAt: now };
+      jobs.set(job);
+      pending.push({ id: job.id, task });
+      setImmediate(next);
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id);
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  createJobQueue,
+  validateCallbackUrl
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ============================================================
+// STRUCTURED LOGS
+// ============================================================
+//
+// One JSON object per line, so hosting log search can filter on fields:
+//
+//   {"time":"2025-07-01T02:14:09.114Z","level":"info","msg":"Portfolio generated",
+//    "requestId":"f3a9…","clientId":"bright-paths","format":"docx","fileSize":48211}
+//
+// Every line logged while a request is handled carries its requestId (and,
+// once the API key is checked, its clientId), including lines from the core
+// library and from async jobs the request queued. The ID is taken from the
+// caller's X-Request-Id header when it looks like one, and is returned in
+// the X-Request-Id response header.
+//
+// Payloads hold children's personal information, so field values are
+// redacted by key before they are written: names (childName, parentName,
+// filename…), titles, descriptions, notes, assessments and attachments.
+// Messages are fixed text and must never include payload values. Error
+// messages and other text can't be fixed, so quoted text in them, where
+// errors and warnings repeat payload values ('is "Sam"'), is redacted too.
+//
+// LOG_LEVEL   debug, info (default), warn or error
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const REDACTED = '[redacted]';
+const REDACTED_KEYS = /name$|^title$|description|happened|engagement|notes?$|comments?$|reflections?$|assessment|attachments?$|photos?$|images?$|^text$|^body$|filedata|buffer/i;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+const QUOTED_TEXT = /"[^"\n]*"|“[^”\n]*”/g;
+
+const context = new AsyncLocalStorage();
+
+function minimumLevel() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS.includes(level) ? LEVELS.indexOf(level) : 1;
+}
+
+// text with anything in double quotes replaced by "[redacted]"
+function redactText(text) {
+  return String(text).replace(QUOTED_TEXT, `"${REDACTED}"`);
+}
+
+// A copy of value with personal fields, and quoted text in strings and
+// error messages, replaced by "[redacted]"
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      ...(value.code !== undefined && { code: value.code }),
+      message: redactText(value.message),
+      ...(value.stack && { stack: redactText(value.stack) })
+    };
+  }
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 5) return '[…]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = REDACTED_KEYS.test(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, depth + 1);
+  });
+  return copy;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS.indexOf(level) < minimumLevel()) return;
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg: redactText(msg), ...context.getStore(), ...redact(fields || {}) });
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// The current request's { requestId, clientId }, or {}
+function requestContext() {
+  return { ...context.getStore() };
+}
+
+// Add fields to every later line for the current request
+function addContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// Run fn(requestId) with a request ID in the log context, send the ID back
+// in X-Request-Id, and log the request once the response is finished. Only
+// the path is logged: query strings can hold download signatures.
+function withRequestContext(req, res, fn) {
+  const given = req.headers && req.headers['x-request-id'];
+  const requestId = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  const started = Date.now();
+  res.setHeader('X-Request-Id', requestId);
+
+  return context.run({ requestId }, () => {
+    const path = String(req.path || req.url || '').split('?')[0];
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      write(level, 'Request finished', { method: req.method, path, status: res.statusCode, durationMs: Date.now() - started });
+    });
+    return fn(requestId);
+  });
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = {
+  LEVELS,
+  log,
+  redact,
+  redactText,
+  requestContext,
+  addContext,
+  withRequestContext
+};
@@ -0,0 +1,117 @@
+// ============================================================
+// OUTCOME CATALOGUES
+// ============================================================
+//
+// Bundled, versioned lists of syllabus outcomes, used to describe the codes
+// families tag evidence with and to check them against the child's stage.
+// Each entry is { code, stages, kla, syllabus, description }; `kla` is a
+// learning area of the curriculum profile that names the catalogue, and
+// `syllabus` is a key of the catalogue's `syllabuses`, whose status is
+// 'current' or 'superseded'.
+//
+// Catalogues are not exhaustive. `complete` lists the subjects and stages
+// (a code's first three characters, such as EN2 or HT3) whose outcomes are
+// all listed; only codes in those are reported as unknown.
+
+const CATALOGUE_FILES = {
+  'nsw-k10': './catalogues/nsw-k10.json'
+};
+
+const STAGE_LABELS = {
+  ES1: 'Early Stage 1',
+  S1: 'Stage 1',
+  S2: 'Stage 2',
+  S3: 'Stage 3',
+  S4: 'Stage 4',
+  S5: 'Stage 5',
+  S6: 'Stage 6'
+};
+
+const loaded = {};
+
+function indexCatalogue(data) {
+  const byCode = new Map();
+  const covered = new Set((data.complete || []).map(prefix => prefix.toUpperCase()));
+  data.outcomes.forEach(outcome => {
+    const syllabus = data.syllabuses[outcome.syllabus] || {};
+    byCode.set(outcome.code.toUpperCase(), { ...outcome, syllabusName: syllabus.name, status: syllabus.status || 'current' });
+  });
+
+  return {
+    id: data.id,
+    name: data.name,
+    version: data.version,
+    size: byCode.size,
+    lookup: code => byCode.get(String(code || '').trim().toUpperCase()) || null,
+    covers: code => covered.has(String(code || '').trim().slice(0, 3).toUpperCase()),
+    // Current outcomes for a learning area at any of the given stages
+    forArea: (kla, stages) => [...byCode.values()].filter(o => o.kla === kla && o.status === 'current' && o.stages.some(s => stages.includes(s)))
+  };
+}
+
+// null for no catalogue (profiles without one) or an unknown id
+function getOutcomeCatalogue(id) {
+  if (!id || !CATALOGUE_FILES[id]) return null;
+  if (!loaded[id]) loaded[id] = indexCatalogue(require(CATALOGUE_FILES[id]));
+  return loaded[id];
+}
+
+const YEAR_STAGES = { 1: 'S1', 2: 'S1', 3: 'S2', 4: 'S2', 5: 'S3', 6: 'S3', 7: 'S4', 8: 'S4', 9: 'S5', 10: 'S5', 11: 'S6', 12: 'S6' };
+
+// Stages a yearLevel covers: "Stage 2" -> ['S2'], "Year 3" -> ['S2'],
+// "Years 4-5" -> ['S2', 'S3'], "Kindergarten" -> ['ES1'], "S3" -> ['S3'].
+// [] if unrecognised.
+function yearLevelToStages(yearLevel) {
+  const text = String(yearLevel || '').toLowerCase();
+  const stages = new Set();
+  if (/early\s*stage\s*1|\bes1\b|kindergarten|\bkindy\b|\bfoundation\b|\bprep\b|^\s*k\s*$/.test(text)) stages.add('ES1');
+  const short = text.match(/^\s*s([1-6])\s*$/);
+  if (short) stages.add(`S${short[1]}`);
+  const stage = text.replace(/early\s*stage\s*1/g, '').match(/\bstages?\s*(\d)(?:\s*(?:-|–|to|and|&)\s*(\d))?/);
+  if (stage) {
+    for (let s = Number(stage[1]); s <= Number(stage[2] || stage[1]); s++) if (STAGE_LABELS[`S${s}`]) stages.add(`S${s}`);
+  }
+  const years = text.match(/\b(?:years?|grades?|yr)\s*(\d{1,2})(?:\s*(?:-|–|to|and|&)\s*(\d{1,2}))?/) || text.match(/^\s*(\d{1,2})\s*$/);
+  if (years) {
+    for (let y = Number(years[1]); y <= Number(years[2] || years[1]); y++) if (YEAR_STAGES[y]) stages.add(YEAR_STAGES[y]);
+  }
+  return [...stages];
+}
+
+function describeStages(stages) {
+  return stages.map(s => STAGE_LABELS[s] || s).join(' / ');
+}
+
+// Check the codes used across evidence. uses is [{ code, title }]; returns
+// one { path, reason } warning per code that the catalogue covers but does
+// not list, or whose stages do not include the child's.
+function checkOutcomeCodes(catalogue, uses, yearLevel) {
+  if (!catalogue) return [];
+  const childStages = yearLevelToStages(yearLevel);
+  const titlesByCode = new Map();
+  uses.forEach(({ code, title }) => {
+    if (!titlesByCode.has(code)) titlesByCode.set(code, []);
+    if (!titlesByCode.get(code).includes(title)) titlesByCode.get(code).push(title);
+  });
+
+  const warnings = [];
+  titlesByCode.forEach((titles, code) => {
+    const where = `in ${titles.map(t => `"${t}"`).join(', ')}`;
+    const entry = catalogue.lookup(code);
+    if (!entry) {
+      if (catalogue.covers(code)) {
+        warnings.push({ path: `matchedOutcomes["${code}"]`, reason: `${code} (${where}) is not in the ${catalogue.name} catalogue (version ${catalogue.version})` });
+      }
+    } else if (childStages.length > 0 && !entry.stages.some(s => childStages.includes(s))) {
+      warnings.push({ path: `matchedOutcomes["${code}"]`, reason: `${code} (${where}) is a ${describeStages(entry.stages)} outcome, but yearLevel "${yearLevel}" is ${describeStages(childStages)}` });
+    }
+  });
+  return warnings;
+}
+
+module.exports = {
+  STAGE_LABELS,
+  getOutcomeCatalogue,
+  yearLevelToStages,
+  checkOutcomeCodes
+};
@@ -0,0 +1,161 @@
+// ============================================================
+// PROGRAM DESCRIPTION (SECTION 1.2 / 1.3)
+// ============================================================
+//
+// Section 1 describes the child's learning profile, the adjustments made for
+// them and the family's approach. Families pick a preset with
+// programDescription.preset and can override any part of it:
+//
+//   programDescription: {
+//     preset: 'pda-affirming' | 'autism' | 'adhd' | 'gifted' | 'none',
+//     includeDisabilityStandards: true | false,  // default from the preset
+//     profileStatement: '…',                     // "Sam is autistic, and …"
+//     adjustments: ['…', '…'],                   // or one string, one per line
+//     adjustmentsSummary: '…',                   // paragraph after the list
+//     philosophy: '…'                            // the Educational Philosophy section
+//   }
+//
+// {childName} and {curriculumTerm} in any text are filled in. Without a
+// programDescription the PDA-affirming preset is used, which is what every
+// portfolio said before presets existed.
+
+const DEFAULT_PRESET = 'pda-affirming';
+
+const DEFAULT_PHILOSOPHY = 'Our home education program recognises that meaningful learning occurs when children feel safe, autonomous, and connected. We provide a rich learning environment that allows natural curiosity to drive engagement with {curriculumTerm} content.';
+
+const PROGRAM_PRESETS = {
+  'pda-affirming': {
+    label: 'PDA-affirming',
+    includeDisabilityStandards: true,
+    profileStatement: '{childName} has a neurodivergent learning profile, and our program incorporates reasonable adjustments as outlined in the Standards.',
+    adjustments: [
+      "Flexible pacing that honours the child's autonomy and reduces demand-related anxiety",
+      'Collaborative approach to learning activities, allowing the child to maintain a sense of control and choice',
+      'Integration of special interests and preferred learning modalities to enhance engagement',
+      'Low-demand presentation of learning opportunities that reduces pressure while maintaining educational rigour',
+      'Recognition that anxiety and overwhelm are communication, not misbehaviour, requiring adaptive responses'
+    ],
+    adjustmentsSummary: 'These adjustments are fundamental to our educational approach and enable {childName} to demonstrate learning in ways that respect neurodivergent learning patterns.',
+    philosophy: DEFAULT_PHILOSOPHY
+  },
+  autism: {
+    label: 'Autism',
+    includeDisabilityStandards: true,
+    profileStatement: '{childName} is autistic, and our program incorporates reasonable adjustments as outlined in the Standards.',
+    adjustments: [
+      'Predictable routines, with advance notice of any changes to learning activities',
+      'Visual schedules and supports that make expectations clear',
+      'A sensory-considerate learning environment, with breaks whenever they are needed',
+      'Learning built around special interests to support engagement and depth of understanding',
+      'Explicit teaching of new concepts, with time to process information and respond'
+    ],
+    adjustmentsSummary: 'These adjustments enable {childName} to access learning on the same basis as other students and to demonstrate understanding in ways that suit an autistic learning profile.',
+    philosophy: "Our home education program builds on {childName}'s strengths and interests within a predictable, low-stress environment. Learning is clearly structured, paced to suit {childName}, and connected to {curriculumTerm} content through meaningful, hands-on experiences."
+  },
+  adhd: {
+    label: 'ADHD',
+    includeDisabilityStandards: true,
+    profileStatement: '{childName} has ADHD, and our program incorporates reasonable adjustments as outlined in the Standards.',
+    adjustments: [
+      'Short, focused learning sessions with regular movement breaks',
+      'Tasks broken into clear, manageable steps with immediate feedback',
+      'Active, hands-on and varied learning experiences that sustain attention',
+      "Flexible scheduling that follows the child's energy and focus across the day",
+      'Visual timers, checklists and other external supports for planning and organisation'
+    ],
+    adjustmentsSummary: 'These adjustments help {childName} engage fully and demonstrate learning without being held back by differences in attention and executive function.',
+    philosophy: "Our home education program harnesses {childName}'s curiosity and energy. Learning is active, varied and responsive, with frequent opportunities to move, create and explore {curriculumTerm} content in practical ways."
+  },
+  gifted: {
+    label: 'Gifted',
+    includeDisabilityStandards: false,
+    profileStatement: '{childName} is a gifted learner, and our program is differentiated to provide an appropriate level of challenge.',
+    adjustments: [
+      'Curriculum compacting, so that content already mastered is not repeated',
+      'Acceleration in areas of strength, working beyond stage expectations where appropriate',
+      'Open-ended inquiry and extension projects that encourage depth and complexity',
+      'Opportunities to pursue advanced interests through mentors, courses and specialist resources',
+      'Attention to social and emotional wellbeing alongside intellectual challenge'
+    ],
+    adjustmentsSummary: 'These adjustments ensure {childName} remains engaged and appropriately challenged across the learning program.',
+    philosophy: 'Our home education program gives {childName} the freedom to learn at an appropriate pace and depth. Learning extends beyond {curriculumTerm} expectations where {childName} is ready, with an emphasis on inquiry, creativity and critical thinking.'
+  },
+  none: {
+    label: 'No adjustments',
+    includeDisabilityStandards: false,
+    profileStatement: '',
+    adjustments: [],
+    adjustmentsSummary: '',
+    philosophy: DEFAULT_PHILOSOPHY
+  }
+};
+
+const PROGRAM_PRESET_IDS = Object.keys(PROGRAM_PRESETS);
+
+// The preset statements' reference to the Standards, left out when the
+// Standards aren't cited
+const STANDARDS_REFERENCE = ' as outlined in the Standards';
+
+const DSE_STATEMENT = 'This educational program has been developed in accordance with the Disability Standards for Education 2005 (Cth), which ensure that students with disability are able to access and participate in education on the same basis as students without disability.';
+
+function fill(text, values) {
+  return String(text || '').replace(/\{(childName|curriculumTerm)\}/g, (match, key) => values[key]);
+}
+
+function toBoolean(value) {
+  if (value === true || value === 'true' || value === '1' || value === 1) return true;
+  if (value === false || value === 'false' || value === '0' || value === 0) return false;
+  return undefined;
+}
+
+function toAdjustmentList(value) {
+  if (Array.isArray(value)) return value.map(a => String(a).trim()).filter(Boolean);
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return toAdjustmentList(parsed);
+    } catch (e) {
+      // one adjustment per line
+    }
+    return value.split(/[\n\r]+/).map(a => a.replace(/^[\s•*-]+/, '').trim()).filter(Boolean);
+  }
+  return undefined;
+}
+
+// Resolve the preset plus overrides into the text section 1 renders:
+// { preset, includeDisabilityStandards, profileStatement, adjustments,
+//   adjustmentsSummary, philosophy }. Unknown presets fall back to the
+// default (the validator has already warned about them).
+function resolveProgramDescription(programDescription, { childName, curriculumTerm }) {
+  let options = programDescription || {};
+  if (typeof options === 'string') {
+    try { options = JSON.parse(options); }
+    catch (e) { options = {}; }
+  }
+
+  const preset = PROGRAM_PRESETS[options.preset] ? options.preset : DEFAULT_PRESET;
+  const base = PROGRAM_PRESETS[preset];
+  const pick = key => (options[key] !== undefined && options[key] !== null ? options[key] : base[key]);
+  const values = { childName, curriculumTerm };
+  const requested = toBoolean(options.includeDisabilityStandards);
+  const includeDisabilityStandards = requested !== undefined ? requested : base.includeDisabilityStandards;
+  const ownStatement = options.profileStatement !== undefined && options.profileStatement !== null;
+  const profileStatement = ownStatement || includeDisabilityStandards ? pick('profileStatement') : base.profileStatement.replace(STANDARDS_REFERENCE, '');
+
+  return {
+    preset,
+    includeDisabilityStandards,
+    profileStatement: fill(profileStatement, values),
+    adjustments: (toAdjustmentList(options.adjustments) || base.adjustments).map(a => fill(a, values)),
+    adjustmentsSummary: fill(pick('adjustmentsSummary'), values),
+    philosophy: fill(pick('philosophy'), values)
+  };
+}
+
+module.exports = {
+  DEFAULT_PRESET,
+  PROGRAM_PRESETS,
+  PROGRAM_PRESET_IDS,
+  DSE_STATEMENT,
+  resolveProgramDescription
+};
@@ -0,0 +1,75 @@
+// Reads records from the Airtable REST API with a personal access token.
+//
+// AIRTABLE_TOKEN        required; needs data.records:read on the bases used
+// AIRTABLE_API_URL      default https://api.airtable.com (point it at a
+//                       stand-in server to test without Airtable)
+// AIRTABLE_TIMEOUT_MS   per request, default 15000
+//
+// Airtable allows 5 requests per second per base and answers 429 beyond
+// that; those requests are retried after Retry-After (default 30 seconds),
+// at most twice.
+
+const MAX_RETRIES = 2;
+const DEFAULT_RETRY_SECONDS = 30;
+
+// RECORD_ID() formulas are sent in the query string, which Airtable caps at
+// 16k characters
+const MAX_IDS_PER_FORMULA = 50;
+
+function createAirtableApiClient({
+  token = process.env.AIRTABLE_TOKEN,
+  apiUrl = process.env.AIRTABLE_API_URL || 'https://api.airtable.com',
+  timeoutMs = Number(process.env.AIRTABLE_TIMEOUT_MS) || 15000,
+  wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  if (!token) throw new Error('Airtable sources need AIRTABLE_TOKEN');
+
+  const tableUrl = (baseId, table) => `${apiUrl.replace(/\/$/, '')}/v0/${encodeURIComponent(baseId)}/${encodeURIComponent(table)}`;
+
+  // The parsed response, or null for a 404
+  async function request(url, table) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, { headers: { Authorization: `Bearer ${token}` }, signal: AbortSignal.timeout(timeoutMs) });
+      } catch (e) {
+        throw new Error(e.name === 'TimeoutError' ? `Airtable table "${table}" timed out after ${timeoutMs}ms` : `Airtable table "${table}" could not be read: ${e.message}`);
+      }
+      if (response.status === 429 && attempt < MAX_RETRIES) {
+        await wait((Number(response.headers.get('retry-after')) || DEFAULT_RETRY_SECONDS) * 1000);
+        continue;
+      }
+      if (response.status === 404) return null;
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = body.error && (body.error.message || body.error.type || body.error);
+        throw new Error(`Airtable table "${table}" returned ${response.status}${error ? `: ${error}` : ''}`);
+      }
+      return body;
+    }
+  }
+
+  return {
+    maxIdsPerRequest: MAX_IDS_PER_FORMULA,
+
+    // { id, fields }, or null if there is no such record
+    async getRecord(baseId, table, recordId) {
+      const record = await request(`${tableUrl(baseId, table)}/${encodeURIComponent(recordId)}`, table);
+      return record && { id: record.id, fields: record.fields || {} };
+    },
+
+    // One page of { records, offset }; offset is undefined on the last page.
+    // recordIds limits the page to those records.
+    async listRecords(baseId, table, { recordIds, offset, pageSize = 100 } = {}) {
+      const url = new URL(tableUrl(baseId, table));
+      url.searchParams.set('pageSize', String(pageSize));
+      if (offset) url.searchParams.set('offset', offset);
+      if (recordIds) url.searchParams.set('filterByFormula', `OR(${recordIds.map(id => `RECORD_ID()='${id}'`).join(',')})`);
+      const page = await request(url, table);
+      if (!page) throw new Error(`Airtable table "${table}" was not found in base ${baseId}`);
+      return { records: (page.records || []).map(record => ({ id: record.id, fields: record.fields || {} })), offset: page.offset };
+    }
+  };
+}
+
+module.exports = { createAirtableApiClient };
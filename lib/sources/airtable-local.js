@@ -0,0 +1,47 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// A stand-in for the Airtable API that reads exported tables from a local
+// directory (AIRTABLE_LOCAL_DIR, default ./airtable), for testing and
+// offline use. Each table is <directory>/<baseId>/<table>.json, in the shape
+// the API returns: { "records": [{ "id": "rec…", "fields": { … } }] } or just
+// the list. Pages are served the same way as the API's, so paging and record
+// lookups work exactly as they do against Airtable.
+
+const ID_PATTERN = /^[\w-]+$/;
+
+function createAirtableLocalClient({
+  directory = process.env.AIRTABLE_LOCAL_DIR || path.join(process.cwd(), 'airtable')
+} = {}) {
+  async function readTable(baseId, table) {
+    if (!ID_PATTERN.test(baseId) || /[/\\]|^\.+$/.test(table)) throw new Error(`Airtable table "${table}" was not found in base ${baseId}`);
+    const file = path.join(directory, baseId, `${table}.json`);
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new Error(`Airtable table "${table}" was not found in base ${baseId}`);
+      throw e;
+    }
+    const parsed = JSON.parse(content);
+    return (Array.isArray(parsed) ? parsed : parsed.records || []).map(record => ({ id: record.id, fields: record.fields || {} }));
+  }
+
+  return {
+    maxIdsPerRequest: 50,
+
+    async getRecord(baseId, table, recordId) {
+      return (await readTable(baseId, table)).find(record => record.id === recordId) || null;
+    },
+
+    async listRecords(baseId, table, { recordIds, offset, pageSize = 100 } = {}) {
+      let records = await readTable(baseId, table);
+      if (recordIds) records = records.filter(record => recordIds.includes(record.id));
+      const start = Number(offset) || 0;
+      const next = start + pageSize;
+      return { records: records.slice(start, next), offset: next < records.length ? String(next) : undefined };
+    }
+  };
+}
+
+module.exports = { createAirtableLocalClient };
@@ -0,0 +1,217 @@
+const { createAirtableApiClient } = require('./airtable-api');
+const { createAirtableLocalClient } = require('./airtable-local');
+const { validateFieldMappingId, readFieldMapping, readFields, mapPortfolioFields, TRANSFORMS } = require('../field-mappings');
+const { log } = require('../logger');
+
+// ============================================================
+// DATA SOURCES
+// ============================================================
+//
+// Instead of sending the records, a request can name where they are and let
+// the service read them:
+//
+//   { "source": { "type": "airtable", "baseId": "app…", "childRecordId": "rec…",
+//                 "tables": { "evidence": "Learning Log" }, "from": "2025-01-28", "to": "2025-07-04" },
+//     "reportingPeriod": "Semester 1 2025", "progressAssessment": { … } }
+//
+// loadSourcePayload reads the child record, pages through the evidence,
+// curriculum outcomes and learning area overviews it links to, and swaps the
+// linked outcome record IDs in each entry's matched outcomes for the
+// outcome's code and description. Evidence dated outside from-to is left
+// out. Columns are read through the field mapping (lib/field-mappings),
+// whose child group names the child record's columns and links. The result
+// is an ordinary payload with canonical fields, in which the request's own
+// fields win over the child record's.
+//
+// A client reads the records, chosen with AIRTABLE_CLIENT:
+//
+//   api     the Airtable REST API (default; see ./airtable-api)
+//   local   tables exported to a local directory (see ./airtable-local)
+
+const SOURCE_TYPES = ['airtable'];
+
+const CLIENTS = {
+  api: createAirtableApiClient,
+  local: createAirtableLocalClient
+};
+
+const DEFAULT_TABLES = {
+  children: 'Children',
+  evidence: 'Evidence',
+  outcomes: 'Outcomes',
+  overviews: 'Learning Area Overviews'
+};
+
+const BASE_ID_PATTERN = /^app[A-Za-z0-9]{14}$/;
+const RECORD_ID_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function createSourceClient({ client, ...options } = {}) {
+  const name = client || process.env.AIRTABLE_CLIENT || 'api';
+  const factory = CLIENTS[name];
+  if (!factory) {
+    throw new Error(`Unknown Airtable client "${name}" (expected one of ${Object.keys(CLIENTS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+// Returns a list of { path, reason } for a request's source
+function validateSource(source) {
+  const errors = [];
+  const report = (path, reason) => errors.push({ path: `source${path}`, reason });
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    report('', 'must be an object with baseId and childRecordId');
+    return errors;
+  }
+  if (source.type !== undefined && !SOURCE_TYPES.includes(source.type)) report('.type', `must be one of ${SOURCE_TYPES.join(', ')}`);
+  if (!BASE_ID_PATTERN.test(source.baseId || '')) report('.baseId', 'must be an Airtable base ID ("app" and 14 letters or digits)');
+  if (!RECORD_ID_PATTERN.test(source.childRecordId || '')) report('.childRecordId', 'must be an Airtable record ID ("rec" and 14 letters or digits)');
+  if (source.tables !== undefined) {
+    if (!source.tables || typeof source.tables !== 'object' || Array.isArray(source.tables)) {
+      report('.tables', `must be an object naming any of ${Object.keys(DEFAULT_TABLES).join(', ')}`);
+    } else {
+      Object.entries(source.tables).forEach(([key, table]) => {
+        if (!DEFAULT_TABLES[key]) report(`.tables.${key}`, `is not a table (expected one of ${Object.keys(DEFAULT_TABLES).join(', ')})`);
+        else if (typeof table !== 'string' || !table.trim()) report(`.tables.${key}`, 'must be a table name or ID');
+      });
+    }
+  }
+  ['from', 'to'].forEach(field => {
+    const value = source[field];
+    if (value !== undefined && (!DATE_PATTERN.test(String(value)) || Number.isNaN(new Date(value).getTime()))) report(`.${field}`, 'must be a date as YYYY-MM-DD');
+  });
+  if (errors.length === 0 && source.from && source.to && source.from > source.to) report('.to', `is before from (${source.from})`);
+  return errors;
+}
+
+// Record IDs in a link field (a list, or comma-separated text)
+function linkedIds(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',').map(item => item.trim()) : [];
+  return [...new Set(items.filter(item => typeof item === 'string' && RECORD_ID_PATTERN.test(item)))];
+}
+
+// Every record of a table, or just the given IDs in that order, page by page
+async function readRecords(client, baseId, table, recordIds) {
+  const records = [];
+  const batches = [];
+  if (!recordIds) batches.push(undefined);
+  else for (let i = 0; i < recordIds.length; i += client.maxIdsPerRequest) batches.push(recordIds.slice(i, i + client.maxIdsPerRequest));
+
+  for (const ids of batches) {
+    let offset;
+    do {
+      const page = await client.listRecords(baseId, table, { recordIds: ids, offset });
+      records.push(...page.records);
+      offset = page.offset;
+    } while (offset);
+  }
+  if (!recordIds) return records;
+  const byId = new Map(records.map(record => [record.id, record]));
+  return recordIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+// Swap linked outcome record IDs in matchedOutcomes for { code, description }.
+// Outcomes already read for curriculumOutcomes aren't read again.
+async function resolveLinkedOutcomes(evidenceEntries, { client, baseId, table, mapping, known }) {
+  const warnings = [];
+  const wanted = [...new Set(evidenceEntries.flatMap(entry => linkedIds(entry.matchedOutcomes)))].filter(id => !known.has(id));
+  if (wanted.length > 0) {
+    (await readRecords(client, baseId, table, wanted)).forEach(record => known.set(record.id, readFields('outcomes', record.fields, mapping)));
+  }
+
+  evidenceEntries.forEach((entry, idx) => {
+    const ids = linkedIds(entry.matchedOutcomes);
+    if (ids.length === 0) return;
+    const items = Array.isArray(entry.matchedOutcomes) ? entry.matchedOutcomes : String(entry.matchedOutcomes).split(',').map(item => item.trim()).filter(Boolean);
+    entry.matchedOutcomes = items.map(item => {
+      if (!ids.includes(item)) return item;
+      const outcome = known.get(item);
+      if (!outcome) {
+        warnings.push({ path: `evidenceEntries[${idx}].matchedOutcomes`, reason: `linked outcome ${item} was not found in table "${table}"` });
+        return item;
+      }
+      return { code: outcome.outcomeCode, description: outcome.outcomeDescription };
+    });
+  });
+  return warnings;
+}
+
+// The payload for a request with a source, built from its records. Resolves
+// to { valid, errors, warnings, portfolioData }; errors are the request's
+// mistakes (paths under source). Failures reading Airtable are thrown.
+async function loadSourcePayload(request, { fieldMappingId, client } = {}) {
+  const { source, fieldMappingId: ignored, ...fields } = request || {};
+  const errors = validateSource(source);
+  const fieldMappingError = validateFieldMappingId(fieldMappingId);
+  if (fieldMappingError) errors.push({ path: 'fieldMappingId', reason: fieldMappingError });
+  if (errors.length > 0) return { valid: false, errors, warnings: [] };
+
+  client = client || createSourceClient();
+  const mapping = readFieldMapping(fieldMappingId);
+  const tables = { ...DEFAULT_TABLES, ...source.tables };
+  const { baseId, childRecordId, from, to } = source;
+
+  const childRecord = await client.getRecord(baseId, tables.children, childRecordId);
+  if (!childRecord) {
+    return { valid: false, errors: [{ path: 'source.childRecordId', reason: `no record ${childRecordId} in table "${tables.children}"` }], warnings: [] };
+  }
+  const child = readFields('child', childRecord.fields, mapping);
+
+  // Outcomes the child isn't linked to are all read; coverage keeps the ones
+  // for the child's stage
+  const outcomeIds = linkedIds(child.curriculumOutcomes);
+  const outcomeRecords = await readRecords(client, baseId, tables.outcomes, outcomeIds.length > 0 ? outcomeIds : undefined);
+  const evidenceRecords = await readRecords(client, baseId, tables.evidence, linkedIds(child.evidenceEntries));
+  const overviewRecords = await readRecords(client, baseId, tables.overviews, linkedIds(child.learningAreaOverviews));
+
+  // Links back to the child record say nothing about the entry
+  const entryFields = fields => Object.fromEntries(Object.entries(fields).filter(([, value]) => !(Array.isArray(value) && value.includes(childRecordId))));
+  const mapped = mapPortfolioFields({
+    evidenceEntries: evidenceRecords.map(record => ({ id: record.id, ...entryFields(record.fields) })),
+    curriculumOutcomes: outcomeRecords.map(record => record.fields),
+    learningAreaOverviews: overviewRecords.map(record => record.fields)
+  }, mapping);
+  const warnings = [...mapped.warnings];
+
+  const inRange = entry => {
+    const date = TRANSFORMS.date(entry.date);
+    return !DATE_PATTERN.test(String(date)) || ((!from || date >= from) && (!to || date <= to));
+  };
+  const evidenceEntries = mapped.portfolioData.evidenceEntries.filter(inRange);
+  const known = new Map(outcomeRecords.map(record => [record.id, readFields('outcomes', record.fields, mapping)]));
+  warnings.push(...await resolveLinkedOutcomes(evidenceEntries, { client, baseId, table: tables.outcomes, mapping, known }));
+
+  log.info('Source records read', {
+    evidence: evidenceEntries.length,
+    outsideDates: evidenceRecords.length - evidenceEntries.length,
+    outcomes: outcomeRecords.length,
+    overviews: overviewRecords.length
+  });
+
+  const details = {};
+  ['childName', 'yearLevel', 'parentName', 'state'].forEach(field => {
+    if (child[field] !== undefined) details[field] = child[field];
+  });
+  return {
+    valid: true,
+    errors: [],
+    warnings,
+    portfolioData: {
+      childRecordId,
+      ...details,
+      evidenceEntries,
+      curriculumOutcomes: mapped.portfolioData.curriculumOutcomes,
+      learningAreaOverviews: mapped.portfolioData.learningAreaOverviews,
+      ...fields
+    }
+  };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  CLIENTS,
+  DEFAULT_TABLES,
+  createSourceClient,
+  validateSource,
+  loadSourcePayload
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { createInlineStorage } = require('./inline');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+const { createVercelBlobStorage } = require('./vercel-blob');
+const { createLinkSigner, newDownloadId } = require('../downloads');
+
+// ============================================================
+// STORAGE BACKENDS
+// ============================================================
+//
+// Every backend is a factory returning { save, read, remove } keyed by a
+// storage key (inline only implements save). createStorage wraps one so that
+// save() resolves to the same shape whichever backend is used:
+//   { format, filename, url | fileData, fileSize, checksum, storage }
+// so Make.com scenarios don't have to branch on the deployment.
+//
+// Backends other than inline store files privately under a random key and
+// hand out a signed, expiring download link instead of the storage URL (see
+// lib/downloads.js). They can also keep a snapshot of a portfolio payload,
+// so a later comparison report can refer to it by ID. Like jobs, a snapshot
+// belongs to the API key (lib/access) that made it.
+
+const BACKENDS = {
+  inline: createInlineStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+  'vercel-blob': createVercelBlobStorage
+};
+
+const DOWNLOAD_CONTENT_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf: 'application/pdf'
+};
+
+function checksum(buffer) {
+  return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+function storageKey(id) {
+  return `portfolios/${id}`;
+}
+
+function snapshotKey(id) {
+  return `snapshots/${id}`;
+}
+
+// Pick a backend from config, falling back to the PORTFOLIO_STORAGE env var
+// and then to the caller's default (each deployment has its own).
+function createStorage({ backend, defaultBackend = 'inline', signer, ...options } = {}) {
+  const name = backend || process.env.PORTFOLIO_STORAGE || defaultBackend;
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}" (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  const storage = factory(options);
+  const isInline = name === 'inline';
+  if (!isInline && !signer) signer = createLinkSigner();
+
+  return {
+    name,
+    signer: isInline ? null : signer,
+
+    // baseUrl is the public origin of this service, used for download links
+    async save(file, { baseUrl } = {}) {
+      const stored = {
+        format: file.format,
+        filename: file.filename,
+        fileSize: file.fileSize,
+        checksum: checksum(file.buffer),
+        storage: name
+      };
+
+      if (isInline) {
+        const { fileData } = await storage.save({ ...file, key: file.filename });
+        return { ...stored, fileData };
+      }
+
+      // Signed first: without a signing secret nothing is uploaded
+      const id = newDownloadId();
+      const signed = signer.sign(id, file.filename);
+      await storage.save({ ...file, key: storageKey(id) });
+      return { ...stored, id, url: signer.buildUrl(baseUrl, id, file.filename, signed), expiresAt: new Date(signed.exp * 1000).toISOString() };
+    },
+
+    async open(id, filename) {
+      const buffer = await storage.read(storageKey(id));
+      if (!buffer) return null;
+      const extension = String(filename).split('.').pop().toLowerCase();
+      return { buffer, contentType: DOWNLOAD_CONTENT_TYPES[extension] || 'application/octet-stream' };
+    },
+
+    async remove(id) {
+      await storage.remove(storageKey(id));
+    },
+
+    // Inline results carry the whole file, which async jobs would otherwise
+    // keep in the job store
+    keepsFiles: !isInline,
+    keepsSnapshots: !isInline,
+
+    // Resolves to the snapshot ID. clientId is the API key that made it, or
+    // null when no keys are configured.
+    async saveSnapshot(portfolioData, { clientId = null } = {}) {
+      if (isInline) throw new Error('Inline storage does not keep snapshots');
+      const id = newDownloadId();
+      await storage.save({ key: snapshotKey(id), buffer: Buffer.from(JSON.stringify({ clientId, portfolioData })), contentType: 'application/json' });
+      return id;
+    },
+
+    // The payload, or null if there is no snapshot with this ID or it
+    // belongs to another client
+    async readSnapshot(id, { clientId = null } = {}) {
+      if (isInline || !/^[\w-]+$/.test(String(id))) return null;
+      const buffer = await storage.read(snapshotKey(id));
+      if (!buffer) return null;
+      const snapshot = JSON.parse(buffer.toString('utf8'));
+      return clientId && snapshot.clientId !== clientId ? null : snapshot.portfolioData;
+    }
+  };
+}
+
+// Save every rendered file and shape the JSON response: the first file's
+// fields at the top level, and a `files` list when more than one was made.
+async function storePortfolioFiles(storage, files, options = {}) {
+  const stored = [];
+  for (const file of files) stored.push(await storage.save(file, options));
+
+  const { format, ...primary } = stored[0];
+  return { ...primary, ...(stored.length > 1 && { files: stored }) };
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+  storePortfolioFiles,
+  checksum
+};
@@ -0,0 +1,10 @@
+// Returns the file in the response body as base64. No persistence.
+function createInlineStorage() {
+  return {
+    async save({ buffer }) {
+      return { fileData: buffer.toString('base64') };
+    }
+  };
+}
+
+module.exports = { createInlineStorage };
@@ -0,0 +1,31 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes files under a local directory (LOCAL_STORAGE_DIR, default ./storage).
+function createLocalStorage({
+  directory = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage')
+} = {}) {
+  const filePath = key => path.join(directory, ...key.split('/'));
+
+  return {
+    async save({ key, buffer }) {
+      await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.writeFile(filePath(key), buffer);
+    },
+
+    async read(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Uploads to any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...)
+// with a minimal AWS Signature Version 4 client, so no SDK is needed.
+//
+// S3_ENDPOINT           e.g. https://s3.ap-southeast-2.amazonaws.com or http://localhost:9000
+// S3_REGION             default us-east-1
+// S3_BUCKET             required
+// S3_ACCESS_KEY_ID      required
+// S3_SECRET_ACCESS_KEY  required
+// S3_FORCE_PATH_STYLE   'true' for MinIO-style http://host/bucket/key URLs
+//
+// Objects are written without an ACL, so they stay private to the bucket
+// owner; downloads go through the signed route.
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 requires (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function createS3Client({
+  endpoint = process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint);
+
+  function objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (forcePathStyle) return new URL(`${base.origin}${base.pathname.replace(/\/$/, '')}/${bucket}/${encodedKey}`);
+    return new URL(`${base.protocol}//${bucket}.${base.host}${base.pathname.replace(/\/$/, '')}/${encodedKey}`);
+  }
+
+  async function request(method, key, { body, contentType, allowMissing = false } = {}) {
+    const url = objectUrl(key);
+    const payloadHash = sha256(body || '');
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      signedHeaders.map(h => `${h}:${String(headers[h]).trim()}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sendHeaders } = headers;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sendHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+      }
+    });
+    if (!response.ok && !(allowMissing && response.status === 404)) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${text.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  return { objectUrl, request };
+}
+
+function createS3Storage(options = {}) {
+  const client = createS3Client(options);
+
+  return {
+    async save({ key, buffer, contentType }) {
+      await client.request('PUT', key, { body: buffer, contentType });
+    },
+
+    async read(key) {
+      const response = await client.request('GET', key, { allowMissing: true });
+      if (response.status === 404) return null;
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      await client.request('DELETE', key, { allowMissing: true });
+    }
+  };
+}
+
+module.exports = { createS3Client, createS3Storage };
@@ -0,0 +1,27 @@
+const { put, get, del } = require('@vercel/blob');
+const { log } = require('../logger');
+
+// Uploads to a private Vercel Blob store. Needs BLOB_READ_WRITE_TOKEN in the
+// environment, for a store created with private access. Private blobs can
+// only be read with the token, so downloads go through the signed route and
+// stop working once the link expires or is revoked.
+function createVercelBlobStorage() {
+  return {
+    async save({ key, buffer, contentType }) {
+      const blob = await put(key, buffer, { access: 'private', contentType });
+      log.info('Uploaded to Blob', { pathname: blob.pathname });
+    },
+
+    async read(key) {
+      const result = await get(key, { access: 'private', useCache: false });
+      if (!result || result.statusCode !== 200) return null;
+      return Buffer.from(await new Response(result.stream).arrayBuffer());
+    },
+
+    async remove(key) {
+      await del(key);
+    }
+  };
+}
+
+module.exports = { createVercelBlobStorage };
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================
+// DOCUMENT TEMPLATES
+// ============================================================
+//
+// What a portfolio contains and how it reads: the title-page heading, whether
+// there is a contents page, which sections appear and in what order, whether
+// headings are numbered, and each section's heading, subheadings and
+// boilerplate text. Built-in templates:
+//
+//   full                  every section the curriculum profile expects, in
+//                         its order (the default)
+//   registration-renewal  a short summary to support a registration renewal
+//   end-of-term           a snapshot of one term's learning, unnumbered
+//
+// Other templates are JSON files in TEMPLATES_DIR (default ./templates),
+// selected per request with templateId = the file name without .json:
+//
+//   {
+//     "name": "Annual review",
+//     "title": "Annual Learning Review",
+//     "contents": false,
+//     "numbered": true,
+//     "sections": [
+//       "programOverview",
+//       { "key": "learningAreas", "heading": "What {childName} Studied" },
+//       { "key": "progressAssessment", "subheadings": { "cognitive": "Thinking and Learning" } },
+//       { "key": "futurePlans", "text": { "intro": "Plans for the year after {reportingPeriod}." } }
+//     ]
+//   }
+//
+// "sections": "profile" (or leaving it out) uses the profile's sections.
+// Anything a section doesn't set comes from SECTION_DEFAULTS, and a text
+// set to null is left out. Headings and text may use the PLACEHOLDERS.
+// goalProgress only appears in portfolios whose payload has previousGoals.
+// Templates are cached for the life of the process.
+
+const DEFAULT_TEMPLATE_ID = 'full';
+const TEMPLATE_ID_PATTERN = /^[\w-]+$/;
+
+const PLACEHOLDERS = ['childName', 'yearLevel', 'reportingPeriod', 'parentName', 'curriculum', 'curriculumTerm', 'CurriculumTerm', 'evidenceSection'];
+
+const SECTION_DEFAULTS = {
+  programOverview: {
+    heading: 'Learning Program Overview',
+    subheadings: {
+      framework: '{CurriculumTerm} Framework',
+      disabilityStandards: 'Compliance with Disability Standards for Education 2005',
+      adjustments: 'Learning Profile and Adjustments',
+      philosophy: 'Educational Philosophy and Approach'
+    },
+    // The profile's framework statement follows text.framework
+    text: { intro: null, framework: "This learning portfolio demonstrates {childName}'s educational progress during {reportingPeriod}." }
+  },
+  learningAreas: {
+    heading: 'Learning Areas Overview',
+    subheadings: {},
+    text: { intro: "The following provides an overview of {curriculum} expectations for {yearLevel} students in each learning area, along with a summary of {childName}'s progress." }
+  },
+  evidence: {
+    heading: 'Detailed Learning Evidence',
+    subheadings: {},
+    text: { intro: 'Our learning activities integrate learning into everyday life experiences, encouraging self-directed inquiry, real-world problem-solving, and project-based activities.' }
+  },
+  outcomeCoverage: {
+    heading: '{CurriculumTerm} Outcome Coverage',
+    subheadings: {},
+    text: { intro: 'The tables below list the {curriculum} outcomes for {yearLevel} in each learning area and the evidence items in {evidenceSection} that address them. Outcomes without evidence yet are marked "No evidence".' }
+  },
+  progressAssessment: {
+    heading: 'Parent Assessment of Progress',
+    subheadings: { cognitive: 'Cognitive Development', social: 'Social Development', emotional: 'Emotional Development', physical: 'Physical Development' },
+    text: { intro: null }
+  },
+  goalProgress: {
+    heading: 'Progress Towards Previous Goals',
+    subheadings: {},
+    text: { intro: "The learning goals set for {childName} at the end of the previous reporting period, with the evidence from {reportingPeriod} linked to each and how far each has come." }
+  },
+  futurePlans: {
+    heading: 'Future Learning Plans',
+    subheadings: { goals: 'Learning Goals', strategies: 'Planned Strategies', plannedResources: 'Planned Resources' },
+    text: { intro: null }
+  },
+  resources: {
+    heading: 'Resources for Learning',
+    subheadings: { used: 'Resources Used During This Period', planned: 'Planned Resources for Next Learning Period' },
+    text: {
+      intro: null,
+      used: 'The following resources supported learning across {curriculumTerm} areas during this reporting period:',
+      planned: 'We will continue using many of the resources that have proven effective, supplemented with additional materials as learning needs develop.'
+    }
+  }
+};
+
+const BUILT_IN_TEMPLATES = {
+  full: {
+    name: 'Full portfolio',
+    title: 'Home Education Learning Portfolio',
+    contents: true,
+    numbered: true,
+    sections: 'profile'
+  },
+  'registration-renewal': {
+    name: 'Registration renewal summary',
+    title: 'Home Education Registration Renewal Summary',
+    contents: false,
+    numbered: true,
+    sections: [
+      {
+        key: 'learningAreas',
+        heading: 'Summary of Learning',
+        text: { intro: "This summary supports the renewal of {childName}'s home education registration. It covers {reportingPeriod} and outlines {childName}'s progress in each learning area of the {curriculum}." }
+      },
+      { key: 'evidence', heading: 'Evidence of Learning', text: { intro: null } },
+      { key: 'outcomeCoverage', heading: '{CurriculumTerm} Outcomes Addressed' },
+      { key: 'goalProgress', heading: 'Progress Towards Goals from the Last Registration Period' },
+      { key: 'futurePlans', heading: 'Plans for the Next Registration Period' }
+    ]
+  },
+  'end-of-term': {
+    name: 'End-of-term snapshot',
+    title: 'End-of-Term Learning Snapshot',
+    contents: false,
+    numbered: false,
+    sections: [
+      { key: 'learningAreas', heading: 'This Term at a Glance', text: { intro: "A snapshot of {childName}'s learning during {reportingPeriod}." } },
+      { key: 'evidence', heading: 'Learning Highlights', text: { intro: null } },
+      {
+        key: 'progressAssessment',
+        heading: 'How {childName} Is Going',
+        subheadings: { cognitive: 'Thinking and Learning', social: 'Getting Along with Others', emotional: 'Wellbeing', physical: 'Physical Activity' }
+      },
+      { key: 'goalProgress', heading: "Last Term's Goals", text: { intro: null } },
+      {
+        key: 'futurePlans',
+        heading: 'Next Term',
+        subheadings: { goals: 'Goals for Next Term', strategies: 'How We Will Get There', plannedResources: 'Resources' }
+      }
+    ]
+  }
+};
+
+const templateCache = new Map();
+
+function templatesDir() {
+  return process.env.TEMPLATES_DIR || path.join(process.cwd(), 'templates');
+}
+
+function templateFile(templateId) {
+  return path.join(templatesDir(), `${templateId}.json`);
+}
+
+function checkText(value, where) {
+  if (value === null) return;
+  if (typeof value !== 'string') throw new Error(`${where} must be text or null`);
+  (value.match(/\{(\w+)\}/g) || []).forEach(token => {
+    if (!PLACEHOLDERS.includes(token.slice(1, -1))) throw new Error(`${where} uses unknown placeholder ${token}`);
+  });
+}
+
+// Check a template's shape and give every field a value. source names the
+// template in error messages.
+function resolveTemplate(id, config, source) {
+  if (!config || typeof config !== 'object') throw new Error(`${source}: must be a JSON object`);
+  if (!config.name) throw new Error(`${source}: "name" is required`);
+  checkText(config.title === undefined ? '' : config.title, `${source}: title`);
+
+  let sections = config.sections === undefined ? 'profile' : config.sections;
+  if (sections !== 'profile') {
+    if (!Array.isArray(sections) || sections.length === 0) throw new Error(`${source}: "sections" must be "profile" or a list of sections`);
+    const seen = new Set();
+    sections = sections.map((section, idx) => {
+      const entry = typeof section === 'string' ? { key: section } : section || {};
+      const where = `${source}: sections[${idx}]`;
+      if (!SECTION_DEFAULTS[entry.key]) throw new Error(`${where}.key must be one of ${Object.keys(SECTION_DEFAULTS).join(', ')}`);
+      if (seen.has(entry.key)) throw new Error(`${where}: "${entry.key}" appears more than once`);
+      seen.add(entry.key);
+      if (entry.heading !== undefined) {
+        if (typeof entry.heading !== 'string' || !entry.heading.trim()) throw new Error(`${where}.heading must be text`);
+        checkText(entry.heading, `${where}.heading`);
+      }
+      ['subheadings', 'text'].forEach(field => {
+        Object.entries(entry[field] || {}).forEach(([name, value]) => {
+          if (!(name in SECTION_DEFAULTS[entry.key][field])) throw new Error(`${where}.${field}.${name} is not used by the ${entry.key} section`);
+          if (field === 'subheadings' && typeof value !== 'string') throw new Error(`${where}.subheadings.${name} must be text`);
+          checkText(value, `${where}.${field}.${name}`);
+        });
+      });
+      return { key: entry.key, heading: entry.heading, subheadings: entry.subheadings || {}, text: entry.text || {} };
+    });
+  }
+
+  return {
+    id,
+    name: config.name,
+    title: config.title || BUILT_IN_TEMPLATES.full.title,
+    contents: config.contents !== false,
+    numbered: config.numbered !== false,
+    sections
+  };
+}
+
+// Returns an error string for an unusable templateId, or null
+function validateTemplateId(templateId) {
+  if (templateId === undefined || templateId === null || templateId === '') return null;
+  if (typeof templateId !== 'string' || !TEMPLATE_ID_PATTERN.test(templateId)) return 'must contain only letters, numbers, "-" and "_"';
+  if (!BUILT_IN_TEMPLATES[templateId] && !fs.existsSync(templateFile(templateId))) return `no template named "${templateId}"`;
+  try {
+    readTemplate(templateId);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+// A file in TEMPLATES_DIR with a built-in template's name replaces it
+function readTemplate(templateId) {
+  const id = templateId || DEFAULT_TEMPLATE_ID;
+  if (templateCache.has(id)) return templateCache.get(id);
+
+  const file = templateFile(id);
+  let template;
+  if (TEMPLATE_ID_PATTERN.test(id) && fs.existsSync(file)) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Could not read template ${file}: ${e.message}`);
+    }
+    template = resolveTemplate(id, config, file);
+  } else if (BUILT_IN_TEMPLATES[id]) {
+    template = resolveTemplate(id, BUILT_IN_TEMPLATES[id], `template "${id}"`);
+  } else {
+    throw new Error(`No template named "${id}"`);
+  }
+
+  templateCache.set(id, template);
+  return template;
+}
+
+// The sections a portfolio built from template has, in order, each with its
+// key and section defaults filled in: [{ key, heading, subheadings, text }]
+function templateSections(template, profile) {
+  const sections = template.sections === 'profile' ? profile.expectedSections.map(key => ({ key, subheadings: {}, text: {} })) : template.sections;
+  return sections.map(({ key, heading, subheadings, text }) => ({
+    key,
+    heading: heading !== undefined ? heading : SECTION_DEFAULTS[key].heading,
+    subheadings: { ...SECTION_DEFAULTS[key].subheadings, ...subheadings },
+    text: { ...SECTION_DEFAULTS[key].text, ...text }
+  }));
+}
+
+// Replace {placeholders} with values; null stays null
+function fillPlaceholders(text, values) {
+  if (text === null || text === undefined) return text;
+  return text.replace(/\{(\w+)\}/g, (token, name) => (values[name] !== undefined ? String(values[name]) : token));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  PLACEHOLDERS,
+  SECTION_DEFAULTS,
+  BUILT_IN_TEMPLATES,
+  validateTemplateId,
+  readTemplate,
+  templateSections,
+  fillPlaceholders
+};
@@ -0,0 +1,380 @@
+const { PROGRAM_PRESET_IDS } = require('./program-description');
+const { CURRICULUM_PROFILES, resolveStateCode } = require('./curriculum-profiles');
+const { readFields } = require('./field-mappings');
+
+// ============================================================
+// PAYLOAD SCHEMA & VALIDATION
+// ============================================================
+//
+// The schema is a plain object tree. Each node describes one value:
+//   type        'string' | 'number' | 'boolean' | 'object' | 'list' | 'map' | 'any'
+//               ('list' accepts an array or an index-keyed object, which is how
+//               Make.com often sends arrays; 'map' is an object with free keys)
+//   json        value may arrive as a (possibly multiply) JSON-encoded string
+//   textFallback a string that isn't JSON is accepted as-is (the generator
+//               treats it as free text)
+//   required    missing value is an error
+//   recommended missing value is a soft problem (warning, or error in strict mode)
+//   nullable    null is accepted
+//   enum        allowed values; anything else is a soft problem
+//   properties  child nodes for 'object'
+//   items       node for each element of a 'list'
+//   values      node for each value of a 'map'
+//   check       (value, path, report) => void for rules the tree can't express
+
+const VALIDATION_MODES = ['lenient', 'strict'];
+const AU_STATES = Object.keys(CURRICULUM_PROFILES);
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null && obj[key] !== '') return obj[key];
+  }
+  return undefined;
+}
+
+function checkDate(value, path, report) {
+  if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+    report(path, `"${value}" is not a recognisable date; evidence will sort last`, 'soft');
+  }
+}
+
+const evidenceItemSchema = {
+  type: 'object',
+  check(entry, path, report) {
+    const { title, date, attachments, goals } = readFields('evidence', entry);
+    if (title === undefined) {
+      report(`${path}.title`, 'evidence has no title; it will appear as "Untitled"', 'soft');
+    }
+    if (date === undefined) report(`${path}.date`, 'evidence has no date', 'soft');
+    else checkDate(date, `${path}.date`, report);
+
+    if (attachments !== undefined && !Array.isArray(attachments)) {
+      report(`${path}.attachments`, 'must be an array of attachments', 'hard');
+    }
+
+    if (goals !== undefined && typeof goals !== 'string' && !Array.isArray(goals)) {
+      report(`${path}.goals`, 'must be a list of goal IDs or comma-separated text', 'hard');
+    }
+  }
+};
+
+const evidenceEntrySchema = {
+  ...evidenceItemSchema,
+  check(entry, path, report) {
+    evidenceItemSchema.check(entry, path, report);
+    const areas = readFields('evidence', entry).learningAreas;
+    if (areas === undefined) {
+      report(`${path}.learningAreas`, 'evidence has no learning area; it will be filed under "Other"', 'soft');
+    } else if (typeof areas !== 'string' && !Array.isArray(areas)) {
+      report(`${path}.learningAreas`, 'must be a string or an array of strings', 'hard');
+    }
+  }
+};
+
+const outcomeSchema = {
+  type: 'object',
+  check(outcome, path, report) {
+    const { outcomeCode, learningArea } = readFields('outcomes', outcome);
+    if (outcomeCode === undefined) {
+      report(`${path}.outcomeCode`, 'outcome has no code', 'soft');
+    }
+    if (learningArea === undefined) {
+      report(`${path}.learningArea`, 'outcome has no learning area; it will not appear in any area overview', 'soft');
+    }
+  }
+};
+
+// A goal is text or { id, text, areas, outcomes } (see lib/goals)
+const goalSchema = {
+  type: 'any',
+  check(goal, path, report) {
+    if (typeof goal === 'string') return;
+    if (typeOf(goal) !== 'object') {
+      report(path, `must be text or a goal object (got ${typeOf(goal)})`, 'hard');
+      return;
+    }
+    if (pick(goal, ['text', 'goal', 'Goal', 'description', 'Description']) === undefined) {
+      report(`${path}.text`, 'goal has no text; it will be left out', 'soft');
+    }
+    const id = pick(goal, ['id', 'ID', 'goalId', 'Goal ID']);
+    if (id !== undefined && typeof id !== 'string' && typeof id !== 'number') {
+      report(`${path}.id`, `must be text (got ${typeOf(id)})`, 'hard');
+    }
+    [['areas', ['areas', 'learningAreas', 'Learning Areas', 'targetAreas']], ['outcomes', ['outcomes', 'outcomeCodes', 'Outcome Codes', 'targetOutcomes']]].forEach(([name, keys]) => {
+      const value = pick(goal, keys);
+      if (value !== undefined && typeof value !== 'string' && !Array.isArray(value)) {
+        report(`${path}.${name}`, 'must be a list or comma-separated text', 'hard');
+      }
+    });
+  }
+};
+
+const goalsSchema = {
+  type: 'list',
+  json: true,
+  textFallback: true,
+  items: goalSchema,
+  check(goals, path, report) {
+    const seen = new Set();
+    (Array.isArray(goals) ? goals : Object.values(goals)).forEach(goal => {
+      const id = goal && typeof goal === 'object' ? pick(goal, ['id', 'ID', 'goalId', 'Goal ID']) : undefined;
+      if (id === undefined) return;
+      if (seen.has(String(id))) report(path, `goal ID "${id}" is used more than once`, 'hard');
+      seen.add(String(id));
+    });
+  }
+};
+
+const assessmentSchema = {
+  type: 'object',
+  properties: {
+    cognitive: { type: 'string' },
+    social: { type: 'string' },
+    emotional: { type: 'string' },
+    physical: { type: 'string' }
+  }
+};
+
+const portfolioSchema = {
+  type: 'object',
+  properties: {
+    childName: { type: 'string', required: true },
+    childRecordId: { type: 'string' },
+    yearLevel: { type: 'string', recommended: true },
+    reportingPeriod: { type: 'string', recommended: true },
+    parentName: { type: 'string' },
+    parentname: { type: 'string' },
+    state: {
+      type: 'string',
+      check(value, path, report) {
+        if (!resolveStateCode(value)) report(path, `"${value}" is not one of ${AU_STATES.join(', ')}; the NSW curriculum profile will be used`, 'soft');
+      }
+    },
+    curriculum: { type: 'string' },
+    curriculumOutcomes: { type: 'list', json: true, items: outcomeSchema },
+    evidenceEntries: { type: 'list', json: true, items: evidenceEntrySchema },
+    evidenceByArea: {
+      type: 'any',
+      check(value, path, report) {
+        if (Array.isArray(value)) {
+          value.forEach((item, i) => validateNode(evidenceEntrySchema, item, `${path}[${i}]`, report));
+        } else {
+          validateNode({ type: 'map', values: { type: 'list', items: evidenceItemSchema } }, value, path, report);
+        }
+      }
+    },
+    learningAreaOverviews: {
+      type: 'any',
+      check(value, path, report) {
+        if (Array.isArray(value)) {
+          report(path, 'arrays are not supported; send an object keyed by learning area. Overviews will be ignored', 'soft');
+        } else {
+          validateNode({ type: 'map', values: { type: 'object', properties: { stageStatement: { type: 'string' } } } }, value, path, report);
+        }
+      }
+    },
+    progressAssessment: { ...assessmentSchema, json: true },
+    enhancedProgressAssessment: assessmentSchema,
+    futurePlans: {
+      type: 'object',
+      json: true,
+      textFallback: true,
+      properties: {
+        overview: { type: 'string' },
+        goals: goalsSchema,
+        strategies: { type: 'string' },
+        plannedResources: { type: 'string' }
+      }
+    },
+    previousGoals: goalsSchema,
+    aiProgressSummaries: { type: 'map', values: { type: 'string' } },
+    enhancedFuturePlansOverview: { type: 'string', nullable: true },
+    programDescription: {
+      type: 'object',
+      json: true,
+      properties: {
+        preset: { type: 'string', enum: PROGRAM_PRESET_IDS },
+        includeDisabilityStandards: {
+          type: 'any',
+          check(value, path, report) {
+            if (![true, false, 'true', 'false', '1', '0', 1, 0].includes(value)) report(path, 'must be true or false', 'hard');
+          }
+        },
+        profileStatement: { type: 'string' },
+        adjustments: { type: 'list', json: true, textFallback: true, items: { type: 'string' } },
+        adjustmentsSummary: { type: 'string' },
+        philosophy: { type: 'string' }
+      }
+    }
+  },
+  check(data, path, report) {
+    if (!data.parentName && !data.parentname) {
+      report('parentName', 'no parent name; the report will say "Parent/Carer"', 'soft');
+    }
+
+    const hasEvidence = parseMakeComValue(data.evidenceEntries).length > 0 ||
+      (data.evidenceByArea && typeof data.evidenceByArea === 'object' && Object.keys(data.evidenceByArea).length > 0);
+    if (!hasEvidence) {
+      report('evidenceEntries', 'no evidence supplied; section 3 will be empty', 'soft');
+    }
+
+    const progress = decodeJson(data.progressAssessment).value || {};
+    const enhanced = data.enhancedProgressAssessment || {};
+    ['cognitive', 'social', 'emotional', 'physical'].forEach(domain => {
+      if (!enhanced[domain] && !progress[domain]) {
+        report(`progressAssessment.${domain}`, 'missing; the report will say "No assessment provided."', 'soft');
+      }
+    });
+  }
+};
+
+// ============================================================
+// VALIDATOR
+// ============================================================
+
+function decodeJson(value) {
+  let decoded = value;
+  let attempts = 0;
+  while (typeof decoded === 'string' && attempts < 5) {
+    try {
+      decoded = JSON.parse(decoded);
+      attempts++;
+    } catch (e) {
+      return { ok: attempts > 0 && typeof decoded !== 'string', value: decoded };
+    }
+  }
+  return { ok: typeof decoded !== 'string', value: decoded };
+}
+
+function parseMakeComValue(value) {
+  const { value: decoded } = decodeJson(value);
+  if (Array.isArray(decoded)) return decoded;
+  if (decoded && typeof decoded === 'object') return Object.values(decoded);
+  return [];
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function childPath(path, key) {
+  const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+  return path ? `${path}${segment}` : segment.replace(/^\./, '');
+}
+
+function validateNode(node, value, path, report) {
+  if (value === undefined || value === '' || (value === null && !node.nullable)) {
+    if (node.required) report(path, 'is required', 'hard');
+    else if (node.recommended) report(path, 'is missing; a default will be used', 'soft');
+    return;
+  }
+  if (value === null) return;
+
+  if (node.json && typeof value === 'string') {
+    const decoded = decodeJson(value);
+    if (!decoded.ok) {
+      if (node.textFallback) return;
+      report(path, 'is a string that could not be parsed as JSON', 'hard');
+      return;
+    }
+    value = decoded.value;
+  }
+
+  const actual = typeOf(value);
+  switch (node.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      if (actual !== node.type) {
+        report(path, `must be a ${node.type} (got ${actual})`, 'hard');
+        return;
+      }
+      break;
+    case 'object':
+    case 'map':
+      if (actual !== 'object') {
+        report(path, `must be an object (got ${actual})`, 'hard');
+        return;
+      }
+      break;
+    case 'list':
+      if (actual !== 'array' && actual !== 'object') {
+        report(path, `must be an array (got ${actual})`, 'hard');
+        return;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    report(path, `"${value}" is not one of ${node.enum.join(', ')}`, 'soft');
+  }
+
+  if (node.type === 'object' && node.properties) {
+    Object.entries(node.properties).forEach(([key, child]) => {
+      validateNode(child, value[key], childPath(path, key), report);
+    });
+  }
+
+  if (node.type === 'map' && node.values) {
+    Object.entries(value).forEach(([key, child]) => {
+      validateNode(node.values, child, childPath(path, key), report);
+    });
+  }
+
+  if (node.type === 'list' && node.items) {
+    const entries = Array.isArray(value) ? value.map((v, i) => [`${path}[${i}]`, v]) : Object.entries(value).map(([k, v]) => [childPath(path, k), v]);
+    entries.forEach(([itemPath, item]) => validateNode(node.items, item, itemPath, report));
+  }
+
+  if (node.check) node.check(value, path, report);
+}
+
+class PortfolioValidationError extends Error {
+  constructor(errors, warnings = []) {
+    super(`Invalid portfolio payload: ${errors.map(e => `${e.path || '(root)'} ${e.reason}`).join('; ')}`);
+    this.name = 'PortfolioValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+
+  toJSON() {
+    return { success: false, error: 'Invalid portfolio payload', errors: this.errors, warnings: this.warnings };
+  }
+}
+
+// Validate a raw (un-normalised) request body.
+// In 'lenient' mode soft problems are returned as warnings; in 'strict' mode
+// they are reported as errors alongside the hard ones.
+function validatePortfolioData(portfolioData, { mode = 'lenient' } = {}) {
+  if (!VALIDATION_MODES.includes(mode)) {
+    return { valid: false, errors: [{ path: 'validationMode', reason: `must be one of ${VALIDATION_MODES.join(', ')}` }], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const report = (path, reason, severity) => {
+    if (severity === 'hard' || mode === 'strict') errors.push({ path, reason });
+    else warnings.push({ path, reason });
+  };
+
+  if (typeOf(portfolioData) !== 'object') {
+    report('', 'payload must be a JSON object', 'hard');
+  } else {
+    validateNode(portfolioSchema, portfolioData, '', report);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  VALIDATION_MODES,
+  AU_STATES,
+  portfolioSchema,
+  validatePortfolioData,
+  PortfolioValidationError
+};
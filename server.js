@@ -1,174 +1,343 @@
 const express = require('express');
-const { generatePortfolio } = require('./generate-portfolio');
-const { Packer } = require('docx');
+const { VERSION, renderPortfolio, previewPortfolio, validateRenderRequest, portfolioSections, renderComparison, previewComparison, PortfolioValidationError } = require('./generate-portfolio');
+const { createStorage, storePortfolioFiles } = require('./lib/storage');
+const { requestBaseUrl, handleDownloadRequest } = require('./lib/downloads');
+const { createJobQueue, validateCallbackUrl } = require('./lib/jobs');
+const { readTemplate } = require('./lib/templates');
+const { createAccessControl } = require('./lib/access');
+const { log, withRequestContext } = require('./lib/logger');
+const { createAuditTrail, auditFiles } = require('./lib/audit');
+const { loadSourcePayload } = require('./lib/sources');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
+const storage = createStorage({ defaultBackend: 'inline' });
+const jobs = createJobQueue();
+const access = createAccessControl();
+const audit = createAuditTrail({ defaultStore: 'file' });
+
+// CORS for the allowed origins only (CORS_ALLOWED_ORIGINS)
+app.use((req, res, next) => {
+  if (!access.handleCors(req, res, { methods: 'GET, POST, DELETE, OPTIONS' })) next();
+});
 
 // Increase payload limit
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
+// Request ID for the logs and the X-Request-Id header. After the body
+// parsers, which would otherwise lose the log context.
+app.use((req, res, next) => withRequestContext(req, res, () => next()));
+
 // Health check
 app.get('/', (req, res) => {
   res.json({ 
     status: 'healthy', 
     service: 'OneHome Education Portfolio Generator',
-    version: '1.0.0'
+    version: VERSION,
+    mode: 'express',
+    storage: storage.name,
+    auth: access.enabled ? 'api-key' : 'none'
   });
 });
 
-// Portfolio generation with detailed logging
-app.post('/generate-portfolio', async (req, res) => {
+// Options can be given in the query string or the JSON body
+function requestOption(req, name, fallback) {
+  if (req.query[name] !== undefined) return req.query[name];
+  if (req.body && req.body[name] !== undefined) return req.body[name];
+  return fallback;
+}
+
+// Evidence volume limits (lib/evidence-volume); unset ones use the defaults
+function requestEvidenceLimits(req) {
+  return {
+    maxFullEntriesPerArea: requestOption(req, 'maxFullEntriesPerArea'),
+    maxPhotosPerEntry: requestOption(req, 'maxPhotosPerEntry'),
+    photoSelection: requestOption(req, 'photoSelection')
+  };
+}
+
+function isFlagSet(req, name) {
+  const flag = requestOption(req, name, false);
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+// Check the request's API key (lib/access). Resolves to { client, brandId,
+// fieldMappingId }, or null once a 401/403/429 response has been sent.
+// generation counts the request against the monthly quota, given back by
+// generationFailed.
+function authorize(req, res, { generation = false } = {}) {
+  return access.authorize(req, res, {
+    brandId: requestOption(req, 'brandId'),
+    fieldMappingId: requestOption(req, 'fieldMappingId'),
+    source: req.body ? req.body.source : undefined,
+    generation
+  });
+}
+
+// keepSnapshot stores the payload for later comparison reports, which only
+// backends that keep files can do
+const SNAPSHOT_ERROR = { path: 'keepSnapshot', reason: 'needs a storage backend that keeps files (PORTFOLIO_STORAGE=local, s3 or vercel-blob)' };
+
+// Async job results are kept in the job store and served by GET /jobs/:id,
+// so they hold a download link rather than the document itself
+const ASYNC_STORAGE_ERROR = { path: 'async', reason: 'needs a storage backend that keeps files (PORTFOLIO_STORAGE=local, s3 or vercel-blob)' };
+
+// Audit a generation that failed (invalid payloads list the failing paths)
+// and give back its place in the client's monthly quota
+function generationFailed(entry, error) {
+  access.releaseGeneration(entry.client);
+  if (error instanceof PortfolioValidationError) {
+    audit.record({ ...entry, outcome: 'invalid', errors: error.errors.map(e => e.path) });
+  } else {
+    audit.record({ ...entry, outcome: 'failed', error: error.message });
+  }
+}
+
+// The payload to render: the body, or for a request with a source (lib/
+// sources) the payload built from its records. Resolves to { portfolioData,
+// fieldMappingId, warnings }, or null once a 400/500 response has been sent.
+// generation audits a source that can't be read.
+async function requestPayload(req, res, { client, brandId, fieldMappingId }, { generation = false } = {}) {
+  const body = req.body;
+  if (!body || body.source === undefined) return { portfolioData: body, fieldMappingId, warnings: [] };
+
   try {
-    console.log('=== INCOMING REQUEST ===');
-    console.log('Request body type:', typeof req.body);
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-    
-    const portfolioData = req.body;
-    
-    // Log specific fields
-    console.log('evidenceEntries type:', typeof portfolioData.evidenceEntries);
-    console.log('evidenceEntries value:', portfolioData.evidenceEntries);
-    console.log('evidenceEntries is Array?:', Array.isArray(portfolioData.evidenceEntries));
-    
-    console.log('curriculumOutcomes type:', typeof portfolioData.curriculumOutcomes);
-    console.log('curriculumOutcomes is Array?:', Array.isArray(portfolioData.curriculumOutcomes));
-    
-    // Validate required fields
-    if (!portfolioData.childName || !portfolioData.yearLevel) {
-      console.error('Missing required fields');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: childName and yearLevel are required' 
-      });
+    const loaded = await loadSourcePayload(body, { fieldMappingId });
+    if (!loaded.valid) throw new PortfolioValidationError(loaded.errors, loaded.warnings);
+    // Built with canonical fields, which the default mapping reads as they are
+    return { portfolioData: loaded.portfolioData, fieldMappingId: undefined, warnings: loaded.warnings };
+  } catch (error) {
+    const source = body.source || {};
+    if (generation) {
+      generationFailed({ event: 'generate', client, portfolioData: { childRecordId: source.childRecordId }, brandId: brandId || null, templateId: requestOption(req, 'templateId') || null, format: requestOption(req, 'format', 'docx'), jobId: null }, error);
     }
-    
-    // Helper function to robustly parse Make.com data
-    function parseMakeComData(data, fieldName) {
-      console.log(`Parsing ${fieldName}, type:`, typeof data);
-      
-      // Already an array - return it
-      if (Array.isArray(data)) {
-        console.log(`${fieldName} is already array, length:`, data.length);
-        return data;
-      }
-      
-      // Null/undefined - return empty array
-      if (!data) {
-        console.log(`${fieldName} is null/undefined`);
-        return [];
-      }
-      
-      // String - try to parse as JSON (handles double-encoding)
-      if (typeof data === 'string') {
-        console.log(`${fieldName} is string, attempting to parse...`);
-        let parsed = data;
-        let attempts = 0;
-        
-        // Sometimes Make.com double or triple encodes - keep parsing until we get an object/array
-        while (typeof parsed === 'string' && attempts < 5) {
-          try {
-            parsed = JSON.parse(parsed);
-            attempts++;
-            console.log(`Parse attempt ${attempts} succeeded, new type:`, typeof parsed);
-          } catch (e) {
-            console.error(`Parse attempt ${attempts} failed:`, e.message);
-            break;
-          }
-        }
-        
-        // If we got an array, return it
-        if (Array.isArray(parsed)) {
-          console.log(`${fieldName} parsed to array, length:`, parsed.length);
-          return parsed;
-        }
-        
-        // If we got an object, try to extract array
-        if (parsed && typeof parsed === 'object') {
-          if (parsed.array && Array.isArray(parsed.array)) {
-            console.log(`${fieldName} has array property, length:`, parsed.array.length);
-            return parsed.array;
-          }
-          // Try to convert object values to array
-          const values = Object.values(parsed).filter(item => item && typeof item === 'object');
-          console.log(`${fieldName} converted object to array, length:`, values.length);
-          return values;
-        }
-        
-        console.log(`${fieldName} could not be parsed, returning empty array`);
-        return [];
-      }
-      
-      // Object - try to extract array
-      if (typeof data === 'object') {
-        if (data.array && Array.isArray(data.array)) {
-          console.log(`${fieldName} has array property, length:`, data.array.length);
-          return data.array;
-        }
-        const values = Object.values(data).filter(item => item && typeof item === 'object');
-        console.log(`${fieldName} converted object to array, length:`, values.length);
-        return values;
-      }
-      
-      console.log(`${fieldName} unknown format, returning empty array`);
-      return [];
+    if (error instanceof PortfolioValidationError) {
+      res.status(400).json(error.toJSON());
+    } else {
+      log.error('Source could not be read', { error });
+      res.status(500).json({ success: false, error: error.message, requestId: res.getHeader('X-Request-Id') });
     }
+    return null;
+  }
+}
+
+// Dry run: resolve the portfolio model as JSON without building a document
+function handlePreview(req, res, { brandId }, { portfolioData, fieldMappingId, warnings: sourceWarnings }) {
+  try {
+    const validationMode = requestOption(req, 'validationMode', 'lenient');
+    const templateId = requestOption(req, 'templateId');
+    const evidenceLayout = requestOption(req, 'evidenceLayout', 'flat');
+    const evidenceLimits = requestEvidenceLimits(req);
+    const preview = previewPortfolio(portfolioData, { validationMode, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId });
+    preview.warnings.unshift(...sourceWarnings);
+    res.json({ success: true, preview });
+  } catch (error) {
+    if (error instanceof PortfolioValidationError) {
+      error.warnings.unshift(...sourceWarnings);
+      return res.status(400).json(error.toJSON());
+    }
+    log.error('Preview failed', { error });
+    res.status(500).json({ success: false, error: error.message, requestId: res.getHeader('X-Request-Id') });
+  }
+}
+
+app.post('/preview-portfolio', async (req, res) => {
+  const auth = await authorize(req, res);
+  if (!auth) return;
+  const payload = await requestPayload(req, res, auth);
+  if (payload) handlePreview(req, res, auth, payload);
+});
+
+// Render, store and describe a portfolio. Shared by the synchronous route
+// and async jobs.
+async function generateAndStore(portfolioData, { validationMode, format, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId, sourceWarnings = [], keepSnapshot, baseUrl, client, jobId, onProgress }) {
+  const entry = { event: 'generate', client, portfolioData, brandId: brandId || null, templateId: templateId || null, format, jobId: jobId || null };
+  log.info('Generating portfolio', { format, brandId, templateId, fieldMappingId, jobId });
+  try {
+    if (keepSnapshot && !storage.keepsSnapshots) throw new PortfolioValidationError([SNAPSHOT_ERROR], []);
+    // The payload as sent, with the field mapping that reads it, copied
+    // before rendering resolves its attachments
+    const snapshot = keepSnapshot ? JSON.parse(JSON.stringify({ ...portfolioData, ...(fieldMappingId && { fieldMappingId }) })) : null;
     
-    // Parse both arrays
-    const evidenceList = parseMakeComData(portfolioData.evidenceEntries, 'evidenceEntries');
-    const outcomesList = parseMakeComData(portfolioData.curriculumOutcomes, 'curriculumOutcomes');
-    
-    // Update the portfolioData with converted arrays
-    portfolioData.evidenceEntries = evidenceList;
-    portfolioData.curriculumOutcomes = outcomesList;
-    
-    console.log('Generating portfolio for:', portfolioData.childName);
-    console.log('Evidence count:', evidenceList.length);
-    console.log('Outcomes count:', outcomesList.length);
-    
-    // Generate the portfolio document
-    const doc = generatePortfolio(portfolioData);
-    
-    // Convert to buffer
-    const buffer = await Packer.toBuffer(doc);
-    
-    console.log('Portfolio generated successfully, size:', buffer.length, 'bytes');
-    
-    // Create safe filename (remove all special characters and limit length)
-    const safeName = portfolioData.childName.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 50);
-    const safePeriod = portfolioData.reportingPeriod.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 30);
-    const filename = `${safeName}-Portfolio-${safePeriod}.docx`;
+    const rendered = await renderPortfolio(portfolioData, { validationMode, format, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId, onProgress });
+    const { files } = rendered;
+    const warnings = [...sourceWarnings, ...rendered.warnings];
     
-    console.log('Sending file with name:', filename);
+    files.forEach(file => log.info('Portfolio generated', { format: file.format, fileSize: file.fileSize }));
+    log.info('Portfolio warnings', { warnings: warnings.length });
     
-    // Convert buffer to base64
-    const base64Data = buffer.toString('base64');
+    if (onProgress) onProgress({ stage: 'uploading' });
+    const stored = await storePortfolioFiles(storage, files, { baseUrl });
+    if (snapshot) stored.snapshotId = await storage.saveSnapshot(snapshot, { clientId: client && client.id });
+    audit.record({ ...entry, outcome: 'succeeded', files: auditFiles(stored, format), snapshotId: stored.snapshotId || null });
+    if (onProgress) onProgress({ uploaded: true });
     
-    console.log('File converted to base64, length:', base64Data.length);
+    return { ...stored, warnings };
+  } catch (error) {
+    generationFailed(entry, error);
+    if (error instanceof PortfolioValidationError) error.warnings.unshift(...sourceWarnings);
+    throw error;
+  }
+}
+
+// Queue the generation and return a job ID straight away
+async function handleAsync(req, res, { client, brandId }, { portfolioData, fieldMappingId, warnings: sourceWarnings }) {
+  const validationMode = requestOption(req, 'validationMode', 'lenient');
+  const format = requestOption(req, 'format', 'docx');
+  const templateId = requestOption(req, 'templateId');
+  const evidenceLayout = requestOption(req, 'evidenceLayout', 'flat');
+  const evidenceLimits = requestEvidenceLimits(req);
+  const keepSnapshot = isFlagSet(req, 'keepSnapshot');
+  const callbackUrl = requestOption(req, 'callbackUrl', null);
+  const baseUrl = requestBaseUrl(req);
+
+  const validated = validateRenderRequest(portfolioData, { validationMode, format, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId });
+  const { valid, errors, portfolioData: mapped } = validated;
+  const warnings = [...sourceWarnings, ...validated.warnings];
+  const callbackError = await validateCallbackUrl(callbackUrl);
+  if (callbackError) errors.push({ path: 'callbackUrl', reason: callbackError });
+  const storageError = !storage.keepsFiles;
+  if (storageError) errors.push(ASYNC_STORAGE_ERROR);
+  const snapshotError = keepSnapshot && !storage.keepsSnapshots;
+  if (snapshotError) errors.push(SNAPSHOT_ERROR);
+  if (!valid || callbackError || storageError || snapshotError) {
+    const error = new PortfolioValidationError(errors, warnings);
+    generationFailed({ event: 'generate', client, portfolioData, brandId: brandId || null, templateId: templateId || null, format, jobId: null }, error);
+    return res.status(400).json(error.toJSON());
+  }
+
+  const totalSections = portfolioSections(mapped, readTemplate(templateId)).length;
+  const job = jobs.enqueue(
+    (onProgress, jobId) => generateAndStore(portfolioData, { validationMode, format, brandId, templateId, evidenceLayout, evidenceLimits, fieldMappingId, sourceWarnings, keepSnapshot, baseUrl, client, jobId, onProgress }),
+    { callbackUrl, clientId: client && client.id, progress: { sectionsBuilt: 0, totalSections, imagesEmbedded: 0, uploaded: false } }
+  );
+  log.info('Queued job', { jobId: job.id, totalSections });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `${baseUrl}/jobs/${job.id}`,
+    warnings: warnings
+  });
+}
+
+// Portfolio generation
+app.post('/generate-portfolio', async (req, res) => {
+  const preview = isFlagSet(req, 'preview');
+  const auth = await authorize(req, res, { generation: !preview });
+  if (!auth) return;
+  const payload = await requestPayload(req, res, auth, { generation: !preview });
+  if (!payload) return;
+  if (preview) return handlePreview(req, res, auth, payload);
+  if (isFlagSet(req, 'async')) return handleAsync(req, res, auth, payload);
+
+  try {
+    const result = await generateAndStore(payload.portfolioData, {
+      validationMode: requestOption(req, 'validationMode', 'lenient'),
+      format: requestOption(req, 'format', 'docx'),
+      brandId: auth.brandId,
+      templateId: requestOption(req, 'templateId'),
+      evidenceLayout: requestOption(req, 'evidenceLayout', 'flat'),
+      evidenceLimits: requestEvidenceLimits(req),
+      fieldMappingId: payload.fieldMappingId,
+      sourceWarnings: payload.warnings,
+      keepSnapshot: isFlagSet(req, 'keepSnapshot'),
+      baseUrl: requestBaseUrl(req),
+      client: auth.client
+    });
     
-    // Return as JSON with base64-encoded file
     res.json({
       success: true,
-      filename: filename,
-      fileData: base64Data,
-      fileSize: buffer.length
+      ...result
     });
     
   } catch (error) {
-    console.error('=== ERROR ===');
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
+    if (error instanceof PortfolioValidationError) {
+      log.warn('Validation failed', { errors: error.errors.map(e => e.path) });
+      return res.status(400).json(error.toJSON());
+    }
+    
+    log.error('Generation failed', { error });
     res.status(500).json({ 
       success: false, 
-      error: error.message
+      error: error.message,
+      requestId: res.getHeader('X-Request-Id')
     });
   }
 });
 
-// Error handling middleware
+// The newest period given as a payload, for the audit trail's child record ID
+function latestPayload(periods) {
+  return Array.isArray(periods) ? periods.slice().reverse().find(period => period && !period.snapshotId) : undefined;
+}
+
+// Comparison report across two or more reporting periods for one child.
+// Periods are payloads or { snapshotId } from an earlier keepSnapshot.
+app.post('/compare-portfolios', async (req, res) => {
+  const preview = isFlagSet(req, 'preview');
+  const auth = await authorize(req, res, { generation: !preview });
+  if (!auth) return;
+
+  const periods = req.body && req.body.periods;
+  const options = {
+    validationMode: requestOption(req, 'validationMode', 'lenient'),
+    brandId: auth.brandId,
+    fieldMappingId: auth.fieldMappingId,
+    readSnapshot: storage.keepsSnapshots ? id => storage.readSnapshot(id, { clientId: auth.client && auth.client.id }) : undefined
+  };
+  const format = requestOption(req, 'format', 'docx');
+  const entry = { event: 'compare', client: auth.client, portfolioData: latestPayload(periods), brandId: auth.brandId || null, format };
+
+  try {
+    if (preview) {
+      return res.json({ success: true, preview: await previewComparison(periods, options) });
+    }
+    log.info('Comparing portfolios', { periods: Array.isArray(periods) ? periods.length : 0, format });
+    const { files, warnings } = await renderComparison(periods, { ...options, format });
+    const stored = await storePortfolioFiles(storage, files, { baseUrl: requestBaseUrl(req) });
+    audit.record({ ...entry, outcome: 'succeeded', files: auditFiles(stored, format) });
+    res.json({ success: true, ...stored, warnings });
+  } catch (error) {
+    if (!preview) generationFailed(entry, error);
+    if (error instanceof PortfolioValidationError) return res.status(error.statusCode).json(error.toJSON());
+    log.error('Comparison failed', { error });
+    res.status(500).json({ success: false, error: error.message, requestId: res.getHeader('X-Request-Id') });
+  }
+});
+
+// Async job status, for the API key that queued the job
+app.get('/jobs/:id', async (req, res) => {
+  const auth = await authorize(req, res);
+  if (!auth) return;
+  const job = jobs.get(req.params.id);
+  if (!job || (auth.client && job.clientId !== auth.client.id)) return res.status(404).json({ success: false, error: 'Job not found' });
+  res.json({ success: true, job: job });
+});
+
+// Signed download / revoke links for stored portfolios. The signature is
+// the credential, so these need no API key.
+async function handleDownload(req, res) {
+  try {
+    await handleDownloadRequest(storage, req, res, req.params.id);
+  } catch (error) {
+    log.error('Download failed', { error });
+    res.status(500).json({ success: false, error: error.message, requestId: res.getHeader('X-Request-Id') });
+  }
+}
+
+app.get('/portfolios/:id', handleDownload);
+app.delete('/portfolios/:id', handleDownload);
+
+// Error handling middleware. A body that isn't JSON is the caller's
+// mistake, reported like any other invalid payload.
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  if (err.type === 'entity.parse.failed') {
+    log.warn('Validation failed', { errors: [''] });
+    return res.status(400).json(new PortfolioValidationError([{ path: '', reason: `the body is not valid JSON: ${err.message}` }], []).toJSON());
+  }
+  log.error('Unhandled error', { error: err });
   res.status(500).json({ 
     success: false, 
     error: 'Internal server error',
@@ -176,7 +345,10 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Portfolio Generator webhook running on port ${PORT}`);
-  console.log('Debug logging enabled');
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info('Portfolio Generator webhook running', { port: Number(PORT), storage: storage.name, audit: audit.name });
+  });
+}
+
+module.exports = app;
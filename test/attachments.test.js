@@ -0,0 +1,191 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveAttachments, fetchImage, processImage } = require('../lib/attachments');
+
+// 64x48, light on the left and dark on the right, encoded with libde265
+const HEIC = fs.readFileSync(path.join(__dirname, 'fixtures', 'two-tone.heic'));
+
+const image = (width, height, { format = 'jpeg', channels = 3, orientation } = {}) => {
+  const background = channels === 4 ? { r: 40, g: 120, b: 200, alpha: 0.5 } : { r: 40, g: 120, b: 200 };
+  const pipeline = sharp({ create: { width, height, channels, background } })[format]();
+  return (orientation ? pipeline.withMetadata({ orientation }) : pipeline).toBuffer();
+};
+
+// The test server's routes, by path: (req, res) => void
+const routes = {};
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    return route(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+
+  const jpeg = await image(40, 30);
+  routes['/photo.jpg'] = (req, res) => res.writeHead(200, { 'content-type': 'image/jpeg' }).end(jpeg);
+  routes['/photo.heic'] = (req, res) => res.writeHead(200, { 'content-type': 'application/octet-stream' }).end(HEIC);
+  routes['/notes.pdf'] = (req, res) => res.writeHead(200, { 'content-type': 'application/pdf' }).end('%PDF-1.4');
+  routes['/big.jpg'] = (req, res) => res.writeHead(200, { 'content-type': 'image/jpeg', 'content-length': 5000 }).end(Buffer.alloc(5000));
+  routes['/chunked.jpg'] = (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/jpeg' });
+    for (let i = 0; i < 5; i++) res.write(Buffer.alloc(1000));
+    res.end();
+  };
+  routes['/stalled.jpg'] = () => {};
+  routes['/slow-body.jpg'] = (req, res) => res.writeHead(200, { 'content-type': 'image/jpeg' }).write(jpeg.subarray(0, 10));
+  routes['/missing.jpg'] = (req, res) => res.writeHead(404).end();
+  routes['/to-photo'] = (req, res) => res.writeHead(302, { location: '/photo.jpg' }).end();
+  routes['/to-ip'] = (req, res) => res.writeHead(302, { location: `${origin}/photo.jpg` }).end();
+  routes['/loop'] = (req, res) => res.writeHead(302, { location: '/loop' }).end();
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// The server is on 127.0.0.1, which is refused unless private hosts are allowed
+const local = { allowPrivateHosts: true };
+
+describe('fetchImage', () => {
+  it('downloads and normalises an image', async () => {
+    const fetched = await fetchImage(`${origin}/photo.jpg`, local);
+    assert.equal(fetched.mimeType, 'image/jpeg');
+    assert.deepEqual([fetched.width, fetched.height], [40, 30]);
+  });
+
+  it('follows redirects within the allowlist', async () => {
+    const fetched = await fetchImage(`http://localhost:${server.address().port}/to-photo`, { ...local, allowedHosts: ['localhost'] });
+    assert.equal(fetched.width, 40);
+  });
+
+  it('checks every redirect against the allowlist', async () => {
+    await assert.rejects(
+      fetchImage(`http://localhost:${server.address().port}/to-ip`, { ...local, allowedHosts: ['localhost'] }),
+      { name: 'AttachmentError', message: 'host 127.0.0.1 is not in ATTACHMENT_ALLOWED_HOSTS' }
+    );
+  });
+
+  it('gives up after five redirects', async () => {
+    await assert.rejects(fetchImage(`${origin}/loop`, local), /more than 5 redirects/);
+  });
+
+  it('refuses private addresses by default', async () => {
+    await assert.rejects(fetchImage(`${origin}/photo.jpg`), /host 127\.0\.0\.1 is a private address/);
+    await assert.rejects(fetchImage('http://[::1]/photo.jpg'), /host \[::1\] is a private address/);
+    await assert.rejects(fetchImage('http://169.254.169.254/latest/meta-data'), /is a private address/);
+    await assert.rejects(
+      fetchImage(`http://localhost:${server.address().port}/photo.jpg`),
+      /host localhost resolves to a private address \((127\.0\.0\.1|::1)\)/
+    );
+  });
+
+  it('does not count public addresses as private', async () => {
+    // Nothing listens on port 9 here, so the download fails after the check
+    await assert.rejects(fetchImage('http://192.0.2.1:9/photo.jpg', { timeoutMs: 200 }), /^AttachmentError: download (failed|timed out)/);
+  });
+
+  it('refuses other URL schemes', async () => {
+    await assert.rejects(fetchImage('file:///etc/passwd'), /unsupported URL scheme file:/);
+    await assert.rejects(fetchImage('not a url'), /invalid URL/);
+  });
+
+  it('enforces the size limit from the declared length and while streaming', async () => {
+    await assert.rejects(fetchImage(`${origin}/big.jpg`, { ...local, maxBytes: 4000 }), /file is 5000 bytes, over the 4000 byte limit/);
+    await assert.rejects(fetchImage(`${origin}/chunked.jpg`, { ...local, maxBytes: 4000 }), /file is over the 4000 byte limit/);
+  });
+
+  it('times out waiting for a response or its body', async () => {
+    await assert.rejects(fetchImage(`${origin}/stalled.jpg`, { ...local, timeoutMs: 200 }), /download timed out after 200ms/);
+    await assert.rejects(fetchImage(`${origin}/slow-body.jpg`, { ...local, timeoutMs: 200 }), /download timed out after 200ms/);
+  });
+
+  it('reports HTTP errors', async () => {
+    await assert.rejects(fetchImage(`${origin}/missing.jpg`, local), /download failed with HTTP 404/);
+  });
+});
+
+describe('processImage', () => {
+  it('downscales large photos to the longest side', async () => {
+    const processed = await processImage(await image(3000, 2000), { maxDimension: 1600 });
+    assert.equal(processed.mimeType, 'image/jpeg');
+    assert.deepEqual([processed.width, processed.height], [1600, 1067]);
+    const metadata = await sharp(processed.buffer).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [1600, 1067]);
+  });
+
+  it('leaves small images at their size', async () => {
+    const processed = await processImage(await image(300, 200), { maxDimension: 1600 });
+    assert.deepEqual([processed.width, processed.height], [300, 200]);
+  });
+
+  it('turns photos upright from their EXIF orientation', async () => {
+    const processed = await processImage(await image(40, 20, { orientation: 6 }));
+    assert.deepEqual([processed.width, processed.height], [20, 40]);
+  });
+
+  it('keeps transparency as PNG and converts other formats to JPEG', async () => {
+    const png = await processImage(await image(30, 30, { format: 'png', channels: 4 }));
+    assert.equal(png.mimeType, 'image/png');
+    assert.equal((await sharp(png.buffer).metadata()).hasAlpha, true);
+    const webp = await processImage(await image(30, 30, { format: 'webp' }));
+    assert.equal(webp.mimeType, 'image/jpeg');
+  });
+
+  it('converts HEIC photos to JPEG', async () => {
+    const processed = await processImage(HEIC);
+    assert.equal(processed.mimeType, 'image/jpeg');
+    assert.deepEqual([processed.width, processed.height], [64, 48]);
+    const { data } = await sharp(processed.buffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+    assert.ok(data[64 * 24 + 4] > data[64 * 24 + 60] + 50, 'left half is lighter than the right');
+  });
+
+  it('rejects data that is not an image', async () => {
+    await assert.rejects(processImage(Buffer.from('not an image')), { name: 'AttachmentError', message: 'not a supported image' });
+    await assert.rejects(processImage(Buffer.from('not an image'), { type: 'image/heic' }), /could not decode HEIC image/);
+  });
+});
+
+describe('resolveAttachments', () => {
+  it('resolves URLs in place and reports the ones that fail by path', async () => {
+    const walk = {
+      title: 'Bush walk',
+      attachments: [
+        `${origin}/photo.jpg`,
+        { url: `${origin}/photo.heic`, filename: 'IMG_2041.HEIC' },
+        { url: `${origin}/notes.pdf`, filename: 'notes.pdf', type: 'application/pdf' },
+        { url: `${origin}/notes.pdf`, filename: 'untyped.pdf' },
+        { url: `${origin}/missing.jpg`, filename: 'gone.jpg' }
+      ]
+    };
+    const evidenceByArea = { PDHPE: [walk], Science: [walk] };
+    const { resolved, failed } = await resolveAttachments(evidenceByArea, local);
+
+    assert.equal(resolved, 2);
+    assert.deepEqual(walk.attachments.map(att => att.mimeType || att.type), ['image/jpeg', 'image/jpeg', 'application/pdf']);
+    assert.deepEqual([walk.attachments[1].width, walk.attachments[1].height], [64, 48]);
+    assert.deepEqual(failed, [
+      { path: 'evidenceByArea.PDHPE[0].attachments[3]', reason: 'attachment "untyped.pdf" was not embedded: not an image (application/pdf)' },
+      { path: 'evidenceByArea.PDHPE[0].attachments[4]', reason: 'attachment "gone.jpg" was not embedded: download failed with HTTP 404' }
+    ]);
+  });
+
+  it('embeds image data without downloading it', async () => {
+    const evidenceByArea = { English: [{ attachments: [{ buffer: (await image(20, 10)).toString('base64'), filename: 'scan.jpg' }] }] };
+    const { resolved, failed } = await resolveAttachments(evidenceByArea);
+    assert.equal(resolved, 1);
+    assert.deepEqual(failed, []);
+    assert.equal(evidenceByArea.English[0].attachments[0].width, 20);
+  });
+});
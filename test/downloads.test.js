@@ -0,0 +1,197 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { createLinkSigner, requestBaseUrl, handleDownloadRequest } = require('../lib/downloads');
+
+process.env.LOG_LEVEL = 'error';
+
+const FILENAME = 'Sam-Example-Portfolio-Semester-1-2025.pdf';
+const NOW = Date.UTC(2025, 5, 1);
+const signer = createLinkSigner({ secret: 'test-signing-secret', ttlSeconds: 3600 });
+
+// A res with the parts of the Express and Vercel APIs the handler uses
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+// Follow a link from storage.save() the way the routes do
+async function request(storage, url, method = 'GET') {
+  const { pathname, searchParams } = new URL(url);
+  const res = fakeResponse();
+  await handleDownloadRequest(storage, { method, query: Object.fromEntries(searchParams) }, res, decodeURIComponent(pathname.split('/').pop()));
+  return res;
+}
+
+const withParam = (url, name, value) => {
+  const changed = new URL(url);
+  changed.searchParams.set(name, value);
+  return changed.toString();
+};
+
+describe('createLinkSigner', () => {
+  it('accepts its own signature until the link expires', () => {
+    const { exp, sig } = signer.sign('abc', FILENAME, NOW);
+    assert.equal(exp, NOW / 1000 + 3600);
+    assert.equal(signer.verify('abc', FILENAME, exp, sig, NOW), 'ok');
+    assert.equal(signer.verify('abc', FILENAME, String(exp), sig, NOW + 3600 * 1000), 'ok');
+    assert.equal(signer.verify('abc', FILENAME, exp, sig, NOW + 3601 * 1000), 'expired');
+  });
+
+  it('refuses a link whose id, name, expiry or signature was changed', () => {
+    const { exp, sig } = signer.sign('abc', FILENAME, NOW);
+    assert.equal(signer.verify('abd', FILENAME, exp, sig, NOW), 'invalid');
+    assert.equal(signer.verify('abc', 'Other-Child-Portfolio.pdf', exp, sig, NOW), 'invalid');
+    assert.equal(signer.verify('abc', FILENAME, exp + 86400, sig, NOW), 'invalid');
+    assert.equal(signer.verify('abc', FILENAME, `${exp}0`, sig, NOW), 'invalid');
+    assert.equal(signer.verify('abc', FILENAME, exp, `${sig.slice(1)}A`, NOW), 'invalid');
+    assert.equal(signer.verify('abc', FILENAME, exp, undefined, NOW), 'invalid');
+    assert.equal(createLinkSigner({ secret: 'another-secret' }).verify('abc', FILENAME, exp, sig, NOW), 'invalid');
+  });
+
+  it('builds the download URL on the given origin', () => {
+    const signed = signer.sign('a/b', FILENAME, NOW);
+    const url = new URL(signer.buildUrl('https://portfolios.example.org/', 'a/b', FILENAME, signed));
+    assert.equal(url.origin, 'https://portfolios.example.org');
+    assert.equal(url.pathname, '/portfolios/a%2Fb');
+    assert.equal(url.searchParams.get('name'), FILENAME);
+    assert.equal(url.searchParams.get('exp'), String(signed.exp));
+  });
+
+  it('fails to sign without a secret', () => {
+    assert.throws(() => createLinkSigner({ secret: '' }).sign('abc', FILENAME), /DOWNLOAD_SIGNING_SECRET must be set/);
+  });
+});
+
+describe('handleDownloadRequest', () => {
+  let directory;
+  let storage;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-downloads-'));
+    storage = createStorage({ backend: 'local', signer, directory });
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const save = content => storage.save({
+    format: 'pdf',
+    filename: FILENAME,
+    buffer: Buffer.from(content),
+    fileSize: Buffer.byteLength(content)
+  }, { baseUrl: 'http://localhost:10000' });
+
+  it('serves the file for a valid link', async () => {
+    const { url } = await save('the portfolio');
+    const res = await request(storage, url);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.toString(), 'the portfolio');
+    assert.equal(res.headers['content-type'], 'application/pdf');
+    assert.equal(res.headers['content-length'], 13);
+    assert.equal(res.headers['content-disposition'], `attachment; filename="${FILENAME}"`);
+    assert.equal(res.headers['cache-control'], 'private, no-store');
+  });
+
+  it('answers 403 when the id, name or expiry was changed', async () => {
+    const { id, url } = await save('the portfolio');
+    const other = await save('another portfolio');
+    const exp = Number(new URL(url).searchParams.get('exp'));
+
+    for (const tampered of [
+      url.replace(id, other.id),
+      withParam(url, 'name', 'Other-Child-Portfolio.pdf'),
+      withParam(url, 'exp', String(exp + 86400)),
+      withParam(url, 'sig', ''),
+      `http://localhost:10000/portfolios/${id}`
+    ]) {
+      const res = await request(storage, tampered);
+      assert.equal(res.statusCode, 403, tampered);
+      assert.deepEqual(res.body, { success: false, error: 'Invalid download link' });
+    }
+  });
+
+  it('answers 410 once the link has expired', async () => {
+    const id = 'expired-link';
+    await storage.remove(id);
+    const signed = signer.sign(id, FILENAME, Date.now() - 3601 * 1000);
+    const res = await request(storage, signer.buildUrl('http://localhost:10000', id, FILENAME, signed));
+    assert.equal(res.statusCode, 410);
+    assert.deepEqual(res.body, { success: false, error: 'Download link has expired' });
+  });
+
+  it('revokes a link with DELETE, also once it has expired', async () => {
+    const { id, url } = await save('the portfolio');
+    const revoked = await request(storage, url, 'DELETE');
+    assert.equal(revoked.statusCode, 200);
+    assert.deepEqual(revoked.body, { success: true, revoked: true });
+    assert.equal(fs.existsSync(path.join(directory, 'portfolios', id)), false);
+    assert.equal((await request(storage, url)).statusCode, 404);
+
+    const { id: expiredId } = await save('an old portfolio');
+    const signed = signer.sign(expiredId, FILENAME, Date.now() - 3601 * 1000);
+    const expired = await request(storage, signer.buildUrl('http://localhost:10000', expiredId, FILENAME, signed), 'DELETE');
+    assert.equal(expired.statusCode, 200);
+    assert.equal(fs.existsSync(path.join(directory, 'portfolios', expiredId)), false);
+  });
+
+  it('refuses DELETE without a valid signature', async () => {
+    const { id, url } = await save('the portfolio');
+    const res = await request(storage, withParam(url, 'name', 'other.pdf'), 'DELETE');
+    assert.equal(res.statusCode, 403);
+    assert.equal(fs.existsSync(path.join(directory, 'portfolios', id)), true);
+  });
+
+  it('answers 404 when the file is missing', async () => {
+    const { id, url } = await save('the portfolio');
+    fs.rmSync(path.join(directory, 'portfolios', id));
+    const res = await request(storage, url);
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(res.body, { success: false, error: 'Portfolio not found or revoked' });
+  });
+
+  it('answers 403 when the backend has no signer', async () => {
+    const { url } = await save('the portfolio');
+    const res = await request(createStorage({ backend: 'inline' }), url);
+    assert.equal(res.statusCode, 403);
+  });
+});
+
+describe('requestBaseUrl', () => {
+  const env = { PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL, TRUST_PROXY: process.env.TRUST_PROXY, VERCEL: process.env.VERCEL };
+  const forwardedRequest = {
+    protocol: 'http',
+    headers: { host: 'localhost:10000', 'x-forwarded-proto': 'https, http', 'x-forwarded-host': 'attacker.example' }
+  };
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('ignores forwarded headers unless TRUST_PROXY is on', () => {
+    delete process.env.PUBLIC_BASE_URL;
+    delete process.env.TRUST_PROXY;
+    delete process.env.VERCEL;
+    assert.equal(requestBaseUrl(forwardedRequest), 'http://localhost:10000');
+
+    process.env.TRUST_PROXY = 'true';
+    assert.equal(requestBaseUrl(forwardedRequest), 'https://attacker.example');
+  });
+
+  it('prefers PUBLIC_BASE_URL', () => {
+    process.env.PUBLIC_BASE_URL = 'https://portfolios.example.org';
+    process.env.TRUST_PROXY = 'true';
+    assert.equal(requestBaseUrl(forwardedRequest), 'https://portfolios.example.org');
+  });
+});
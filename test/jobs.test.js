@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createJobQueue, validateCallbackUrl } = require('../lib/jobs');
+
+process.env.LOG_LEVEL = 'error';
+
+// Callback bodies received, by path
+const received = {};
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      (received[req.url] = received[req.url] || []).push(JSON.parse(Buffer.concat(chunks).toString()));
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Resolves to the job once its callback has been tried
+async function settled(queue, id) {
+  for (;;) {
+    const job = queue.get(id);
+    if (job.callback) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('validateCallbackUrl', () => {
+  it('accepts no callback and public http(s) URLs', async () => {
+    assert.equal(await validateCallbackUrl(undefined), null);
+    assert.equal(await validateCallbackUrl(''), null);
+    assert.equal(await validateCallbackUrl('https://93.184.215.14/hook'), null);
+  });
+
+  it('refuses URLs that are not http(s)', async () => {
+    assert.equal(await validateCallbackUrl('ftp://example.org/hook'), 'must be an absolute http(s) URL');
+    assert.equal(await validateCallbackUrl('/jobs/done'), 'must be an absolute http(s) URL');
+  });
+
+  it('refuses private addresses, written or resolved', async () => {
+    assert.equal(await validateCallbackUrl('http://169.254.169.254/latest'), 'host 169.254.169.254 is a private address');
+    assert.equal(await validateCallbackUrl('http://10.0.0.8/hook'), 'host 10.0.0.8 is a private address');
+    assert.equal(await validateCallbackUrl('http://[::1]/hook'), 'host [::1] is a private address');
+    assert.match(await validateCallbackUrl(`http://localhost:${port}/hook`), /^host localhost resolves to a private address \((127\.0\.0\.1|::1)\)$/);
+    assert.equal(await validateCallbackUrl(`http://localhost:${port}/hook`, { allowPrivateHosts: true }), null);
+  });
+
+  it('refuses hosts outside the allowlist', async () => {
+    const allowedHosts = ['.make.com'];
+    assert.equal(await validateCallbackUrl('https://93.184.215.14/hook', { allowedHosts }), 'host 93.184.215.14 is not in CALLBACK_ALLOWED_HOSTS');
+    assert.equal(await validateCallbackUrl('https://make.com/hook', { allowedHosts, allowPrivateHosts: true }), null);
+    assert.equal(await validateCallbackUrl('https://hook.eu1.make.com/abc', { allowedHosts, allowPrivateHosts: true }), null);
+  });
+});
+
+describe('job callbacks', () => {
+  it('posts the finished job to the callback URL', async () => {
+    const queue = createJobQueue({ callbackAllowPrivateHosts: true });
+    const job = queue.enqueue(async () => ({ url: 'https://example.org/portfolios/abc' }), { callbackUrl: `http://127.0.0.1:${port}/done` });
+    const done = await settled(queue, job.id);
+
+    assert.deepEqual(done.callback, { delivered: true, attempts: 1, status: 204 });
+    assert.deepEqual(received['/done'], [{ jobId: job.id, status: 'succeeded', result: { url: 'https://example.org/portfolios/abc' }, error: null }]);
+  });
+
+  it('does not post to a private address, or retry it', async () => {
+    const queue = createJobQueue();
+    const literal = queue.enqueue(async () => ({}), { callbackUrl: `http://127.0.0.1:${port}/literal` });
+    const resolved = queue.enqueue(async () => ({}), { callbackUrl: `http://localhost:${port}/resolved` });
+
+    assert.deepEqual((await settled(queue, literal.id)).callback, { delivered: false, attempts: 0, error: 'host 127.0.0.1 is a private address' });
+    const { callback } = await settled(queue, resolved.id);
+    assert.equal(callback.delivered, false);
+    assert.equal(callback.attempts, 1);
+    assert.match(callback.error, /^host localhost resolves to a private address/);
+    assert.equal(received['/literal'], undefined);
+    assert.equal(received['/resolved'], undefined);
+  });
+
+  it('does not post to a host outside the allowlist', async () => {
+    const queue = createJobQueue({ callbackAllowedHosts: ['hooks.example.org'], callbackAllowPrivateHosts: true });
+    const job = queue.enqueue(async () => ({}), { callbackUrl: `http://127.0.0.1:${port}/outside` });
+    assert.deepEqual((await settled(queue, job.id)).callback, { delivered: false, attempts: 0, error: 'host 127.0.0.1 is not in CALLBACK_ALLOWED_HOSTS' });
+    assert.equal(received['/outside'], undefined);
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { log, redact, redactText } = require('../lib/logger');
+const { createAuditTrail } = require('../lib/audit');
+
+// The JSON lines written while fn runs, as { stream, line }
+function captureLogs(fn) {
+  const written = [];
+  const { write: stdout } = process.stdout;
+  const { write: stderr } = process.stderr;
+  process.stdout.write = chunk => written.push({ stream: 'stdout', line: JSON.parse(chunk) });
+  process.stderr.write = chunk => written.push({ stream: 'stderr', line: JSON.parse(chunk) });
+  try {
+    fn();
+  } finally {
+    process.stdout.write = stdout;
+    process.stderr.write = stderr;
+  }
+  return written;
+}
+
+const level = process.env.LOG_LEVEL;
+before(() => { process.env.LOG_LEVEL = 'debug'; });
+after(() => {
+  if (level === undefined) delete process.env.LOG_LEVEL;
+  else process.env.LOG_LEVEL = level;
+});
+
+// A payload error as the validator reports it, repeating the value
+const PAYLOAD_ERROR = 'evidenceByArea.English[0].date "Sam\'s excursion" is not a date';
+
+describe('redact', () => {
+  it('masks personal fields by key, at any depth', () => {
+    const fields = {
+      childName: 'Sam Example',
+      parentName: 'Alex Example',
+      filename: 'Sam-Example-Portfolio.docx',
+      title: 'Bush walk',
+      description: 'Walked to the creek',
+      whatHappened: 'Found tadpoles',
+      engagement: 'Very keen',
+      notes: 'Asked lots of questions',
+      comment: 'Great work',
+      reflections: 'Loved it',
+      assessment: 'Working towards',
+      attachments: [{ url: 'https://example.org/photo.jpg' }],
+      photos: ['https://example.org/photo.jpg'],
+      image: 'data',
+      text: 'free text',
+      body: { childName: 'Sam Example' },
+      fileData: 'UEsDBBQ…',
+      buffer: Buffer.from('x')
+    };
+    const redacted = redact({ format: 'docx', childRecordId: 'recSAM', nested: { ...fields, list: [{ childName: 'Sam Example', count: 2 }] }, ...fields });
+
+    Object.keys(fields).forEach(key => {
+      assert.equal(redacted[key], '[redacted]', key);
+      assert.equal(redacted.nested[key], '[redacted]', `nested.${key}`);
+    });
+    assert.deepEqual(redacted.nested.list, [{ childName: '[redacted]', count: 2 }]);
+    assert.equal(redacted.format, 'docx');
+    assert.equal(redacted.childRecordId, 'recSAM');
+  });
+
+  it('leaves empty personal fields as they are', () => {
+    assert.deepEqual(redact({ childName: '', notes: null, title: undefined }), { childName: '', notes: null, title: undefined });
+  });
+
+  it('masks quoted values in text and error messages', () => {
+    assert.equal(redactText(PAYLOAD_ERROR), 'evidenceByArea.English[0].date "[redacted]" is not a date');
+    assert.equal(redactText('title “Sam’s walk” is too long'), 'title "[redacted]" is too long');
+    assert.equal(redactText('no quotes here'), 'no quotes here');
+
+    const error = redact(new Error(`Could not render: ${PAYLOAD_ERROR}`));
+    assert.equal(error.message, 'Could not render: evidenceByArea.English[0].date "[redacted]" is not a date');
+    assert.ok(!error.stack.includes('Sam'));
+    assert.deepEqual(redact({ errors: [PAYLOAD_ERROR] }), { errors: ['evidenceByArea.English[0].date "[redacted]" is not a date'] });
+  });
+});
+
+describe('log', () => {
+  it('writes redacted JSON lines, warnings and errors to stderr', () => {
+    const written = captureLogs(() => {
+      log.info('Generating portfolio', { format: 'pdf', childName: 'Sam Example', filename: 'Sam-Example.pdf' });
+      log.warn('Validation failed', { errors: [PAYLOAD_ERROR] });
+      log.error('Generation failed', { error: new Error(`Bad payload: ${PAYLOAD_ERROR}`) });
+    });
+
+    assert.deepEqual(written.map(({ stream, line }) => [stream, line.level, line.msg]), [
+      ['stdout', 'info', 'Generating portfolio'],
+      ['stderr', 'warn', 'Validation failed'],
+      ['stderr', 'error', 'Generation failed']
+    ]);
+    const [info, warn, error] = written.map(({ line }) => line);
+    assert.equal(info.format, 'pdf');
+    assert.equal(info.childName, '[redacted]');
+    assert.equal(info.filename, '[redacted]');
+    assert.deepEqual(warn.errors, ['evidenceByArea.English[0].date "[redacted]" is not a date']);
+    assert.equal(error.error.message, 'Bad payload: evidenceByArea.English[0].date "[redacted]" is not a date');
+    written.forEach(({ line }) => assert.ok(!JSON.stringify(line).includes('Sam'), line.msg));
+  });
+
+  it('skips lines below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+    try {
+      const written = captureLogs(() => {
+        log.info('Portfolio generated', {});
+        log.warn('Portfolio warnings', {});
+      });
+      assert.deepEqual(written.map(({ line }) => line.msg), ['Portfolio warnings']);
+    } finally {
+      process.env.LOG_LEVEL = 'debug';
+    }
+  });
+});
+
+describe('audit records', () => {
+  let directory;
+
+  before(() => { directory = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-audit-')); });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const failure = {
+    event: 'generate',
+    outcome: 'failed',
+    client: { id: 'bright-paths', client: 'Bright Paths Tutoring', brandId: null },
+    portfolioData: { childRecordId: 'recSAM', childName: 'Sam Example', parentName: 'Alex Example' },
+    brandId: null,
+    templateId: null,
+    format: 'docx',
+    jobId: null,
+    error: `Bad payload: ${PAYLOAD_ERROR}`
+  };
+
+  it('appends records without names and with quoted values masked', () => {
+    const file = path.join(directory, 'audit.jsonl');
+    const audit = createAuditTrail({ store: 'file', file });
+    audit.record(failure);
+    audit.record({ ...failure, outcome: 'invalid', error: undefined, errors: ['childName', 'evidenceByArea.English[0].date'] });
+
+    const [failed, invalid] = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(failed.error, 'Bad payload: evidenceByArea.English[0].date "[redacted]" is not a date');
+    assert.deepEqual(failed.client, { id: 'bright-paths', client: 'Bright Paths Tutoring' });
+    assert.equal(failed.childRecordId, 'recSAM');
+    assert.equal(failed.portfolioData, undefined);
+    assert.deepEqual(invalid.errors, ['childName', 'evidenceByArea.English[0].date']);
+    [failed, invalid].forEach(record => assert.ok(!JSON.stringify(record).includes('Sam'), record.outcome));
+  });
+
+  it('masks quoted values in records written to the logs', () => {
+    const audit = createAuditTrail({ store: 'log' });
+    const [{ line }] = captureLogs(() => audit.record(failure));
+    assert.equal(line.msg, 'Generation audit');
+    assert.equal(line.audit.error, 'Bad payload: evidenceByArea.English[0].date "[redacted]" is not a date');
+    assert.ok(!JSON.stringify(line).includes('Sam'));
+  });
+});
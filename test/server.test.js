@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// No API keys, no audit trail and quiet logs
+process.env.API_KEYS = '';
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), 'onehome-test-no-api-keys.json');
+process.env.AUDIT_STORE = 'none';
+process.env.LOG_LEVEL = 'error';
+const app = require('../server');
+
+let server;
+let origin;
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', 'examples', 'sample-portfolio.json'), 'utf8');
+
+const post = (url, body) => fetch(`${origin}${url}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body });
+
+describe('request validation', () => {
+  it('answers 400 with the validation shape for a body that is not JSON', async () => {
+    const res = await post('/generate-portfolio', '{"childName": "Ava",');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'Invalid portfolio payload');
+    assert.deepEqual(body.warnings, []);
+    assert.equal(body.errors.length, 1);
+    assert.equal(body.errors[0].path, '');
+    assert.match(body.errors[0].reason, /^the body is not valid JSON: /);
+  });
+
+  it('answers 400 for a payload without a child', async () => {
+    const res = await post('/generate-portfolio', JSON.stringify({ evidenceByArea: {} }));
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.error, 'Invalid portfolio payload');
+    assert.ok(body.errors.some(error => error.path === 'childName'));
+  });
+});
+
+describe('async requests', () => {
+  it('need a storage backend that keeps files', async () => {
+    const res = await post('/generate-portfolio?async=true', SAMPLE);
+    assert.equal(res.status, 400);
+    const { errors } = await res.json();
+    assert.deepEqual(errors, [{ path: 'async', reason: 'needs a storage backend that keeps files (PORTFOLIO_STORAGE=local, s3 or vercel-blob)' }]);
+  });
+
+  it('refuse callbacks to private addresses', async () => {
+    const res = await post('/generate-portfolio?async=true&callbackUrl=http://169.254.169.254/latest', SAMPLE);
+    assert.equal(res.status, 400);
+    const { errors } = await res.json();
+    assert.deepEqual(errors[0], { path: 'callbackUrl', reason: 'host 169.254.169.254 is a private address' });
+  });
+});
@@ -0,0 +1,245 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSource, loadSourcePayload } = require('../lib/sources');
+const { createAirtableLocalClient } = require('../lib/sources/airtable-local');
+const { createAirtableApiClient } = require('../lib/sources/airtable-api');
+const { startAirtableStandIn } = require('./support/airtable-stand-in');
+
+process.env.LOG_LEVEL = 'error';
+
+const BASE_ID = 'appTESTBASE000001';
+const CHILD_ID = 'recCHILD000000001';
+const UNLINKED_CHILD_ID = 'recCHILD000000002';
+const OVERVIEW_ID = 'recOVERVIEW000001';
+const evidenceId = i => `recEVIDENCE${String(i).padStart(6, '0')}`;
+const outcomeId = i => `recOUTCOME${String(i).padStart(7, '0')}`;
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// 120 evidence entries: 41-80 and the undated 120 fall within FROM-TO, the
+// rest just outside it or well away. Dated entries in range link two
+// outcomes each (2-81), and the last of them a missing one too; entries out
+// of range link outcome 149, which must not be looked up.
+const FROM = '2025-01-28';
+const TO = '2025-07-04';
+const evidenceDate = i => {
+  const edges = { 40: '2025-01-27', 41: FROM, 80: `${TO}T09:30:00.000Z`, 81: '2025-07-05', 120: undefined };
+  if (i in edges) return edges[i];
+  return i < 40 ? '2024-12-15' : i < 80 ? '2025-03-10' : '2025-08-20';
+};
+const inRange = i => (i >= 41 && i <= 80) || i === 120;
+const evidenceRecord = i => ({
+  id: evidenceId(i),
+  fields: {
+    Title: `Activity ${i}`,
+    ...(evidenceDate(i) && { Date: evidenceDate(i) }),
+    'What Happened?': `Did thing ${i}`,
+    'Learning Areas': ['Mathematics'],
+    'Matched Outcomes 3': i >= 41 && i <= 80 ? [outcomeId(i - 39), outcomeId(i + 1), ...(i === 80 ? [outcomeId(200)] : [])] : i === 120 ? [] : [outcomeId(149)],
+    Child: [CHILD_ID]
+  }
+});
+const outcomeRecord = i => ({
+  id: outcomeId(i),
+  fields: { 'Outcome Code': `MA2-T-${i}`, 'Outcome Description': `Outcome ${i}`, 'Learning Area': 'Mathematics', Stage: 'Stage 2' }
+});
+
+function writeTables(directory) {
+  const base = path.join(directory, BASE_ID);
+  fs.mkdirSync(base, { recursive: true });
+  const write = (table, content) => fs.writeFileSync(path.join(base, `${table}.json`), JSON.stringify(content));
+  write('Children', { records: [
+    { id: CHILD_ID, fields: { 'Child Name': 'Sam Source', 'Year Level': 'Stage 2', 'Parent Name': 'Alex Source', State: 'NSW', Evidence: range(1, 120).map(evidenceId), 'Curriculum Outcomes': [outcomeId(1)], 'Learning Area Overviews': [OVERVIEW_ID] } },
+    { id: UNLINKED_CHILD_ID, fields: { 'Child Name': 'Jo Source', 'Year Level': 'Stage 2' } }
+  ] });
+  write('Evidence', { records: range(1, 120).map(evidenceRecord) });
+  // Outcomes as a bare list, which exports may also be
+  write('Outcomes', range(1, 150).map(outcomeRecord));
+  write('Learning Area Overviews', { records: [{ id: OVERVIEW_ID, fields: { 'Learning Area': 'Mathematics', 'Stage Statement': 'Maths overview' } }] });
+}
+
+// The local client, keeping every listRecords call as { table, recordIds, offset }
+function spyClient(directory) {
+  const local = createAirtableLocalClient({ directory });
+  const requests = [];
+  return {
+    requests,
+    client: {
+      ...local,
+      listRecords(baseId, table, options) {
+        requests.push({ table, recordIds: options.recordIds, offset: options.offset });
+        return local.listRecords(baseId, table, options);
+      }
+    }
+  };
+}
+
+const REQUEST = {
+  source: { type: 'airtable', baseId: BASE_ID, childRecordId: CHILD_ID, from: FROM, to: TO },
+  childName: 'Sam (preferred name)',
+  reportingPeriod: 'Semester 1 2025'
+};
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-airtable-'));
+  writeTables(directory);
+});
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe('validateSource', () => {
+  it('accepts a complete source', () => {
+    assert.deepEqual(validateSource(REQUEST.source), []);
+    assert.deepEqual(validateSource({ baseId: BASE_ID, childRecordId: CHILD_ID, tables: { evidence: 'Learning Log' } }), []);
+  });
+
+  it('checks base and record IDs', () => {
+    assert.deepEqual(validateSource({ baseId: 'appTOOSHORT', childRecordId: 'recCHILD00000000!' }), [
+      { path: 'source.baseId', reason: 'must be an Airtable base ID ("app" and 14 letters or digits)' },
+      { path: 'source.childRecordId', reason: 'must be an Airtable record ID ("rec" and 14 letters or digits)' }
+    ]);
+    assert.deepEqual(validateSource({ baseId: `../${BASE_ID}`, childRecordId: CHILD_ID }).map(error => error.path), ['source.baseId']);
+    assert.deepEqual(validateSource('appTESTBASE000001'), [{ path: 'source', reason: 'must be an object with baseId and childRecordId' }]);
+  });
+
+  it('checks the type, tables and dates', () => {
+    assert.deepEqual(validateSource({ ...REQUEST.source, type: 'notion', tables: { lessons: 'Lessons', evidence: ' ' }, from: '28/01/2025' }), [
+      { path: 'source.type', reason: 'must be one of airtable' },
+      { path: 'source.tables.lessons', reason: 'is not a table (expected one of children, evidence, outcomes, overviews)' },
+      { path: 'source.tables.evidence', reason: 'must be a table name or ID' },
+      { path: 'source.from', reason: 'must be a date as YYYY-MM-DD' }
+    ]);
+    assert.deepEqual(validateSource({ ...REQUEST.source, from: TO, to: FROM }), [{ path: 'source.to', reason: `is before from (${TO})` }]);
+  });
+});
+
+describe('local Airtable client', () => {
+  it('serves tables a page at a time', async () => {
+    const client = createAirtableLocalClient({ directory });
+    const first = await client.listRecords(BASE_ID, 'Outcomes');
+    assert.equal(first.records.length, 100);
+    assert.equal(first.offset, '100');
+    const second = await client.listRecords(BASE_ID, 'Outcomes', { offset: first.offset });
+    assert.deepEqual(second.records.map(record => record.id), range(101, 150).map(outcomeId));
+    assert.equal(second.offset, undefined);
+  });
+
+  it('reads single records and the given record IDs', async () => {
+    const client = createAirtableLocalClient({ directory });
+    assert.equal((await client.getRecord(BASE_ID, 'Children', CHILD_ID)).fields['Child Name'], 'Sam Source');
+    assert.equal(await client.getRecord(BASE_ID, 'Children', 'recMISSING0000001'), null);
+    const { records } = await client.listRecords(BASE_ID, 'Outcomes', { recordIds: [outcomeId(3), outcomeId(1)] });
+    assert.deepEqual(records.map(record => record.id), [outcomeId(1), outcomeId(3)]);
+  });
+
+  it('reads only tables inside its directory', async () => {
+    const client = createAirtableLocalClient({ directory });
+    await assert.rejects(client.listRecords(BASE_ID, 'Homework'), /^Error: Airtable table "Homework" was not found in base appTESTBASE000001$/);
+    await assert.rejects(client.listRecords('..', 'etc/passwd'), /was not found/);
+    await assert.rejects(client.getRecord(`../${BASE_ID}`, 'Children', CHILD_ID), /was not found/);
+  });
+});
+
+describe('loadSourcePayload', () => {
+  it('builds the payload from the child record and its links', async () => {
+    const { client } = spyClient(directory);
+    const { valid, errors, warnings, portfolioData } = await loadSourcePayload(REQUEST, { client });
+
+    assert.equal(valid, true);
+    assert.deepEqual(errors, []);
+    assert.equal(portfolioData.childRecordId, CHILD_ID);
+    assert.equal(portfolioData.yearLevel, 'Stage 2');
+    assert.equal(portfolioData.parentName, 'Alex Source');
+    assert.equal(portfolioData.state, 'NSW');
+    assert.deepEqual(portfolioData.curriculumOutcomes.map(outcome => outcome.outcomeCode), ['MA2-T-1']);
+    assert.deepEqual(portfolioData.learningAreaOverviews, { Mathematics: { stageStatement: 'Maths overview' } });
+    // The link back to the child is dropped rather than reported
+    assert.ok(!warnings.some(warning => /Child/.test(warning.reason)), JSON.stringify(warnings));
+  });
+
+  it('lets the request\'s own fields win over the child record\'s', async () => {
+    const { client } = spyClient(directory);
+    const { portfolioData } = await loadSourcePayload({ ...REQUEST, state: 'VIC' }, { client });
+    assert.equal(portfolioData.childName, 'Sam (preferred name)');
+    assert.equal(portfolioData.state, 'VIC');
+    assert.equal(portfolioData.reportingPeriod, 'Semester 1 2025');
+    assert.equal(portfolioData.source, undefined);
+  });
+
+  it('leaves out evidence dated outside from-to, keeping the edges and undated entries', async () => {
+    const { client } = spyClient(directory);
+    const { portfolioData } = await loadSourcePayload(REQUEST, { client });
+    assert.deepEqual(portfolioData.evidenceEntries.map(entry => entry.id), range(1, 120).filter(inRange).map(evidenceId));
+
+    const all = await loadSourcePayload({ ...REQUEST, source: { ...REQUEST.source, from: undefined, to: undefined } }, { client });
+    assert.equal(all.portfolioData.evidenceEntries.length, 120);
+  });
+
+  it('reads linked records in batches of IDs, page by page', async () => {
+    const { client, requests } = spyClient(directory);
+    await loadSourcePayload(REQUEST, { client });
+    const batches = table => requests.filter(request => request.table === table).map(request => request.recordIds.length);
+    assert.deepEqual(batches('Evidence'), [50, 50, 20]);
+    assert.deepEqual(batches('Learning Area Overviews'), [1]);
+    // The child's outcome, then the ones only evidence in range links to
+    assert.deepEqual(batches('Outcomes'), [1, 50, 31]);
+
+    const unlinked = spyClient(directory);
+    await loadSourcePayload({ source: { baseId: BASE_ID, childRecordId: UNLINKED_CHILD_ID } }, { client: unlinked.client });
+    assert.deepEqual(unlinked.requests.filter(request => request.table === 'Outcomes'), [
+      { table: 'Outcomes', recordIds: undefined, offset: undefined },
+      { table: 'Outcomes', recordIds: undefined, offset: '100' }
+    ]);
+  });
+
+  it('swaps linked outcome IDs for their code and description, and reports missing ones', async () => {
+    const { client, requests } = spyClient(directory);
+    const { warnings, portfolioData } = await loadSourcePayload(REQUEST, { client });
+    const byId = new Map(portfolioData.evidenceEntries.map(entry => [entry.id, entry]));
+
+    assert.deepEqual(byId.get(evidenceId(41)).matchedOutcomes, [{ code: 'MA2-T-2', description: 'Outcome 2' }, { code: 'MA2-T-42', description: 'Outcome 42' }]);
+    assert.deepEqual(byId.get(evidenceId(80)).matchedOutcomes, [{ code: 'MA2-T-41', description: 'Outcome 41' }, { code: 'MA2-T-81', description: 'Outcome 81' }, outcomeId(200)]);
+    assert.deepEqual(warnings.filter(warning => /linked outcome/.test(warning.reason)), [
+      { path: 'evidenceEntries[39].matchedOutcomes', reason: `linked outcome ${outcomeId(200)} was not found in table "Outcomes"` }
+    ]);
+    const looked = requests.filter(request => request.table === 'Outcomes').flatMap(request => request.recordIds);
+    assert.ok(!looked.includes(outcomeId(149)), 'outcomes linked only from entries out of range are not read');
+    assert.ok(!looked.slice(1).includes(outcomeId(1)), 'the child\'s outcomes are not read again');
+  });
+
+  it('reports request mistakes without reading Airtable', async () => {
+    const client = { getRecord: () => assert.fail('read Airtable'), listRecords: () => assert.fail('read Airtable') };
+    const bad = await loadSourcePayload({ source: { baseId: 'app123', childRecordId: CHILD_ID } }, { client });
+    assert.deepEqual(bad, { valid: false, errors: [{ path: 'source.baseId', reason: 'must be an Airtable base ID ("app" and 14 letters or digits)' }], warnings: [] });
+    const badMapping = await loadSourcePayload(REQUEST, { client, fieldMappingId: '../default' });
+    assert.deepEqual(badMapping.errors.map(error => error.path), ['fieldMappingId']);
+  });
+
+  it('reports a child record that does not exist', async () => {
+    const { client } = spyClient(directory);
+    const missing = await loadSourcePayload({ source: { baseId: BASE_ID, childRecordId: 'recMISSING0000001' } }, { client });
+    assert.deepEqual(missing.errors, [{ path: 'source.childRecordId', reason: 'no record recMISSING0000001 in table "Children"' }]);
+  });
+
+  it('builds the same payload through the Airtable API client, with RECORD_ID() formulas', async () => {
+    const standIn = await startAirtableStandIn({ directory });
+    try {
+      const client = createAirtableApiClient({ token: standIn.token, apiUrl: standIn.apiUrl });
+      const viaApi = await loadSourcePayload(REQUEST, { client });
+      const viaLocal = await loadSourcePayload(REQUEST, { client: createAirtableLocalClient({ directory }) });
+      assert.deepEqual(viaApi, viaLocal);
+      assert.deepEqual(standIn.requests.filter(request => request.table === 'Outcomes').map(request => request.recordIds.length), [1, 50, 31]);
+      assert.deepEqual(standIn.requests.find(request => request.table === 'Learning Area Overviews').recordIds, [OVERVIEW_ID]);
+
+      await assert.rejects(
+        createAirtableApiClient({ token: 'wrong-token', apiUrl: standIn.apiUrl }).listRecords(BASE_ID, 'Evidence'),
+        /Airtable table "Evidence" returned 401: AUTHENTICATION_REQUIRED/
+      );
+    } finally {
+      await standIn.close();
+    }
+  });
+});
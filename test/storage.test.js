@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, storePortfolioFiles, checksum } = require('../lib/storage');
+const { createS3Storage } = require('../lib/storage/s3');
+const { createLocalStorage } = require('../lib/storage/local');
+const { createLinkSigner } = require('../lib/downloads');
+const { startS3StandIn } = require('./support/s3-stand-in');
+
+process.env.LOG_LEVEL = 'error';
+
+const docx = (content = 'portfolio') => ({
+  format: 'docx',
+  filename: 'Sam-Example-Portfolio-Semester-1-2025.docx',
+  contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  buffer: Buffer.from(content),
+  fileSize: Buffer.byteLength(content)
+});
+
+const signer = createLinkSigner({ secret: 'test-signing-secret' });
+
+describe('s3 backend', () => {
+  let s3;
+  let options;
+
+  before(async () => {
+    s3 = await startS3StandIn();
+    options = { endpoint: s3.endpoint, bucket: s3.bucket, accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey, forcePathStyle: true };
+  });
+  after(() => s3.close());
+
+  it('puts, gets and deletes objects with signed requests', async () => {
+    const storage = createS3Storage(options);
+    const buffer = Buffer.from('a portfolio');
+    await storage.save({ key: 'portfolios/abc', buffer, contentType: 'application/pdf' });
+    assert.equal(s3.objects.get('portfolios/abc').contentType, 'application/pdf');
+    assert.deepEqual(await storage.read('portfolios/abc'), buffer);
+
+    await storage.remove('portfolios/abc');
+    assert.equal(s3.objects.has('portfolios/abc'), false);
+    assert.equal(await storage.read('portfolios/abc'), null);
+  });
+
+  it('treats removing a missing object as done', async () => {
+    await createS3Storage(options).remove('portfolios/missing');
+  });
+
+  it('signs keys that need encoding', async () => {
+    const storage = createS3Storage(options);
+    await storage.save({ key: "portfolios/Sam (O'Brien) 1*2.docx", buffer: Buffer.from('x') });
+    assert.deepEqual(await storage.read("portfolios/Sam (O'Brien) 1*2.docx"), Buffer.from('x'));
+  });
+
+  it('reports requests the bucket rejects', async () => {
+    const storage = createS3Storage({ ...options, secretAccessKey: 'wrong-secret' });
+    await assert.rejects(storage.save({ key: 'portfolios/abc', buffer: Buffer.from('x') }), /S3 PUT portfolios\/abc failed with 403/);
+  });
+
+  it('needs a bucket and credentials', () => {
+    assert.throws(() => createS3Storage({ endpoint: s3.endpoint }), /S3_BUCKET/);
+  });
+
+  it('serves stored files and snapshots through createStorage', async () => {
+    const storage = createStorage({ backend: 's3', signer, ...options });
+    const stored = await storage.save(docx(), { baseUrl: 'https://portfolios.example' });
+    assert.equal(stored.storage, 's3');
+    assert.equal(stored.checksum, checksum(Buffer.from('portfolio')));
+    assert.ok(s3.objects.has(`portfolios/${stored.id}`));
+    assert.match(stored.url, new RegExp(`^https://portfolios\\.example/portfolios/${stored.id}\\?`));
+
+    const file = await storage.open(stored.id, stored.filename);
+    assert.equal(file.buffer.toString(), 'portfolio');
+    assert.equal(file.contentType, docx().contentType);
+
+    const snapshotId = await storage.saveSnapshot({ childName: 'Sam Example' });
+    assert.deepEqual(await storage.readSnapshot(snapshotId), { childName: 'Sam Example' });
+    assert.equal(await storage.readSnapshot('no-such-snapshot'), null);
+  });
+
+  it('only gives a snapshot back to the client that kept it', async () => {
+    const storage = createStorage({ backend: 's3', signer, ...options });
+    const snapshotId = await storage.saveSnapshot({ childName: 'Sam Example' }, { clientId: 'bright-paths' });
+    assert.deepEqual(await storage.readSnapshot(snapshotId, { clientId: 'bright-paths' }), { childName: 'Sam Example' });
+    assert.equal(await storage.readSnapshot(snapshotId, { clientId: 'other-tutor' }), null);
+  });
+});
+
+describe('local backend', () => {
+  let directory;
+
+  before(() => { directory = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-storage-')); });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('writes, reads and removes files under its directory', async () => {
+    const storage = createLocalStorage({ directory });
+    await storage.save({ key: 'portfolios/abc', buffer: Buffer.from('local') });
+    assert.equal(fs.readFileSync(path.join(directory, 'portfolios', 'abc'), 'utf8'), 'local');
+    assert.deepEqual(await storage.read('portfolios/abc'), Buffer.from('local'));
+
+    await storage.remove('portfolios/abc');
+    assert.equal(await storage.read('portfolios/abc'), null);
+    await storage.remove('portfolios/abc');
+  });
+
+  it('returns a signed link rather than the file path', async () => {
+    const storage = createStorage({ backend: 'local', signer, directory });
+    const stored = await storage.save(docx('local file'), { baseUrl: 'http://localhost:10000' });
+    assert.equal(stored.fileData, undefined);
+    assert.ok(!stored.url.includes(directory));
+    const params = new URL(stored.url).searchParams;
+    assert.equal(signer.verify(stored.id, params.get('name'), params.get('exp'), params.get('sig')), 'ok');
+    assert.equal((await storage.open(stored.id, stored.filename)).buffer.toString(), 'local file');
+
+    await storage.remove(stored.id);
+    assert.equal(await storage.open(stored.id, stored.filename), null);
+  });
+});
+
+describe('inline backend', () => {
+  it('returns the file as base64 with the shared response fields', async () => {
+    const storage = createStorage({ backend: 'inline' });
+    const stored = await storage.save(docx());
+    assert.deepEqual(stored, {
+      format: 'docx',
+      filename: docx().filename,
+      fileSize: 9,
+      checksum: checksum(Buffer.from('portfolio')),
+      storage: 'inline',
+      fileData: Buffer.from('portfolio').toString('base64')
+    });
+    assert.equal(storage.signer, null);
+  });
+
+  it('lists every file when more than one is rendered', async () => {
+    const storage = createStorage({ backend: 'inline' });
+    const pdf = { ...docx('pdf'), format: 'pdf', filename: 'Sam-Example-Portfolio-Semester-1-2025.pdf' };
+    const response = await storePortfolioFiles(storage, [docx(), pdf]);
+    assert.equal(response.filename, docx().filename);
+    assert.equal(response.format, undefined);
+    assert.deepEqual(response.files.map(file => file.format), ['docx', 'pdf']);
+  });
+
+  it('keeps no snapshots', async () => {
+    const storage = createStorage({ backend: 'inline' });
+    assert.equal(storage.keepsSnapshots, false);
+    await assert.rejects(storage.saveSnapshot({}), /does not keep snapshots/);
+    assert.equal(await storage.readSnapshot('abc'), null);
+  });
+});
+
+describe('createStorage', () => {
+  it('rejects an unknown backend', () => {
+    assert.throws(() => createStorage({ backend: 'ftp' }), /Unknown storage backend "ftp"/);
+  });
+});
@@ -0,0 +1,47 @@
+const http = require('http');
+const { createAirtableLocalClient } = require('../../lib/sources/airtable-local');
+
+// An Airtable API stand-in for the data source tests: the tables of a local
+// directory (lib/sources/airtable-local) served at the REST API's URLs, with
+// pageSize and offset paging and OR(RECORD_ID()='rec…', …) filters. Every
+// list request is kept as { table, recordIds, offset }.
+
+// Resolves to { apiUrl, token, requests, close() } once listening
+async function startAirtableStandIn({ directory, token = 'test-airtable-token' }) {
+  const local = createAirtableLocalClient({ directory });
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.headers.authorization !== `Bearer ${token}`) return reply(401, { error: { type: 'AUTHENTICATION_REQUIRED' } });
+
+    const url = new URL(req.url, 'http://stand-in');
+    const [, version, baseId, table, recordId] = url.pathname.split('/').map(decodeURIComponent);
+    if (version !== 'v0' || !baseId || !table) return reply(404, { error: 'NOT_FOUND' });
+    try {
+      if (recordId) {
+        const record = await local.getRecord(baseId, table, recordId);
+        return record ? reply(200, record) : reply(404, { error: 'NOT_FOUND' });
+      }
+      const formula = url.searchParams.get('filterByFormula');
+      const recordIds = formula ? [...formula.matchAll(/RECORD_ID\(\)='(rec\w+)'/g)].map(match => match[1]) : undefined;
+      const offset = url.searchParams.get('offset') || undefined;
+      requests.push({ table, recordIds, offset });
+      return reply(200, await local.listRecords(baseId, table, { recordIds, offset, pageSize: Number(url.searchParams.get('pageSize')) || 100 }));
+    } catch (e) {
+      return reply(404, { error: { type: 'TABLE_NOT_FOUND', message: e.message } });
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    apiUrl: `http://127.0.0.1:${server.address().port}`,
+    token,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startAirtableStandIn };
@@ -0,0 +1,72 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// A MinIO-style S3 stand-in for the storage tests: path-style URLs
+// (/bucket/key), objects kept in memory, and every request's AWS Signature
+// V4 checked against the one access key it knows, as S3 does.
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+function signatureMatches(req, body, { accessKeyId, secretAccessKey }) {
+  const match = (req.headers.authorization || '').match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/);
+  if (!match) return false;
+  const [, keyId, date, region, signedHeaders, signature] = match;
+  if (keyId !== accessKeyId || req.headers['x-amz-content-sha256'] !== sha256(body)) return false;
+
+  const canonicalRequest = [
+    req.method,
+    new URL(req.url, 'http://stand-in').pathname,
+    '',
+    signedHeaders.split(';').map(h => `${h}:${String(req.headers[h]).trim()}\n`).join(''),
+    signedHeaders,
+    req.headers['x-amz-content-sha256']
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], `${date}/${region}/s3/aws4_request`, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex') === signature;
+}
+
+// Resolves to { endpoint, bucket, objects, close() } once listening
+async function startS3StandIn({ bucket = 'portfolios', accessKeyId = 'test-access-key', secretAccessKey = 'test-secret-key' } = {}) {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const reply = (status, headers = {}, content = '') => { res.writeHead(status, headers); res.end(content); };
+      if (!signatureMatches(req, body, { accessKeyId, secretAccessKey })) return reply(403, {}, '<Error><Code>SignatureDoesNotMatch</Code></Error>');
+
+      const [, requestBucket, ...keyParts] = new URL(req.url, 'http://stand-in').pathname.split('/');
+      if (requestBucket !== bucket) return reply(404, {}, '<Error><Code>NoSuchBucket</Code></Error>');
+      const key = keyParts.map(decodeURIComponent).join('/');
+      const object = objects.get(key);
+
+      if (req.method === 'PUT') {
+        objects.set(key, { body, contentType: req.headers['content-type'] });
+        return reply(200);
+      }
+      if (req.method === 'GET') {
+        if (!object) return reply(404, {}, '<Error><Code>NoSuchKey</Code></Error>');
+        return reply(200, { 'content-type': object.contentType || 'application/octet-stream' }, object.body);
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        return reply(204);
+      }
+      return reply(405);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startS3StandIn };